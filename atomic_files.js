@@ -0,0 +1,113 @@
+/**
+ * Atomic File Writes
+ * - Data is written to a temp file next to the target (<file>.<pid>-<n>.tmp), fsynced, then renamed
+ *   over the target, so a crash or SIGTERM never leaves a truncated file at the final path
+ * - The directory is fsynced after the rename so the new entry survives a power loss
+ * - cleanupStaleTempFiles() removes temp files left by dead processes and orphaned partial
+ *   downloads (a .part without its .part.json sidecar, or the reverse) at startup
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const TEMP_PATTERN = /\.(\d+)-\d+\.tmp$/;
+
+let tempCounter = 0;
+
+// Unique per write, so concurrent saves of the same file never rename each other's temp file
+function tempPathFor(filePath) {
+    tempCounter++;
+    return `${filePath}.${process.pid}-${tempCounter}.tmp`;
+}
+
+async function syncFile(filePath) {
+    const handle = await fs.open(filePath, 'r+');
+    try {
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+}
+
+// Not every platform allows fsync on a directory; the rename itself is still atomic there
+async function syncDir(dir) {
+    let handle;
+    try {
+        handle = await fs.open(dir, 'r');
+        await handle.sync();
+    } catch (error) {
+        // Ignore EISDIR/EPERM/EINVAL
+    } finally {
+        if (handle) await handle.close().catch(() => {});
+    }
+}
+
+// Flush a finished temp file and move it over filePath
+async function commitFile(tempPath, filePath) {
+    await syncFile(tempPath);
+    await fs.rename(tempPath, filePath);
+    await syncDir(path.dirname(filePath));
+}
+
+async function writeFileAtomic(filePath, data, encoding = 'utf8') {
+    const tempPath = tempPathFor(filePath);
+    try {
+        await fs.writeFile(tempPath, data, encoding);
+        await commitFile(tempPath, filePath);
+    } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+// True for temp files nobody is writing anymore; another live worker may share the directory
+function isStaleTemp(name, names) {
+    const temp = name.match(TEMP_PATTERN);
+    if (temp) {
+        const pid = Number(temp[1]);
+        return pid !== process.pid && !isProcessAlive(pid);
+    }
+    if (name.endsWith('.part')) {
+        return !names.has(`${name}.json`);
+    }
+    if (name.endsWith('.part.json')) {
+        return !names.has(name.slice(0, -'.json'.length));
+    }
+    return false;
+}
+
+// Remove stale temp files below dir; returns the removed paths
+async function cleanupStaleTempFiles(dir) {
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const names = new Set(entries.filter(entry => entry.isFile()).map(entry => entry.name));
+    const removed = [];
+
+    for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            removed.push(...await cleanupStaleTempFiles(entryPath));
+        } else if (entry.isFile() && isStaleTemp(entry.name, names)) {
+            await fs.unlink(entryPath).catch(() => {});
+            removed.push(entryPath);
+        }
+    }
+    return removed;
+}
+
+export { tempPathFor, syncFile, syncDir, commitFile, writeFileAtomic, cleanupStaleTempFiles };
@@ -1,43 +1,41 @@
 #!/usr/bin/env node
 /**
  * Batch Processor for GitHub Actions
- * Processes symbols in batches based on start_index and count
+ * Processes symbols in batches based on start_index and count, optionally over a symbol selection
+ * (--quote USDT --class plain --match REGEX, see symbol_metadata.js)
  */
 
-import fs from 'fs/promises';
 import { spawn } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { loadSymbolsFile } from './discover_symbols.js';
+import { selectSymbols, describeSelection } from './symbol_metadata.js';
+import { parseBatchArgs } from './worker_args.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 async function main() {
     try {
-        // Get command line arguments
-        const startIndex = parseInt(process.argv[2]) || 0;
-        const count = parseInt(process.argv[3]) || 100;
+        // Get command line arguments: [startIndex] [count] over the selected symbols, then flags forwarded to every worker
+        const { startIndex, count, selection, workerArgs } = parseBatchArgs();
         
         console.log(`🚀 Starting batch processing:`);
         console.log(`   Start Index: ${startIndex}`);
-        console.log(`   Count: ${count}`);
-        
-        // Load symbols
-        const symbolsPath = path.join(__dirname, 'symbols.json');
-        const symbolsData = await fs.readFile(symbolsPath, 'utf8');
-        const symbolsFile = JSON.parse(symbolsData);
-        
-        // Extract the symbols array from the file structure
-        const symbols = symbolsFile.symbols || symbolsFile;
-        
-        if (!Array.isArray(symbols)) {
-            throw new Error(`Invalid symbols format. Expected array, got: ${typeof symbols}`);
+        console.log(`   Count: ${Number.isFinite(count) ? count : 'all'}`);
+        console.log(`   Selection: ${describeSelection(selection)}`);
+        if (workerArgs.length > 0) {
+            console.log(`   Worker options: ${workerArgs.join(' ')}`);
         }
         
-        console.log(`📊 Total symbols available: ${symbols.length}`);
+        // Load symbols (regenerate the list with: node discover_symbols.js)
+        const { symbols } = await loadSymbolsFile();
+        
+        const selected = selectSymbols(symbols, selection);
+        console.log(`📊 Total symbols available: ${symbols.length}${selection ? `, ${selected.length} selected` : ''}`);
         
         // Extract batch
-        const batchSymbols = symbols.slice(startIndex, startIndex + count);
+        const batchSymbols = selected.slice(startIndex, startIndex + count);
         console.log(`🎯 Processing batch: ${batchSymbols.length} symbols`);
         console.log(`   Symbols: ${batchSymbols.join(', ')}`);
         
@@ -47,7 +45,7 @@ async function main() {
             console.log(`\n🔄 Processing symbol ${i + 1}/${batchSymbols.length}: ${symbol}`);
             
             try {
-                await processSymbol(symbol);
+                await processSymbol(symbol, workerArgs);
                 console.log(`✅ Completed: ${symbol}`);
             } catch (error) {
                 console.error(`❌ Failed: ${symbol} - ${error.message}`);
@@ -66,11 +64,11 @@ async function main() {
     }
 }
 
-function processSymbol(symbol) {
+function processSymbol(symbol, workerArgs = []) {
     return new Promise((resolve, reject) => {
         console.log(`   🚀 Starting worker for ${symbol}...`);
         
-        const worker = spawn('node', ['github_actions_worker.js', symbol], {
+        const worker = spawn('node', ['github_actions_worker.js', symbol, ...workerArgs], {
             stdio: 'inherit',
             cwd: __dirname
         });
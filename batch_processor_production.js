@@ -4,40 +4,37 @@
  * Uses the advanced worker system with pagination and robust file discovery
  */
 
-import fs from 'fs/promises';
 import { spawn } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { loadSymbolsFile } from './discover_symbols.js';
+import { selectSymbols, describeSelection } from './symbol_metadata.js';
+import { parseBatchArgs } from './worker_args.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 async function main() {
     try {
-        // Get command line arguments
-        const startIndex = parseInt(process.argv[2]) || 0;
-        const count = parseInt(process.argv[3]) || 100;
+        // Get command line arguments: [startIndex] [count] over the selected symbols, then flags forwarded to every worker
+        const { startIndex, count, selection, workerArgs } = parseBatchArgs();
         
         console.log(`🚀 Starting PRODUCTION batch processing:`);
         console.log(`   Start Index: ${startIndex}`);
-        console.log(`   Count: ${count}`);
-        
-        // Load symbols
-        const symbolsPath = path.join(__dirname, 'symbols.json');
-        const symbolsData = await fs.readFile(symbolsPath, 'utf8');
-        const symbolsFile = JSON.parse(symbolsData);
-        
-        // Extract the symbols array from the file structure
-        const symbols = symbolsFile.symbols || symbolsFile;
-        
-        if (!Array.isArray(symbols)) {
-            throw new Error(`Invalid symbols format. Expected array, got: ${typeof symbols}`);
+        console.log(`   Count: ${Number.isFinite(count) ? count : 'all'}`);
+        console.log(`   Selection: ${describeSelection(selection)}`);
+        if (workerArgs.length > 0) {
+            console.log(`   Worker options: ${workerArgs.join(' ')}`);
         }
         
-        console.log(`📊 Total symbols available: ${symbols.length}`);
+        // Load symbols (regenerate the list with: node discover_symbols.js)
+        const { symbols } = await loadSymbolsFile();
+        
+        const selected = selectSymbols(symbols, selection);
+        console.log(`📊 Total symbols available: ${symbols.length}${selection ? `, ${selected.length} selected` : ''}`);
         
         // Extract batch
-        const batchSymbols = symbols.slice(startIndex, startIndex + count);
+        const batchSymbols = selected.slice(startIndex, startIndex + count);
         console.log(`🎯 Processing batch: ${batchSymbols.length} symbols`);
         console.log(`   Symbols: ${batchSymbols.join(', ')}`);
         
@@ -47,7 +44,7 @@ async function main() {
             console.log(`\n🔄 Processing symbol ${i + 1}/${batchSymbols.length}: ${symbol}`);
             
             try {
-                await processSymbolProduction(symbol);
+                await processSymbolProduction(symbol, workerArgs);
                 console.log(`✅ Completed: ${symbol}`);
             } catch (error) {
                 console.error(`❌ Failed: ${symbol} - ${error.message}`);
@@ -66,12 +63,12 @@ async function main() {
     }
 }
 
-function processSymbolProduction(symbol) {
+function processSymbolProduction(symbol, workerArgs = []) {
     return new Promise((resolve, reject) => {
         console.log(`   🚀 Starting PRODUCTION worker for ${symbol}...`);
         
         // Use the production worker system with pagination and robust file discovery
-        const worker = spawn('node', ['worker_system_production.js', symbol], {
+        const worker = spawn('node', ['worker_system_production.js', symbol, ...workerArgs], {
             stdio: 'inherit',
             cwd: __dirname,
             env: {
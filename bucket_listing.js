@@ -0,0 +1,260 @@
+/**
+ * Bucket Listing Client - shared by every worker
+ * Speaks the S3-compatible ListObjects API exposed by the KuCoin historical data bucket:
+ * - ListObjects v1 (marker) and v2 (list-type=2 + continuation-token) pagination
+ * - Parses each <Contents> block on its own, so a key without a <Size> never
+ *   shifts the sizes of the keys that follow it
+ * - Returns typed entries: { key, size, etag, lastModified }
+ * - Pages are fetched with the shared HTTP client (keep-alive, redirects, rate limiter, mirror failover)
+ */
+
+import { resolveDataset, datasetPrefix } from './datasets.js';
+import { archiveDate, isDateInRange, isAfterRange, rangeStartMarker } from './date_range.js';
+import { primaryBaseUrl } from './endpoints.js';
+import { requestText, isRetryable } from './http_client.js';
+
+const LISTING_CONFIG = {
+    listType: 1,          // 1 = marker pagination, 2 = continuation-token pagination
+    maxKeys: 1000,        // Keys per page (S3 maximum)
+    timeout: 30000,       // Request timeout
+    maxRetries: 3,        // Retries per page on network errors, timeouts and 5xx
+    retryDelay: 2000      // Base delay, multiplied by the attempt number
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return XML_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+function readTag(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeXml(match[1].trim()) : null;
+}
+
+function readBlocks(xml, tag) {
+    return xml.match(new RegExp(`<${tag}>[\\s\\S]*?</${tag}>`, 'g')) || [];
+}
+
+// Parse one ListBucketResult page (v1 or v2)
+function parseListBucketResult(xml) {
+    if (!xml.includes('<ListBucketResult')) {
+        const code = readTag(xml, 'Code');
+        throw new Error(code ? `Bucket listing error: ${code}` : 'Response is not a ListBucketResult');
+    }
+
+    const entries = readBlocks(xml, 'Contents').map(block => {
+        const size = readTag(block, 'Size');
+        const etag = readTag(block, 'ETag');
+        return {
+            key: readTag(block, 'Key'),
+            size: size !== null ? Number(size) : null,
+            etag: etag !== null ? etag.replace(/^"|"$/g, '') : null,
+            lastModified: readTag(block, 'LastModified')
+        };
+    }).filter(entry => entry.key);
+
+    const commonPrefixes = readBlocks(xml, 'CommonPrefixes')
+        .map(block => readTag(block, 'Prefix'))
+        .filter(Boolean);
+
+    // Strip the repeated blocks so top-level tags can't be picked up from inside them
+    const envelope = xml
+        .replace(/<Contents>[\s\S]*?<\/Contents>/g, '')
+        .replace(/<CommonPrefixes>[\s\S]*?<\/CommonPrefixes>/g, '');
+
+    return {
+        entries,
+        commonPrefixes,
+        isTruncated: (readTag(envelope, 'IsTruncated') || 'false').toLowerCase() === 'true',
+        nextMarker: readTag(envelope, 'NextMarker'),
+        nextContinuationToken: readTag(envelope, 'NextContinuationToken')
+    };
+}
+
+// Fetch one listing page, retrying transient failures with linear backoff
+async function fetchListing(url, options) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const { body } = await requestText(url, {
+                timeout: options.timeout,
+                signal: options.signal,
+                rateLimiter: options.rateLimiter,
+                acceptContentType: /xml/i
+            });
+            return body;
+        } catch (error) {
+            if (attempt >= options.maxRetries || !isRetryable(error)) {
+                throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, options.retryDelay * (attempt + 1)));
+        }
+    }
+}
+
+function buildListingUrl(prefix, options, cursor) {
+    const params = new URLSearchParams({ prefix, 'max-keys': String(options.maxKeys) });
+    if (options.delimiter) params.set('delimiter', options.delimiter);
+
+    if (options.listType === 2) {
+        params.set('list-type', '2');
+        if (cursor) {
+            params.set('continuation-token', cursor);
+        } else if (options.startAfter) {
+            params.set('start-after', options.startAfter);
+        }
+    } else if (cursor || options.startAfter) {
+        params.set('marker', cursor || options.startAfter);
+    }
+
+    return `${options.baseUrl}/?${params.toString()}`;
+}
+
+// Next page cursor: the server's token/marker, or the last key/prefix of this page for v1
+function nextCursor(page, options) {
+    if (options.listType === 2) {
+        return page.nextContinuationToken;
+    }
+    if (page.nextMarker) {
+        return page.nextMarker;
+    }
+    const lastKey = page.entries.length > 0 ? page.entries[page.entries.length - 1].key : null;
+    const lastPrefix = page.commonPrefixes.length > 0 ? page.commonPrefixes[page.commonPrefixes.length - 1] : null;
+    if (lastKey && lastPrefix) {
+        return lastKey > lastPrefix ? lastKey : lastPrefix;
+    }
+    return lastKey || lastPrefix;
+}
+
+// Yield every listing page under a prefix
+async function* listPages(prefix, options = {}) {
+    const settings = { baseUrl: primaryBaseUrl(), ...LISTING_CONFIG, ...options };
+    let cursor = null;
+    let pageNumber = 0;
+
+    while (true) {
+        pageNumber++;
+        const url = buildListingUrl(prefix, settings, cursor);
+        const xml = await fetchListing(url, settings);
+        const page = { ...parseListBucketResult(xml), pageNumber, url };
+
+        yield page;
+
+        if (!page.isTruncated) {
+            break;
+        }
+
+        const next = nextCursor(page, settings);
+        if (!next || next === cursor) {
+            throw new Error(`Listing for ${prefix} is truncated but no next ${settings.listType === 2 ? 'continuation token' : 'marker'} was returned (page ${pageNumber})`);
+        }
+        cursor = next;
+    }
+}
+
+// Yield every object under a prefix
+async function* listObjects(prefix, options = {}) {
+    for await (const page of listPages(prefix, options)) {
+        yield* page.entries;
+    }
+}
+
+// Collect a full listing; options.onPage(page) is called for each page
+async function listAllObjects(prefix, options = {}) {
+    const entries = [];
+    const commonPrefixes = [];
+    let pages = 0;
+
+    for await (const page of listPages(prefix, options)) {
+        pages++;
+        entries.push(...page.entries);
+        commonPrefixes.push(...page.commonPrefixes);
+        if (options.onPage) {
+            options.onPage(page);
+        }
+    }
+
+    return { entries, commonPrefixes, pages };
+}
+
+function symbolPrefix(symbol, dataset = resolveDataset()) {
+    return datasetPrefix(dataset, symbol);
+}
+
+function isArchiveKey(key) {
+    return key.endsWith('.zip');
+}
+
+function objectUrl(key, baseUrl = primaryBaseUrl()) {
+    return `${baseUrl}/${key}`;
+}
+
+// Marker that lets the listing start at range.from instead of the symbol's first archive
+async function findRangeStartMarker(prefix, range, options) {
+    for await (const page of listPages(prefix, { ...options, maxKeys: 1, startAfter: null })) {
+        return page.entries.length > 0 ? rangeStartMarker(page.entries[0].key, range) : null;
+    }
+    return null;
+}
+
+// List the archives (.zip, no .CHECKSUM) published for a symbol
+// - options.dataset picks the dataset and defaults to spot daily trades
+// - options.dateRange ({ from, to }) keeps only archives dated inside the range, skipping
+//   ahead with a marker and stopping once the listing passes range.to
+// - options.startAfter starts the listing after a known key (sync mode); with a range the
+//   later of the two positions wins
+async function listSymbolArchives(symbol, options = {}) {
+    const prefix = symbolPrefix(symbol, options.dataset);
+    const range = options.dateRange || null;
+    let startAfter = options.startAfter || null;
+
+    if (range && range.from) {
+        const rangeMarker = await findRangeStartMarker(prefix, range, options);
+        if (rangeMarker && (!startAfter || rangeMarker > startAfter)) {
+            startAfter = rangeMarker;
+        }
+    }
+
+    const archives = [];
+    for await (const page of listPages(prefix, { ...options, startAfter })) {
+        if (options.onPage) {
+            options.onPage(page);
+        }
+
+        let pastRange = false;
+        for (const entry of page.entries) {
+            if (!isArchiveKey(entry.key)) continue;
+
+            const date = archiveDate(entry.key);
+            if (isAfterRange(date, range)) {
+                pastRange = true;
+            } else if (isDateInRange(date, range)) {
+                archives.push(entry);
+            }
+        }
+
+        if (pastRange) break;
+    }
+
+    return archives;
+}
+
+export {
+    LISTING_CONFIG,
+    parseListBucketResult,
+    listPages,
+    listObjects,
+    listAllObjects,
+    listSymbolArchives,
+    symbolPrefix,
+    isArchiveKey,
+    objectUrl
+};
@@ -0,0 +1,425 @@
+#!/usr/bin/env node
+/**
+ * File Catalog - embedded SQLite database of everything the workers listed, downloaded and verified
+ * - symbols: every symbol listed per dataset, with when it was first seen and last listed
+ * - remote_objects: every archive the bucket listed (size, ETag, date) and whether it was downloaded or failed
+ * - local_files: archives, checksum files, CSVs and Parquet files written for each object
+ * - verifications: checksum, ZIP, CSV, row and Parquet checks, passed or failed
+ * - runs: one row per worker run with its status and counters
+ * Every write happens in a transaction; WAL mode lets several worker processes share the file.
+ *
+ * Usage: node catalog.js missing [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--symbol SYMBOL]...
+ *        node catalog.js runs [--limit N]
+ *        node catalog.js summary
+ *        (dataset flags: [--market spot|futures] [--granularity daily|monthly] [--data-type trades|klines] [--interval 1m])
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import Database from 'better-sqlite3';
+import { archiveDate, parseDateRange } from './date_range.js';
+import { DATASET_OPTIONS, datasetFromArgs } from './worker_args.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CATALOG_CONFIG = {
+    path: process.env.CATALOG_PATH || path.join(__dirname, 'indexed', 'catalog.sqlite'),
+    busyTimeout: Number(process.env.CATALOG_BUSY_TIMEOUT) || 10000 // ms to wait for another process's write
+};
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS runs (
+        id INTEGER PRIMARY KEY,
+        worker TEXT NOT NULL,
+        dataset TEXT NOT NULL,
+        symbol TEXT,
+        github_run_id TEXT,
+        pid INTEGER,
+        started_at TEXT NOT NULL,
+        finished_at TEXT,
+        status TEXT NOT NULL DEFAULT 'running',
+        files_ok INTEGER NOT NULL DEFAULT 0,
+        files_failed INTEGER NOT NULL DEFAULT 0,
+        bytes INTEGER NOT NULL DEFAULT 0,
+        details TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS symbols (
+        dataset TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        first_seen_at TEXT NOT NULL,
+        last_listed_at TEXT,
+        object_count INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (dataset, symbol)
+    );
+
+    CREATE TABLE IF NOT EXISTS remote_objects (
+        key TEXT PRIMARY KEY,
+        dataset TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        date TEXT,
+        size INTEGER,
+        etag TEXT,
+        last_modified TEXT,
+        first_seen_at TEXT NOT NULL,
+        last_seen_at TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'listed',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        downloaded_at TEXT,
+        run_id INTEGER REFERENCES runs(id)
+    );
+    CREATE INDEX IF NOT EXISTS remote_objects_symbol ON remote_objects (dataset, symbol, date);
+    CREATE INDEX IF NOT EXISTS remote_objects_status ON remote_objects (dataset, status);
+
+    CREATE TABLE IF NOT EXISTS local_files (
+        path TEXT PRIMARY KEY,
+        key TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        size INTEGER,
+        rows INTEGER,
+        run_id INTEGER REFERENCES runs(id),
+        written_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS local_files_key ON local_files (key);
+
+    CREATE TABLE IF NOT EXISTS verifications (
+        id INTEGER PRIMARY KEY,
+        key TEXT NOT NULL,
+        run_id INTEGER REFERENCES runs(id),
+        kind TEXT NOT NULL,
+        ok INTEGER NOT NULL,
+        algorithm TEXT,
+        expected TEXT,
+        actual TEXT,
+        error TEXT,
+        checked_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS verifications_key ON verifications (key);
+`;
+
+// Calendar step between two archive dates of a granularity (monthly dates are YYYY-MM)
+const DATE_STEPS = {
+    daily: `date(day, '+1 day')`,
+    monthly: `substr(date(day || '-01', '+1 month'), 1, 7)`
+};
+
+function now() {
+    return new Date().toISOString();
+}
+
+// Open (creating if needed) the catalog at filePath and return its recording and query functions
+function openCatalog(filePath = CATALOG_CONFIG.path) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const db = new Database(filePath, { timeout: CATALOG_CONFIG.busyTimeout });
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+    db.pragma('foreign_keys = ON');
+
+    const version = db.pragma('user_version', { simple: true });
+    if (version > SCHEMA_VERSION) {
+        db.close();
+        throw new Error(`Catalog ${filePath} has schema version ${version}, newer than this code (${SCHEMA_VERSION})`);
+    }
+    db.exec(SCHEMA);
+    db.pragma(`user_version = ${SCHEMA_VERSION}`);
+
+    const statements = {
+        startRun: db.prepare(`
+            INSERT INTO runs (worker, dataset, symbol, github_run_id, pid, started_at, details)
+            VALUES (@worker, @dataset, @symbol, @githubRunId, @pid, @startedAt, @details)`),
+        updateRun: db.prepare(`
+            UPDATE runs SET files_ok = @filesOk, files_failed = @filesFailed, bytes = @bytes,
+                details = coalesce(@details, details)
+            WHERE id = @id`),
+        finishRun: db.prepare(`UPDATE runs SET status = @status, finished_at = @finishedAt WHERE id = @id`),
+        upsertSymbol: db.prepare(`
+            INSERT INTO symbols (dataset, symbol, first_seen_at) VALUES (@dataset, @symbol, @seenAt)
+            ON CONFLICT (dataset, symbol) DO NOTHING`),
+        markSymbolListed: db.prepare(`
+            UPDATE symbols SET last_listed_at = @seenAt,
+                object_count = (SELECT count(*) FROM remote_objects WHERE dataset = @dataset AND symbol = @symbol)
+            WHERE dataset = @dataset AND symbol = @symbol`),
+        // An object whose size or ETag changed since it was recorded has to be fetched again
+        upsertObject: db.prepare(`
+            INSERT INTO remote_objects (key, dataset, symbol, date, size, etag, last_modified, first_seen_at, last_seen_at)
+            VALUES (@key, @dataset, @symbol, @date, @size, @etag, @lastModified, @seenAt, @seenAt)
+            ON CONFLICT (key) DO UPDATE SET
+                status = CASE WHEN size IS NOT excluded.size OR etag IS NOT excluded.etag THEN 'listed' ELSE status END,
+                size = excluded.size,
+                etag = excluded.etag,
+                last_modified = excluded.last_modified,
+                last_seen_at = excluded.last_seen_at`),
+        markDownloaded: db.prepare(`
+            UPDATE remote_objects SET status = 'downloaded', attempts = attempts + 1, last_error = NULL,
+                downloaded_at = @at, run_id = @runId
+            WHERE key = @key`),
+        markFailed: db.prepare(`
+            UPDATE remote_objects SET status = 'failed', attempts = attempts + 1, last_error = @error, run_id = @runId
+            WHERE key = @key`),
+        upsertLocalFile: db.prepare(`
+            INSERT INTO local_files (path, key, kind, size, rows, run_id, written_at)
+            VALUES (@path, @key, @kind, @size, @rows, @runId, @at)
+            ON CONFLICT (path) DO UPDATE SET key = excluded.key, kind = excluded.kind, size = excluded.size,
+                rows = excluded.rows, run_id = excluded.run_id, written_at = excluded.written_at`),
+        deleteLocalFiles: db.prepare(`DELETE FROM local_files WHERE key = ?`),
+        insertVerification: db.prepare(`
+            INSERT INTO verifications (key, run_id, kind, ok, algorithm, expected, actual, error, checked_at)
+            VALUES (@key, @runId, @kind, @ok, @algorithm, @expected, @actual, @error, @at)`),
+        listedSymbols: db.prepare(`SELECT symbol FROM symbols WHERE dataset = ? AND last_listed_at IS NOT NULL`),
+        pendingObjects: db.prepare(`
+            SELECT key, symbol, date, size, etag, last_modified AS lastModified, status, attempts
+            FROM remote_objects WHERE dataset = ? AND status != 'downloaded' ORDER BY symbol, key`),
+        symbolObjects: db.prepare(`
+            SELECT key, date, size, status, attempts, last_error AS lastError
+            FROM remote_objects WHERE dataset = ? AND symbol = ? ORDER BY key`),
+        runs: db.prepare(`SELECT * FROM runs ORDER BY id DESC LIMIT ?`),
+        summary: db.prepare(`
+            SELECT dataset, count(DISTINCT symbol) AS symbols, count(*) AS objects,
+                sum(status = 'downloaded') AS downloaded, sum(status = 'failed') AS failed,
+                sum(status = 'listed') AS pending, sum(CASE WHEN status = 'downloaded' THEN size ELSE 0 END) AS bytes
+            FROM remote_objects GROUP BY dataset ORDER BY dataset`)
+    };
+
+    // The object row is created when a download is recorded for a file that was never listed here
+    function ensureObject(dataset, file, seenAt) {
+        statements.upsertSymbol.run({ dataset: dataset.id, symbol: file.symbol, seenAt });
+        statements.upsertObject.run({
+            key: file.key,
+            dataset: dataset.id,
+            symbol: file.symbol,
+            date: archiveDate(file.key),
+            size: file.size ?? null,
+            etag: file.etag ?? null,
+            lastModified: file.lastModified ?? null,
+            seenAt
+        });
+    }
+
+    function insertVerifications(key, runId, verifications, at) {
+        for (const check of verifications) {
+            statements.insertVerification.run({
+                key,
+                runId,
+                kind: check.kind,
+                ok: check.ok ? 1 : 0,
+                algorithm: check.algorithm ?? null,
+                expected: check.expected ?? null,
+                actual: check.actual ?? null,
+                error: check.error ?? null,
+                at
+            });
+        }
+    }
+
+    function updateRun(id, { filesOk = 0, filesFailed = 0, bytes = 0, details = null } = {}) {
+        statements.updateRun.run({ id, filesOk, filesFailed, bytes, details: details ? JSON.stringify(details) : null });
+    }
+
+    // status: completed | failed | interrupted
+    const finishRun = db.transaction((id, status, counters = null) => {
+        if (counters) updateRun(id, counters);
+        statements.finishRun.run({ id, status, finishedAt: now() });
+    });
+
+    const recordListing = db.transaction((dataset, symbol, entries) => {
+        const seenAt = now();
+        statements.upsertSymbol.run({ dataset: dataset.id, symbol, seenAt });
+        for (const entry of entries) {
+            statements.upsertObject.run({
+                key: entry.key,
+                dataset: dataset.id,
+                symbol,
+                date: archiveDate(entry.key),
+                size: entry.size ?? null,
+                etag: entry.etag ?? null,
+                lastModified: entry.lastModified ?? null,
+                seenAt
+            });
+        }
+        statements.markSymbolListed.run({ dataset: dataset.id, symbol, seenAt });
+    });
+
+    // files: [{ path, kind: archive|checksum|csv|parquet, size, rows }] replacing what was recorded for the key;
+    // verifications: [{ kind: checksum|zip|csv|rows|parquet, ok, algorithm, expected, actual, error }]
+    const recordDownload = db.transaction((dataset, file, { runId = null, files = [], verifications = [] } = {}) => {
+        const at = now();
+        ensureObject(dataset, file, at);
+        statements.markDownloaded.run({ key: file.key, runId, at });
+        statements.deleteLocalFiles.run(file.key);
+        for (const local of files) {
+            statements.upsertLocalFile.run({
+                path: path.resolve(local.path),
+                key: file.key,
+                kind: local.kind,
+                size: local.size ?? null,
+                rows: local.rows ?? null,
+                runId,
+                at
+            });
+        }
+        insertVerifications(file.key, runId, verifications, at);
+    });
+
+    const recordDownloadFailure = db.transaction((dataset, file, { runId = null, error, verifications = [] } = {}) => {
+        const at = now();
+        ensureObject(dataset, file, at);
+        statements.markFailed.run({ key: file.key, runId, error: error ? String(error) : null });
+        statements.deleteLocalFiles.run(file.key);
+        insertVerifications(file.key, runId, verifications, at);
+    });
+
+    // Days (months for monthly datasets) with no downloaded archive, per symbol, from `since` (or the symbol's
+    // first listed date, whichever is later) to `until` (or its last listed date). Each gap is either listed
+    // but not downloaded yet (status listed/failed) or absent from every listing (status null).
+    function missingDays(dataset, { since = null, until = null, symbols = null } = {}) {
+        const rows = db.prepare(`
+            WITH RECURSIVE bounds AS (
+                SELECT symbol, max(min(date), coalesce(@since, '')) AS first, min(max(date), coalesce(@until, '9999')) AS last
+                FROM remote_objects WHERE dataset = @dataset AND date IS NOT NULL GROUP BY symbol
+            ),
+            days (symbol, day, last) AS (
+                SELECT symbol, first, last FROM bounds WHERE first <= last
+                UNION ALL
+                SELECT symbol, ${DATE_STEPS[dataset.granularity]}, last FROM days WHERE day < last
+            )
+            SELECT days.symbol, days.day AS date, o.status, o.last_error AS error
+            FROM days LEFT JOIN remote_objects o ON o.dataset = @dataset AND o.symbol = days.symbol AND o.date = days.day
+            WHERE o.status IS NULL OR o.status != 'downloaded'
+            ORDER BY days.symbol, days.day`).all({
+            dataset: dataset.id,
+            since: since && dataset.granularity === 'monthly' ? since.slice(0, 7) : since,
+            until: until && dataset.granularity === 'monthly' ? until.slice(0, 7) : until
+        });
+
+        const bySymbol = new Map();
+        for (const row of rows) {
+            if (symbols && !symbols.includes(row.symbol)) continue;
+            if (!bySymbol.has(row.symbol)) {
+                bySymbol.set(row.symbol, { symbol: row.symbol, missing: [] });
+            }
+            bySymbol.get(row.symbol).missing.push({ date: row.date, status: row.status, error: row.error });
+        }
+        return Array.from(bySymbol.values());
+    }
+
+    return {
+        path: filePath,
+        startRun({ worker, dataset, symbol = null, details = null }) {
+            return Number(statements.startRun.run({
+                worker,
+                dataset: dataset.id,
+                symbol,
+                githubRunId: process.env.GITHUB_RUN_ID || null,
+                pid: process.pid,
+                startedAt: now(),
+                details: details ? JSON.stringify(details) : null
+            }).lastInsertRowid);
+        },
+        updateRun,
+        finishRun,
+        recordListing,
+        recordDownload,
+        recordDownloadFailure,
+        listedSymbols: dataset => statements.listedSymbols.all(dataset.id).map(row => row.symbol),
+        pendingObjects: dataset => statements.pendingObjects.all(dataset.id),
+        symbolObjects: (dataset, symbol) => statements.symbolObjects.all(dataset.id, symbol),
+        missingDays,
+        runs: (limit = 20) => statements.runs.all(limit),
+        summary: () => statements.summary.all(),
+        close: () => db.close()
+    };
+}
+
+// Verification row for a compareChecksum() result (also attached to checksum mismatch errors as error.checksum)
+function checksumVerification(checksum) {
+    return {
+        kind: 'checksum',
+        ok: checksum.valid,
+        algorithm: checksum.algorithm,
+        expected: checksum.expected,
+        actual: checksum.actual,
+        error: checksum.error
+    };
+}
+
+// Local files and verifications of a downloadResumable()/downloadWithChecksum() result, for recordDownload()
+function downloadRecord(filePath, result) {
+    return {
+        files: [
+            { path: filePath, kind: 'archive', size: result.bytes },
+            ...(result.checksumPath ? [{ path: result.checksumPath, kind: 'checksum' }] : [])
+        ],
+        verifications: result.checksum ? [checksumVerification(result.checksum)] : []
+    };
+}
+
+// One catalog per process, opened on first use
+let shared = null;
+function sharedCatalog() {
+    if (!shared) {
+        shared = openCatalog();
+    }
+    return shared;
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            ...DATASET_OPTIONS,
+            since: { type: 'string' },
+            until: { type: 'string' },
+            symbol: { type: 'string', multiple: true },
+            limit: { type: 'string', default: '20' }
+        }
+    });
+    const command = positionals[0] || 'summary';
+    const catalog = openCatalog();
+
+    try {
+        if (command === 'missing') {
+            const dataset = datasetFromArgs(values);
+            const range = parseDateRange(values.since, values.until);
+            const result = catalog.missingDays(dataset, {
+                since: range && range.from,
+                until: range && range.to,
+                symbols: values.symbol || null
+            });
+            console.log(`🕳️  ${dataset.id}: ${result.length} symbols with missing dates${values.since ? ` since ${values.since}` : ''}`);
+            for (const { symbol, missing } of result) {
+                const notListed = missing.filter(gap => !gap.status).length;
+                const failed = missing.filter(gap => gap.status === 'failed').length;
+                console.log(`   ${symbol}: ${missing.length} missing (${missing.length - notListed - failed} not downloaded, ${failed} failed, ${notListed} not listed)`);
+                console.log(`      ${missing.map(gap => gap.date).join(', ')}`);
+            }
+        } else if (command === 'runs') {
+            for (const run of catalog.runs(Number(values.limit))) {
+                console.log(`   #${run.id} ${run.started_at} ${run.worker} ${run.dataset}${run.symbol ? ` ${run.symbol}` : ''}: ${run.status}, ${run.files_ok} ok, ${run.files_failed} failed, ${(run.bytes / 1024 / 1024).toFixed(1)} MB`);
+            }
+        } else if (command === 'summary') {
+            for (const row of catalog.summary()) {
+                console.log(`🗂️  ${row.dataset}: ${row.symbols} symbols, ${row.objects} objects (${row.downloaded} downloaded, ${row.failed} failed, ${row.pending} pending), ${(row.bytes / 1024 / 1024).toFixed(1)} MB`);
+            }
+        } else {
+            throw new Error(`Unknown command "${command}". Expected missing, runs or summary`);
+        }
+    } finally {
+        catalog.close();
+    }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        console.error(`💥 Catalog query failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+export { CATALOG_CONFIG, openCatalog, sharedCatalog, checksumVerification, downloadRecord };
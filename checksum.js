@@ -0,0 +1,83 @@
+/**
+ * Checksum Verification
+ * - Parses published .CHECKSUM files: "<hash>", "<hash>  <filename>", "<hash> *<filename>"
+ *   and BSD style "SHA256 (<filename>) = <hash>"
+ * - Detects the algorithm from an explicit name or the digest length (md5, sha1, sha256, sha512)
+ * - Hashes incrementally, so archives never have to be read into memory
+ */
+
+import crypto from 'crypto';
+import { createReadStream } from 'fs';
+
+const DIGEST_LENGTHS = { 32: 'md5', 40: 'sha1', 64: 'sha256', 128: 'sha512' };
+const ALGORITHM_NAMES = { md5: 'md5', sha1: 'sha1', 'sha-1': 'sha1', sha256: 'sha256', 'sha-256': 'sha256', sha512: 'sha512', 'sha-512': 'sha512' };
+
+function algorithmFor(hash, name = null) {
+    if (name) {
+        const algorithm = ALGORITHM_NAMES[name.toLowerCase()];
+        if (!algorithm) throw new Error(`Unsupported checksum algorithm: ${name}`);
+        return algorithm;
+    }
+    const algorithm = DIGEST_LENGTHS[hash.length];
+    if (!algorithm) throw new Error(`Cannot detect checksum algorithm for a ${hash.length}-character digest`);
+    return algorithm;
+}
+
+function parseChecksumLine(line) {
+    const bsd = line.match(/^([A-Za-z0-9-]+)\s*\((.+)\)\s*=\s*([0-9a-fA-F]+)$/);
+    if (bsd) {
+        return { hash: bsd[3].toLowerCase(), filename: bsd[2], name: bsd[1] };
+    }
+    const gnu = line.match(/^([0-9a-fA-F]+)(?:\s+\*?(.+))?$/);
+    if (gnu) {
+        return { hash: gnu[1].toLowerCase(), filename: gnu[2] ? gnu[2].trim() : null, name: null };
+    }
+    return null;
+}
+
+// Expected { algorithm, hash } for filename from the text of a .CHECKSUM file
+function parseChecksumFile(text, filename = null) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+    const entries = lines.map(parseChecksumLine).filter(Boolean);
+
+    if (entries.length === 0) {
+        throw new Error('Checksum file has no digest');
+    }
+
+    const basename = filename ? filename.split('/').pop() : null;
+    const entry = (basename && entries.find(item => item.filename && item.filename.split('/').pop() === basename))
+        || (entries.length === 1 ? entries[0] : null);
+
+    if (!entry) {
+        throw new Error(`Checksum file has no digest for ${basename}`);
+    }
+
+    return { algorithm: algorithmFor(entry.hash, entry.name), hash: entry.hash };
+}
+
+function compareChecksum(expected, actualHash) {
+    const actual = actualHash.toLowerCase();
+    const valid = expected.hash === actual;
+    return {
+        valid,
+        algorithm: expected.algorithm,
+        expected: expected.hash,
+        actual,
+        error: valid ? null : 'Checksum mismatch'
+    };
+}
+
+// Hash a file (or its first `end` bytes) as a stream
+async function hashFile(filePath, algorithm, end = null) {
+    const hash = crypto.createHash(algorithm);
+    if (end === 0) {
+        return hash;
+    }
+    const stream = createReadStream(filePath, end === null ? {} : { end: end - 1 });
+    for await (const chunk of stream) {
+        hash.update(chunk);
+    }
+    return hash;
+}
+
+export { parseChecksumFile, compareChecksum, hashFile, algorithmFor };
@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+/**
+ * Coverage Report - which days every symbol has locally, and where the holes are
+ * - Expected calendar: every day (month for monthly datasets) from a symbol's first to its last listed archive
+ * - Listing gaps: calendar days the bucket has no archive for, i.e. KuCoin never published them
+ * - Local gaps: listed days without an archive on disk that matches its .CHECKSUM, with the reason
+ *   (not downloaded yet, download failed with the catalog's last error, unverified, or gone from disk)
+ * - Listings come from the catalog; --list refreshes them from the bucket first
+ * - Consecutive gap days are reported as ranges; --json writes the whole report for backtests to read
+ *
+ * Usage: node coverage_report.js [--symbol SYMBOL]... [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--list]
+ *                                [--source DIR]... [--skip-checksum] [--json coverage.json]
+ *                                [--market spot|futures] [--granularity daily|monthly] [--data-type trades|klines] [--interval 1m]
+ *                                [--base-url URL] [--mirror URL]... [--proxy URL]
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { listSymbolArchives } from './bucket_listing.js';
+import { archiveDate, datesBetween, describeDateRange, parseDateRange } from './date_range.js';
+import { findSymbolDirs, verifyArchive } from './publish_dataset.js';
+import { sharedCatalog } from './catalog.js';
+import { loadSymbolsFile } from './discover_symbols.js';
+import { DATASET_OPTIONS, ENDPOINT_OPTIONS, datasetFromArgs, applyEndpointArgs } from './worker_args.js';
+import { writeFileAtomic } from './atomic_files.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const COVERAGE_CONFIG = {
+    sources: [path.join(__dirname, 'worker_output'), path.join(__dirname, 'downloads')]
+};
+
+// Local gap reasons, from the catalog's status of the listed archive
+const STATUS_REASONS = {
+    listed: 'not downloaded',
+    failed: 'download failed',
+    downloaded: 'missing from disk'
+};
+
+// Symbol directories of every source for one dataset: symbol -> [dir, ...]
+async function indexSymbolDirs(sources, dataset) {
+    const index = new Map();
+    for (const sourceRoot of sources) {
+        for (const { dir, dataset: dirDataset, symbol } of await findSymbolDirs(sourceRoot)) {
+            if (dirDataset.id !== dataset.id) continue;
+            if (!index.has(symbol)) index.set(symbol, []);
+            index.get(symbol).push(dir);
+        }
+    }
+    return index;
+}
+
+// Archives on disk by date: date -> { path, verified, reason }; a verified copy in any source wins
+async function localArchives(dirs, { verify = true } = {}) {
+    const archives = new Map();
+    for (const dir of dirs) {
+        for (const filename of (await fs.readdir(dir)).filter(name => name.endsWith('.zip')).sort()) {
+            const date = archiveDate(filename);
+            if (!date || (archives.get(date) && archives.get(date).verified)) continue;
+
+            const zipPath = path.join(dir, filename);
+            let verification = { verified: true, reason: null };
+            if (verify) {
+                try {
+                    verification = await verifyArchive(zipPath);
+                } catch (error) {
+                    verification = { verified: false, reason: error.message };
+                }
+            }
+            archives.set(date, { path: zipPath, verified: verification.verified, reason: verification.reason });
+        }
+    }
+    return archives;
+}
+
+// Runs of consecutive calendar days that share a reason: [{ from, to, days, reason }]
+function toRanges(calendar, gaps) {
+    const ranges = [];
+    let current = null;
+    for (const date of calendar) {
+        const reason = gaps.get(date);
+        if (reason === undefined) {
+            current = null;
+            continue;
+        }
+        if (current && current.reason === reason) {
+            current.to = date;
+            current.days++;
+        } else {
+            current = { from: date, to: date, days: 1, reason };
+            ranges.push(current);
+        }
+    }
+    return ranges.map(({ reason, ...range }) => (reason ? { ...range, reason } : range));
+}
+
+// Clamp a symbol's first/last listed dates to the requested range, at the archives' precision
+function calendarBounds(listedDates, range) {
+    let first = listedDates[0];
+    let last = listedDates[listedDates.length - 1];
+    if (range && range.from && range.from.slice(0, first.length) > first) first = range.from.slice(0, first.length);
+    if (range && range.to && range.to.slice(0, last.length) < last) last = range.to.slice(0, last.length);
+    return { first, last };
+}
+
+// Coverage of one symbol from its catalog objects and its archives on disk
+function analyzeSymbol(symbol, objects, local, range) {
+    const listed = new Map(objects.filter(object => object.date).map(object => [object.date, object]));
+    const listedDates = Array.from(listed.keys()).sort();
+    if (listedDates.length === 0) {
+        return { symbol, first: null, last: null, expected: 0, listed: 0, local: 0, coverage: null, listingGaps: [], localGaps: [] };
+    }
+
+    const { first, last } = calendarBounds(listedDates, range);
+    const calendar = datesBetween(first, last);
+    const listingGaps = new Map();
+    const localGaps = new Map();
+    let listedCount = 0;
+    let localCount = 0;
+
+    for (const date of calendar) {
+        const object = listed.get(date);
+        const archive = local.get(date);
+        if (!object) {
+            listingGaps.set(date, null);
+            continue;
+        }
+        listedCount++;
+        if (archive && archive.verified) {
+            localCount++;
+        } else if (archive) {
+            localGaps.set(date, `unverified: ${archive.reason}`);
+        } else {
+            const reason = STATUS_REASONS[object.status] || object.status;
+            localGaps.set(date, object.status === 'failed' && object.lastError ? `${reason}: ${object.lastError}` : reason);
+        }
+    }
+
+    return {
+        symbol,
+        first,
+        last,
+        expected: calendar.length,
+        listed: listedCount,
+        local: localCount,
+        coverage: calendar.length > 0 ? Number((localCount / calendar.length).toFixed(4)) : null,
+        listingGaps: toRanges(calendar, listingGaps),
+        localGaps: toRanges(calendar, localGaps)
+    };
+}
+
+// Coverage report of a dataset; with list: true every symbol is listed from the bucket (and recorded) first
+async function analyzeCoverage({
+    dataset,
+    symbols = null,
+    dateRange = null,
+    sources = COVERAGE_CONFIG.sources,
+    verify = true,
+    list = false,
+    catalog = sharedCatalog(),
+    onSymbol = null
+}) {
+    if (list) {
+        for (const symbol of symbols || (await loadSymbolsFile()).symbols) {
+            const entries = await listSymbolArchives(symbol, { dataset, dateRange });
+            catalog.recordListing(dataset, symbol, entries);
+        }
+    }
+
+    const symbolDirs = await indexSymbolDirs(sources, dataset);
+    const report = [];
+    for (const symbol of (symbols || catalog.listedSymbols(dataset)).slice().sort()) {
+        const local = await localArchives(symbolDirs.get(symbol) || [], { verify });
+        const result = analyzeSymbol(symbol, catalog.symbolObjects(dataset, symbol), local, dateRange);
+        report.push(result);
+        if (onSymbol) onSymbol(result);
+    }
+
+    const sum = (field) => report.reduce((total, result) => total + result[field], 0);
+    const gapDays = (field) => report.reduce((total, result) => total + result[field].reduce((days, gap) => days + gap.days, 0), 0);
+    return {
+        dataset: dataset.id,
+        granularity: dataset.granularity,
+        dateRange,
+        generatedAt: new Date().toISOString(),
+        verified: verify,
+        totals: {
+            symbols: report.length,
+            expected: sum('expected'),
+            listed: sum('listed'),
+            local: sum('local'),
+            listingGapDays: gapDays('listingGaps'),
+            localGapDays: gapDays('localGaps'),
+            symbolsWithGaps: report.filter(result => result.listingGaps.length > 0 || result.localGaps.length > 0).length
+        },
+        symbols: report
+    };
+}
+
+function describeRange(range, unit) {
+    const span = range.from === range.to ? range.from : `${range.from} → ${range.to}`;
+    return `${span} (${range.days} ${unit}${range.days === 1 ? '' : 's'})`;
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            ...DATASET_OPTIONS,
+            ...ENDPOINT_OPTIONS,
+            symbol: { type: 'string', multiple: true },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            source: { type: 'string', multiple: true },
+            list: { type: 'boolean', default: false },
+            'skip-checksum': { type: 'boolean', default: false },
+            json: { type: 'string' }
+        }
+    });
+    const dataset = datasetFromArgs(values);
+    const dateRange = parseDateRange(values.from, values.to);
+    applyEndpointArgs(values);
+    const unit = dataset.granularity === 'monthly' ? 'month' : 'day';
+
+    console.log(`📈 Coverage of ${dataset.id} (${describeDateRange(dateRange)})${values.list ? ', listing the bucket first' : ''}`);
+    const summary = await analyzeCoverage({
+        dataset,
+        symbols: values.symbol || null,
+        dateRange,
+        sources: (values.source || COVERAGE_CONFIG.sources).map(source => path.resolve(source)),
+        verify: !values['skip-checksum'],
+        list: values.list,
+        onSymbol: (result) => {
+            if (result.expected === 0) {
+                console.log(`   ❔ ${result.symbol}: nothing listed${values.list ? '' : ' (run with --list)'}`);
+                return;
+            }
+            const icon = result.listingGaps.length === 0 && result.localGaps.length === 0 ? '✅' : '⚠️ ';
+            console.log(`   ${icon} ${result.symbol} ${result.first} → ${result.last}: ${result.local}/${result.expected} ${unit}s local (${(result.coverage * 100).toFixed(1)}%)`);
+            for (const gap of result.listingGaps) {
+                console.log(`      🕳️  not published: ${describeRange(gap, unit)}`);
+            }
+            for (const gap of result.localGaps) {
+                console.log(`      ⬇️  ${gap.reason}: ${describeRange(gap, unit)}`);
+            }
+        }
+    });
+
+    const { totals } = summary;
+    console.log(`📊 ${totals.symbols} symbols, ${totals.local}/${totals.expected} ${unit}s local, ${totals.listingGapDays} never published, ${totals.localGapDays} missing locally (${totals.symbolsWithGaps} symbols with gaps)`);
+    if (values.json) {
+        await writeFileAtomic(values.json, JSON.stringify(summary, null, 2));
+        console.log(`📝 Report written to ${values.json}`);
+    }
+    return summary;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        console.error(`💥 Coverage report failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+export { COVERAGE_CONFIG, indexSymbolDirs, localArchives, analyzeSymbol, analyzeCoverage };
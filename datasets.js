@@ -0,0 +1,101 @@
+/**
+ * Dataset Definitions
+ * Describes which part of the bucket a run collects:
+ * - market: spot | futures
+ * - granularity: daily | monthly archives
+ * - data type: trades | klines (klines need an interval)
+ * Each dataset knows its bucket prefix, its output layout and the CSV headers its archives must carry.
+ */
+
+import path from 'path';
+
+const MARKETS = ['spot', 'futures'];
+const GRANULARITIES = ['daily', 'monthly'];
+const KLINE_INTERVALS = ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d', '1w'];
+
+const DATA_TYPES = {
+    trades: {
+        expectedHeaders: ['trade_id', 'trade_time', 'price', 'size', 'side'],
+        intervals: null
+    },
+    klines: {
+        expectedHeaders: ['open_time', 'open', 'high', 'low', 'close', 'volume'],
+        intervals: KLINE_INTERVALS
+    }
+};
+
+const DEFAULT_DATASET = { market: 'spot', granularity: 'daily', dataType: 'trades', interval: null };
+
+// Validate a dataset selection and attach everything derived from it
+function resolveDataset(selection = {}) {
+    const market = selection.market || DEFAULT_DATASET.market;
+    const granularity = selection.granularity || DEFAULT_DATASET.granularity;
+    const dataType = selection.dataType || DEFAULT_DATASET.dataType;
+    const interval = selection.interval || null;
+
+    if (!MARKETS.includes(market)) {
+        throw new Error(`Unknown market "${market}". Expected one of: ${MARKETS.join(', ')}`);
+    }
+    if (!GRANULARITIES.includes(granularity)) {
+        throw new Error(`Unknown granularity "${granularity}". Expected one of: ${GRANULARITIES.join(', ')}`);
+    }
+
+    const typeInfo = DATA_TYPES[dataType];
+    if (!typeInfo) {
+        throw new Error(`Unknown data type "${dataType}". Expected one of: ${Object.keys(DATA_TYPES).join(', ')}`);
+    }
+    if (typeInfo.intervals && !interval) {
+        throw new Error(`Data type "${dataType}" needs an interval (${typeInfo.intervals.join(', ')})`);
+    }
+    if (typeInfo.intervals && !typeInfo.intervals.includes(interval)) {
+        throw new Error(`Unknown ${dataType} interval "${interval}". Expected one of: ${typeInfo.intervals.join(', ')}`);
+    }
+    if (!typeInfo.intervals && interval) {
+        throw new Error(`Data type "${dataType}" does not take an interval`);
+    }
+
+    const segments = [market, granularity, dataType, ...(interval ? [interval] : [])];
+
+    return {
+        market,
+        granularity,
+        dataType,
+        interval,
+        id: segments.join('/'),
+        slug: segments.join('-'),
+        isDefault: market === DEFAULT_DATASET.market
+            && granularity === DEFAULT_DATASET.granularity
+            && dataType === DEFAULT_DATASET.dataType,
+        expectedHeaders: typeInfo.expectedHeaders
+    };
+}
+
+// Bucket prefix holding one symbol's archives, e.g. data/spot/daily/klines/BTCUSDT/1m/
+function datasetPrefix(dataset, symbol) {
+    const base = `data/${dataset.market}/${dataset.granularity}/${dataset.dataType}/${symbol}/`;
+    return dataset.interval ? `${base}${dataset.interval}/` : base;
+}
+
+// Bucket prefix whose common prefixes are the dataset's symbols
+function datasetRootPrefix(dataset) {
+    return `data/${dataset.market}/${dataset.granularity}/${dataset.dataType}/`;
+}
+
+// Local directory for one symbol of a dataset, mirroring the bucket layout below data/,
+// e.g. worker_output/spot/daily/trades/BTCUSDT
+function datasetOutputDir(baseDir, dataset, symbol) {
+    const segments = datasetPrefix(dataset, symbol).split('/').filter(Boolean).slice(1);
+    return path.join(baseDir, ...segments);
+}
+
+export {
+    MARKETS,
+    GRANULARITIES,
+    KLINE_INTERVALS,
+    DATA_TYPES,
+    DEFAULT_DATASET,
+    resolveDataset,
+    datasetPrefix,
+    datasetRootPrefix,
+    datasetOutputDir
+};
@@ -0,0 +1,95 @@
+/**
+ * Date Range Filtering
+ * Archives carry their date in the filename:
+ *   daily:   BTCUSDT-trades-2024-01-31.zip  -> 2024-01-31
+ *   monthly: BTCUSDT-trades-2024-01.zip     -> 2024-01
+ * A range is inclusive on both ends; a monthly archive is in range when its month overlaps it.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ARCHIVE_DATE_PATTERN = /(\d{4}-\d{2}(?:-\d{2})?)\.zip(?:\.CHECKSUM)?$/;
+
+function validateDate(value, name) {
+    if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))
+        || new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) !== value) {
+        throw new Error(`Invalid ${name} date "${value}". Expected YYYY-MM-DD`);
+    }
+}
+
+// Build a range from --from/--to values; returns null when neither is set
+function parseDateRange(from, to) {
+    if (!from && !to) {
+        return null;
+    }
+    if (from) validateDate(from, '--from');
+    if (to) validateDate(to, '--to');
+    if (from && to && from > to) {
+        throw new Error(`--from ${from} is after --to ${to}`);
+    }
+    return { from: from || null, to: to || null };
+}
+
+// Date embedded in an archive key or filename (YYYY-MM-DD or YYYY-MM), or null
+function archiveDate(key) {
+    const match = key.match(ARCHIVE_DATE_PATTERN);
+    return match ? match[1] : null;
+}
+
+// Compare at the archive's own precision so monthly archives match any overlapping day
+function isDateInRange(date, range) {
+    if (!range) return true;
+    if (!date) return false;
+    if (range.from && date < range.from.slice(0, date.length)) return false;
+    if (range.to && date > range.to.slice(0, date.length)) return false;
+    return true;
+}
+
+function isAfterRange(date, range) {
+    return Boolean(range && range.to && date && date > range.to.slice(0, date.length));
+}
+
+// Listing marker that skips every archive dated before range.from, derived from
+// a sample key of the same symbol so the filename stem never has to be guessed
+function rangeStartMarker(sampleKey, range) {
+    const date = archiveDate(sampleKey);
+    if (!range || !range.from || !date) {
+        return null;
+    }
+    const from = range.from.slice(0, date.length);
+    if (date >= from) {
+        return null;
+    }
+    return sampleKey.slice(0, sampleKey.lastIndexOf(date)) + from;
+}
+
+// Every date from first to last inclusive, at their precision: days for YYYY-MM-DD, months for YYYY-MM
+function datesBetween(first, last) {
+    const dates = [];
+    const monthly = first.length === 7;
+    const cursor = new Date(`${monthly ? `${first}-01` : first}T00:00:00Z`);
+    for (let date = first; date <= last;) {
+        dates.push(date);
+        if (monthly) {
+            cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+        } else {
+            cursor.setUTCDate(cursor.getUTCDate() + 1);
+        }
+        date = cursor.toISOString().slice(0, monthly ? 7 : 10);
+    }
+    return dates;
+}
+
+function describeDateRange(range) {
+    if (!range) return 'all dates';
+    return `${range.from || 'first'} to ${range.to || 'latest'}`;
+}
+
+export {
+    parseDateRange,
+    archiveDate,
+    isDateInRange,
+    isAfterRange,
+    rangeStartMarker,
+    datesBetween,
+    describeDateRange
+};
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Symbol Discovery - regenerates symbols.json from the bucket
+ * - Lists data/spot/daily/trades/ (or the selected dataset) with delimiter "/" and reads the common prefixes
+ * - Writes a diff (added, removed, unchanged) against the existing symbols.json
+ * - Keeps the existing distribution metadata and notes
+ *
+ * Usage: node discover_symbols.js [--dry-run] [--output symbols.json] [--diff symbols_diff.json]
+ *                                 [--market futures] [--granularity monthly] [--data-type klines --interval 1m]
+ *                                 [--base-url URL] [--mirror URL]... [--proxy URL]
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { listAllObjects } from './bucket_listing.js';
+import { writeFileAtomic } from './atomic_files.js';
+import { resolveDataset, datasetRootPrefix } from './datasets.js';
+import { DATASET_OPTIONS, ENDPOINT_OPTIONS, datasetFromArgs, applyEndpointArgs } from './worker_args.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SYMBOLS_FILE = path.join(__dirname, 'symbols.json');
+const DIFF_FILE = path.join(__dirname, 'symbols_diff.json');
+
+// Load symbols.json (or $SYMBOLS_FILE), accepting both the { symbols: [...] } layout and a bare array
+async function loadSymbolsFile(filePath = process.env.SYMBOLS_FILE || SYMBOLS_FILE) {
+    const symbolsData = await fs.readFile(filePath, 'utf8');
+    const symbolsFile = JSON.parse(symbolsData);
+    const symbols = symbolsFile.symbols || symbolsFile;
+
+    if (!Array.isArray(symbols)) {
+        throw new Error(`Invalid symbols format. Expected array, got: ${typeof symbols}`);
+    }
+
+    return { symbols, metadata: Array.isArray(symbolsFile) ? {} : symbolsFile };
+}
+
+// Enumerate symbols as the common prefixes under the dataset root (spot daily trades by default)
+async function discoverSymbols(options = {}) {
+    const rootPrefix = datasetRootPrefix(options.dataset || resolveDataset());
+    const { commonPrefixes, pages } = await listAllObjects(rootPrefix, { ...options, delimiter: '/' });
+
+    const symbols = commonPrefixes
+        .map(prefix => prefix.slice(rootPrefix.length).replace(/\/$/, ''))
+        .filter(symbol => symbol.length > 0);
+
+    return { symbols: [...new Set(symbols)].sort(), pages, rootPrefix };
+}
+
+function diffSymbols(previous, current) {
+    const previousSet = new Set(previous);
+    const currentSet = new Set(current);
+
+    return {
+        added: current.filter(symbol => !previousSet.has(symbol)),
+        removed: previous.filter(symbol => !currentSet.has(symbol)),
+        unchanged: current.filter(symbol => previousSet.has(symbol))
+    };
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            ...DATASET_OPTIONS,
+            ...ENDPOINT_OPTIONS,
+            'dry-run': { type: 'boolean', default: false },
+            output: { type: 'string', default: SYMBOLS_FILE },
+            diff: { type: 'string', default: DIFF_FILE }
+        }
+    });
+
+    const dataset = datasetFromArgs(values);
+    const endpoints = applyEndpointArgs(values);
+
+    const via = endpoints.proxy ? ` via ${endpoints.proxy}` : '';
+    console.log(`🔍 Discovering symbols under ${datasetRootPrefix(dataset)} at ${endpoints.primary}${via}...`);
+    const { symbols, pages, rootPrefix } = await discoverSymbols({ dataset });
+    console.log(`📊 Found ${symbols.length} symbols across ${pages} listing pages`);
+
+    if (symbols.length === 0) {
+        throw new Error('Listing returned no symbols, refusing to overwrite the symbol list');
+    }
+
+    let previous = { symbols: [], metadata: {} };
+    try {
+        previous = await loadSymbolsFile(values.output);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        console.log(`⚠️  No existing symbol list at ${values.output}, everything counts as added`);
+    }
+
+    const diff = diffSymbols(previous.symbols, symbols);
+    const now = new Date().toISOString();
+
+    console.log(`   ➕ Added: ${diff.added.length}${diff.added.length ? ` (${diff.added.join(', ')})` : ''}`);
+    console.log(`   ➖ Removed: ${diff.removed.length}${diff.removed.length ? ` (${diff.removed.join(', ')})` : ''}`);
+    console.log(`   ✔️  Unchanged: ${diff.unchanged.length}`);
+
+    const diffReport = {
+        generatedAt: now,
+        prefix: rootPrefix,
+        previousTotal: previous.symbols.length,
+        currentTotal: symbols.length,
+        added: diff.added,
+        removed: diff.removed,
+        unchanged: diff.unchanged
+    };
+
+    if (values['dry-run']) {
+        console.log(`🧪 Dry run, ${values.output} and ${values.diff} left untouched`);
+        return diffReport;
+    }
+
+    const { symbols: _previousSymbols, totalSymbols: _previousTotal, ...metadata } = previous.metadata;
+    const symbolsFile = {
+        totalSymbols: symbols.length,
+        symbols,
+        ...metadata,
+        created: metadata.created || now,
+        updated: now
+    };
+
+    await writeFileAtomic(values.output, JSON.stringify(symbolsFile, null, 2));
+    await writeFileAtomic(values.diff, JSON.stringify(diffReport, null, 2));
+
+    console.log(`✅ Wrote ${values.output} and ${values.diff}`);
+    return diffReport;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        console.error(`💥 Symbol discovery failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+export { main, discoverSymbols, diffSymbols, loadSymbolsFile, SYMBOLS_FILE };
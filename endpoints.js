@@ -0,0 +1,160 @@
+/**
+ * Endpoints - where bucket requests go
+ * - Base URL, ordered fallback mirrors and an HTTP(S) proxy, from flags or the environment:
+ *     KUCOIN_BASE_URL   primary endpoint (default https://historical-data.kucoin.com)
+ *     KUCOIN_MIRRORS    comma-separated fallback endpoints, tried in order
+ *     KUCOIN_PROXY      proxy for every request; otherwise HTTPS_PROXY / HTTP_PROXY (NO_PROXY honored)
+ * - URLs are always built against the primary endpoint; http_client.js rewrites them to the active one
+ *   with resolveUrl(), so stored URLs (queues, resume sidecars) stay valid across a failover
+ * - failoverThreshold consecutive failures (network errors, timeouts, 5xx) on the active endpoint
+ *   move every later request to the next mirror, wrapping around to the primary after the last
+ */
+
+const DEFAULT_BASE_URL = 'https://historical-data.kucoin.com';
+
+function splitList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function normalizeBaseUrl(url) {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error(`Unsupported endpoint protocol in ${url}`);
+    }
+    return url.replace(/\/+$/, '');
+}
+
+const ENDPOINT_CONFIG = {
+    baseUrl: process.env.KUCOIN_BASE_URL || DEFAULT_BASE_URL,
+    mirrors: splitList(process.env.KUCOIN_MIRRORS),
+    proxy: process.env.KUCOIN_PROXY || null,
+    noProxy: process.env.NO_PROXY || process.env.no_proxy || '',
+    failoverThreshold: 3
+};
+
+const pool = {
+    endpoints: [],
+    active: 0,
+    failures: 0,
+    proxy: null,
+    noProxy: [],
+    threshold: ENDPOINT_CONFIG.failoverThreshold,
+    onFailover: null
+};
+
+// Replace the endpoint settings; unset fields keep their environment defaults
+function configureEndpoints(options = {}) {
+    const settings = { ...ENDPOINT_CONFIG };
+    for (const [name, value] of Object.entries(options)) {
+        if (value !== undefined && value !== null) settings[name] = value;
+    }
+
+    pool.endpoints = [settings.baseUrl, ...settings.mirrors].map(normalizeBaseUrl)
+        .filter((url, index, list) => list.indexOf(url) === index);
+    pool.active = 0;
+    pool.failures = 0;
+    pool.proxy = settings.proxy ? new URL(settings.proxy) : null;
+    pool.noProxy = splitList(settings.noProxy).map(host => host.toLowerCase());
+    pool.threshold = settings.failoverThreshold;
+    return endpointStatus();
+}
+
+// Called with { from, to, error } whenever requests move to another endpoint
+function setFailoverListener(listener) {
+    pool.onFailover = listener;
+}
+
+function primaryBaseUrl() {
+    return pool.endpoints[0];
+}
+
+function activeBaseUrl() {
+    return pool.endpoints[pool.active];
+}
+
+function endpointStatus() {
+    return {
+        primary: primaryBaseUrl(),
+        active: activeBaseUrl(),
+        mirrors: pool.endpoints.slice(1),
+        proxy: pool.proxy ? `${pool.proxy.protocol}//${pool.proxy.host}` : null
+    };
+}
+
+// The endpoint a URL was built against, or null for URLs outside the pool
+function endpointOf(url) {
+    return pool.endpoints.find(base => url === base || url.startsWith(`${base}/`) || url.startsWith(`${base}?`)) || null;
+}
+
+// Point a pool URL at the active endpoint
+function resolveUrl(url) {
+    const endpoint = endpointOf(url);
+    if (!endpoint) {
+        return { url, endpoint: null };
+    }
+    const active = activeBaseUrl();
+    return { url: active + url.slice(endpoint.length), endpoint: active };
+}
+
+function recordSuccess(endpoint) {
+    if (endpoint && endpoint === activeBaseUrl()) {
+        pool.failures = 0;
+    }
+}
+
+// Count a failure against the endpoint that served it; failures of an endpoint already left behind are ignored
+function recordFailure(endpoint, error) {
+    if (!endpoint || endpoint !== activeBaseUrl() || pool.endpoints.length < 2) {
+        return;
+    }
+    pool.failures++;
+    if (pool.failures >= pool.threshold) {
+        const from = activeBaseUrl();
+        pool.active = (pool.active + 1) % pool.endpoints.length;
+        pool.failures = 0;
+        if (pool.onFailover) {
+            pool.onFailover({ from, to: activeBaseUrl(), error });
+        }
+    }
+}
+
+function isEndpointFailure(statusCode) {
+    return statusCode >= 500;
+}
+
+function bypassesProxy(hostname) {
+    const host = hostname.toLowerCase();
+    return pool.noProxy.some(entry => entry === '*' || host === entry.replace(/^\./, '')
+        || host.endsWith(entry.startsWith('.') ? entry : `.${entry}`));
+}
+
+// Proxy URL for a parsed request URL, or null for a direct connection
+function proxyFor(target) {
+    if (bypassesProxy(target.hostname)) {
+        return null;
+    }
+    if (pool.proxy) {
+        return pool.proxy;
+    }
+    const fromEnv = target.protocol === 'https:'
+        ? process.env.HTTPS_PROXY || process.env.https_proxy || process.env.HTTP_PROXY || process.env.http_proxy
+        : process.env.HTTP_PROXY || process.env.http_proxy;
+    return fromEnv ? new URL(fromEnv) : null;
+}
+
+configureEndpoints();
+
+export {
+    DEFAULT_BASE_URL,
+    ENDPOINT_CONFIG,
+    configureEndpoints,
+    setFailoverListener,
+    primaryBaseUrl,
+    activeBaseUrl,
+    endpointStatus,
+    resolveUrl,
+    recordSuccess,
+    recordFailure,
+    isEndpointFailure,
+    proxyFor
+};
@@ -5,21 +5,41 @@
  */
 
 import fs from 'fs/promises';
-import { createWriteStream, unlink } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { XMLParser } from 'fast-xml-parser';
-import https from 'https';
-import http from 'http';
+import { listSymbolArchives, objectUrl } from './bucket_listing.js';
+import { downloadResumable, downloadWithChecksum } from './resumable_download.js';
+import { writeFileAtomic, cleanupStaleTempFiles } from './atomic_files.js';
+import { configureRateLimiter } from './rate_limiter.js';
+import { endpointStatus, setFailoverListener } from './endpoints.js';
+import { request } from './http_client.js';
+import { datasetOutputDir } from './datasets.js';
+import { describeDateRange } from './date_range.js';
+import { sharedCatalog, checksumVerification, downloadRecord } from './catalog.js';
+import { quarantineFiles } from './quarantine.js';
+import {
+    loadSyncManifest,
+    saveSyncManifest,
+    saveSyncManifestThrottled,
+    selectChanged,
+    recordFetched,
+    advanceLastKey
+} from './sync_manifest.js';
+import { parseWorkerArgs, WORKER_USAGE } from './worker_args.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const WORKER_ARGS = parseWorkerArgs();
+
 // GitHub Actions optimized configuration
 const GITHUB_CONFIG = {
-    symbol: process.argv[2] || 'BTCUSDT',
-    maxConcurrentDownloads: 15,           // Higher concurrency for cloud
-    downloadDelay: 20,                    // Faster for cloud (no rate limit concerns)
+    symbol: WORKER_ARGS.symbol || 'BTCUSDT',
+    dataset: WORKER_ARGS.dataset,         // market / granularity / data type selected for this run
+    dateRange: WORKER_ARGS.dateRange,     // --from/--to, null for every published date
+    sync: WORKER_ARGS.sync,               // --sync: only fetch archives added or changed since the last run
+    verifyChecksum: WORKER_ARGS.verifyChecksum, // Verify each zip against its .CHECKSUM while it streams
+    maxConcurrentDownloads: 15,           // Higher concurrency for cloud (request rate is paced by the shared limiter)
     timeout: 30000,                       // Request timeout
     chunkSize: 1024 * 1024,              // 1MB chunks for cloud
     maxRetries: 2,                        // Fewer retries for speed
@@ -29,9 +49,6 @@ const GITHUB_CONFIG = {
     webhookUrl: process.env.WEBHOOK_URL || null
 };
 
-// XML parser
-const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '', allowBooleanAttributes: true });
-
 // Worker state
 const workerState = {
     symbol: GITHUB_CONFIG.symbol,
@@ -41,9 +58,26 @@ const workerState = {
     bytesDownloaded: 0,
     errors: 0,
     currentDownloads: new Set(),
-    completedFiles: new Set()
+    completedFiles: new Set(),
+    manifest: null,                       // Sync manifest for this symbol and dataset
+    listedEntries: [],
+    runId: null                           // This run's row in the catalog
 };
 
+// Every listing, download and failure is recorded in the shared SQLite catalog
+const catalog = sharedCatalog();
+
+// Listing and download requests share one adaptive limiter; log whenever it slows down
+const rateLimiter = configureRateLimiter({
+    onAdjust: ({ reason, previousRate, rate }) => {
+        log(`Rate limit lowered to ${rate.toFixed(2)} req/s (was ${previousRate.toFixed(2)}): ${reason}`, 'WARN');
+    }
+});
+
+setFailoverListener(({ from, to, error }) => {
+    log(`Endpoint ${from} keeps failing (${error.message}), switching to ${to}`, 'WARN');
+});
+
 // GitHub Actions optimized logging
 function log(message, level = 'INFO') {
     const timestamp = new Date().toISOString();
@@ -60,21 +94,28 @@ function log(message, level = 'INFO') {
     }
 }
 
+// Output directory for this run's symbol and dataset
+function symbolOutputDir() {
+    return datasetOutputDir(GITHUB_CONFIG.outputDir, GITHUB_CONFIG.dataset, GITHUB_CONFIG.symbol);
+}
+
 // Save progress
 async function saveProgress() {
     try {
         const progress = {
             symbol: workerState.symbol,
+            dataset: GITHUB_CONFIG.dataset.id,
             lastUpdate: new Date().toISOString(),
             filesDiscovered: workerState.filesDiscovered,
             filesDownloaded: workerState.filesDownloaded,
             bytesDownloaded: workerState.bytesDownloaded,
             errors: workerState.errors,
+            rateLimit: rateLimiter.snapshot(),
             uptime: Math.floor((Date.now() - workerState.startTime) / 1000),
             githubRunId: process.env.GITHUB_RUN_ID || 'local'
         };
         
-        await fs.writeFile(GITHUB_CONFIG.progressFile, JSON.stringify(progress, null, 2));
+        await writeFileAtomic(GITHUB_CONFIG.progressFile, JSON.stringify(progress, null, 2));
         return progress;
     } catch (error) {
         log(`Failed to save progress: ${error.message}`, 'ERROR');
@@ -82,6 +123,39 @@ async function saveProgress() {
     }
 }
 
+// Save the sync manifest, moving its last key past everything fetched in this run
+async function saveManifest() {
+    if (!workerState.manifest) {
+        return;
+    }
+    
+    try {
+        // A --from window skips earlier keys, so the last key only advances on listings from the start
+        if (!GITHUB_CONFIG.dateRange || !GITHUB_CONFIG.dateRange.from) {
+            advanceLastKey(workerState.manifest, workerState.listedEntries);
+        }
+        await saveSyncManifest(workerState.manifest);
+    } catch (error) {
+        log(`Failed to save sync manifest: ${error.message}`, 'ERROR');
+    }
+}
+
+// Close this run's catalog row with its final counters
+function finishRun(status) {
+    if (workerState.runId === null) {
+        return;
+    }
+    try {
+        catalog.finishRun(workerState.runId, status, {
+            filesOk: workerState.filesDownloaded,
+            filesFailed: workerState.errors,
+            bytes: workerState.bytesDownloaded
+        });
+    } catch (error) {
+        log(`Failed to record run in catalog: ${error.message}`, 'ERROR');
+    }
+}
+
 // Send completion to webhook
 async function sendToWebhook(metadata) {
     if (!GITHUB_CONFIG.webhookUrl) {
@@ -98,19 +172,23 @@ async function sendToWebhook(metadata) {
             progress: await saveProgress()
         };
         
-        const response = await fetch(GITHUB_CONFIG.webhookUrl, {
+        const response = await request(GITHUB_CONFIG.webhookUrl, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'User-Agent': 'KuCoin-GitHub-Worker/1.0'
             },
-            body: JSON.stringify(webhookData)
+            body: JSON.stringify(webhookData),
+            timeout: GITHUB_CONFIG.timeout,
+            expectStatus: null,
+            rateLimiter: false
         });
+        response.resume();
         
-        if (response.ok) {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
             log(`✅ Webhook notification sent successfully`, 'INFO');
         } else {
-            log(`⚠️ Webhook notification failed: ${response.status}`, 'WARN');
+            log(`⚠️ Webhook notification failed: ${response.statusCode}`, 'WARN');
         }
         
     } catch (error) {
@@ -118,56 +196,60 @@ async function sendToWebhook(metadata) {
     }
 }
 
-// Discover files for a symbol using the working TURBO approach
+// Discover files for a symbol using the shared bucket listing client
 async function discoverFiles(symbol) {
-    const url = `https://historical-data.kucoin.com/data/spot/daily/trades/${symbol}/`;
+    const entries = await listSymbolArchives(symbol, {
+        dataset: GITHUB_CONFIG.dataset,
+        dateRange: GITHUB_CONFIG.dateRange,
+        startAfter: GITHUB_CONFIG.sync ? workerState.manifest.lastKey : null,
+        timeout: GITHUB_CONFIG.timeout
+    });
+    workerState.listedEntries = entries;
+    catalog.recordListing(GITHUB_CONFIG.dataset, symbol, entries);
     
-    return new Promise((resolve, reject) => {
-        const protocol = url.startsWith('https:') ? https : http;
-        const request = protocol.get(url, { timeout: GITHUB_CONFIG.timeout }, (response) => {
-            if (response.statusCode !== 200) {
-                reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
-                return;
-            }
-            
-            let data = '';
-            response.on('data', chunk => data += chunk);
-            response.on('end', () => {
-                try {
-                    const files = [];
-                    
-                    // Use the working TURBO approach - look for .zip files
-                    const fileMatches = data.match(/href="([^"]*\.zip)"/g);
-                    
-                    if (fileMatches) {
-                        fileMatches.forEach(match => {
-                            const filename = match.match(/href="([^"]*\.zip)"/)[1];
-                            const fileUrl = `https://historical-data.kucoin.com/data/spot/daily/trades/${symbol}/${filename}`;
-                            
-                            files.push({
-                                filename: filename,
-                                url: fileUrl,
-                                size: 0, // We'll get this from headers if needed
-                                lastModified: new Date().toISOString()
-                            });
-                        });
-                    }
-                    
-                    workerState.filesDiscovered = files.length;
-                    log(`Discovered ${files.length} files for ${symbol}`, 'INFO');
-                    resolve(files);
-                } catch (error) {
-                    reject(new Error(`Failed to parse HTML: ${error.message}`));
-                }
-            });
-        });
-        
-        request.on('error', reject);
-        request.on('timeout', () => {
-            request.destroy();
-            reject(new Error('Request timeout'));
+    const pending = GITHUB_CONFIG.sync ? selectChanged(workerState.manifest, entries) : entries;
+    if (GITHUB_CONFIG.sync) {
+        log(`Sync: ${pending.length} new or changed of ${entries.length} listed after ${workerState.manifest.lastKey || 'the first key'}`, 'INFO');
+    }
+    
+    const files = pending.map(entry => ({
+        symbol,
+        key: entry.key,
+        filename: entry.key.split('/').pop(),
+        url: objectUrl(entry.key),
+        checksumUrl: objectUrl(`${entry.key}.CHECKSUM`),
+        size: entry.size,
+        etag: entry.etag,
+        lastModified: entry.lastModified
+    }));
+    
+    workerState.filesDiscovered = files.length;
+    log(`Discovered ${files.length} files for ${symbol}`, 'INFO');
+    return files;
+}
+
+// Keep a download that failed its checksum, with its .CHECKSUM and the response headers, in quarantine
+async function quarantineDownload(fileInfo, error) {
+    const outputPath = path.join(symbolOutputDir(), fileInfo.filename);
+    try {
+        const item = await quarantineFiles({
+            dataset: GITHUB_CONFIG.dataset,
+            symbol: fileInfo.symbol,
+            key: fileInfo.key,
+            stage: 'download',
+            error,
+            files: [error.corruptPath, `${outputPath}.CHECKSUM`],
+            originalPath: outputPath,
+            checksum: checksumVerification(error.checksum),
+            headers: error.headers
         });
-    });
+        log(`Quarantined ${fileInfo.filename}: quarantine/${item.id}`, 'WARN');
+        return item;
+    } catch (quarantineError) {
+        log(`Could not quarantine ${fileInfo.filename}: ${quarantineError.message}`, 'ERROR');
+        await fs.unlink(error.corruptPath).catch(() => {});
+        return null;
+    }
 }
 
 // Download a single file
@@ -179,69 +261,69 @@ async function downloadFile(fileInfo) {
     workerState.currentDownloads.add(fileInfo.filename);
     
     try {
-        const outputPath = path.join(GITHUB_CONFIG.outputDir, GITHUB_CONFIG.symbol, fileInfo.filename);
+        const outputPath = path.join(symbolOutputDir(), fileInfo.filename);
         
         // Ensure directory exists
         await fs.mkdir(path.dirname(outputPath), { recursive: true });
         
-        // Check if file already exists
+        // Check if file already exists (an object whose ETag changed since it was synced is fetched again)
+        const known = workerState.manifest.objects[fileInfo.key];
+        const changed = Boolean(known && known.etag && fileInfo.etag && known.etag !== fileInfo.etag);
+        // Downloads only reach outputPath complete, but a file written by an older version may be truncated
         try {
             const stats = await fs.stat(outputPath);
-            if (stats.size > 0) {
+            if (stats.size > 0 && !changed && (fileInfo.size === null || stats.size === fileInfo.size)) {
                 log(`File already exists: ${fileInfo.filename}`, 'INFO');
                 workerState.completedFiles.add(fileInfo.filename);
+                recordFetched(workerState.manifest, fileInfo);
+                catalog.recordDownload(GITHUB_CONFIG.dataset, fileInfo, {
+                    runId: workerState.runId,
+                    ...downloadRecord(outputPath, { bytes: stats.size })
+                });
                 return true;
             }
+            if (!changed) {
+                log(`File exists but size mismatch, re-downloading: ${fileInfo.filename} (${stats.size} of ${fileInfo.size} bytes)`, 'WARN');
+            }
         } catch (error) {
             // File doesn't exist, continue with download
         }
         
-        return new Promise((resolve, reject) => {
-            const protocol = fileInfo.url.startsWith('https:') ? https : http;
-            const request = protocol.get(fileInfo.url, { timeout: GITHUB_CONFIG.timeout }, (response) => {
-                if (response.statusCode !== 200) {
-                    reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
-                    return;
-                }
-                
-                const fileStream = createWriteStream(outputPath);
-                let downloadedBytes = 0;
-                
-                response.on('data', (chunk) => {
-                    downloadedBytes += chunk.length;
-                    workerState.bytesDownloaded += chunk.length;
-                });
-                
-                response.on('end', () => {
-                    fileStream.end();
-                    workerState.filesDownloaded++;
-                    workerState.completedFiles.add(fileInfo.filename);
-                    
-                    log(`Downloaded: ${fileInfo.filename} (${(downloadedBytes / 1024).toFixed(1)} KB)`, 'INFO');
-                    resolve(true);
-                });
-                
-                response.on('error', (error) => {
-                    fileStream.destroy();
-                    unlink(outputPath, () => {}); // Clean up partial file
-                    reject(error);
-                });
-                
-                fileStream.on('error', (error) => {
-                    reject(error);
-                });
-            });
-            
-            request.on('error', reject);
-            request.on('timeout', () => {
-                request.destroy();
-                reject(new Error('Request timeout'));
-            });
+        // Stream to a .part file, resuming it with a Range request on retry; with checksum
+        // verification the file only reaches outputPath once its digest matches
+        const download = GITHUB_CONFIG.verifyChecksum ? downloadWithChecksum : downloadResumable;
+        const result = await download(fileInfo.url, outputPath, {
+            checksumUrl: fileInfo.checksumUrl,
+            timeout: GITHUB_CONFIG.timeout,
+            maxRetries: GITHUB_CONFIG.maxRetries,
+            retryDelay: GITHUB_CONFIG.retryDelay,
+            expectedSize: fileInfo.size,
+            keepCorrupt: true,
+            onProgress: bytes => { workerState.bytesDownloaded += bytes; },
+            onRetry: (error, attempt, partialBytes) => {
+                log(`Retrying ${fileInfo.filename} (${attempt}/${GITHUB_CONFIG.maxRetries}) from byte ${partialBytes}: ${error.message}`, 'WARN');
+            }
         });
         
+        workerState.filesDownloaded++;
+        workerState.completedFiles.add(fileInfo.filename);
+        recordFetched(workerState.manifest, fileInfo);
+        catalog.recordDownload(GITHUB_CONFIG.dataset, fileInfo, { runId: workerState.runId, ...downloadRecord(outputPath, result) });
+        await saveSyncManifestThrottled(workerState.manifest);
+        
+        const verified = result.checksum ? `, ${result.checksum.algorithm} verified` : '';
+        log(`Downloaded: ${fileInfo.filename} (${(result.bytes / 1024).toFixed(1)} KB${result.resumed ? ', resumed' : ''}${verified})`, 'INFO');
+        return true;
+        
     } catch (error) {
         workerState.errors++;
         log(`Download failed for ${fileInfo.filename}: ${error.message}`, 'ERROR');
+        const quarantined = error.corruptPath ? await quarantineDownload(fileInfo, error) : null;
+        catalog.recordDownloadFailure(GITHUB_CONFIG.dataset, fileInfo, {
+            runId: workerState.runId,
+            error: quarantined ? `${error.message} (quarantined as ${quarantined.id})` : error.message,
+            verifications: error.checksum ? [checksumVerification(error.checksum)] : []
+        });
         return false;
     } finally {
         workerState.currentDownloads.delete(fileInfo.filename);
@@ -253,16 +335,42 @@ async function runWorker() {
     try {
         log(`🚀 GitHub Actions worker started for ${GITHUB_CONFIG.symbol}`, 'INFO');
         log(`🔗 Run ID: ${process.env.GITHUB_RUN_ID || 'local'}`, 'INFO');
+        log(`🗂️ Dataset: ${GITHUB_CONFIG.dataset.id} (${describeDateRange(GITHUB_CONFIG.dateRange)})`, 'INFO');
+        const endpoints = endpointStatus();
+        log(`🌐 Endpoint: ${endpoints.primary}${endpoints.mirrors.length ? ` (mirrors: ${endpoints.mirrors.join(', ')})` : ''}${endpoints.proxy ? ` via ${endpoints.proxy}` : ''}`, 'INFO');
         
         // Create output directory
-        await fs.mkdir(path.join(GITHUB_CONFIG.outputDir, GITHUB_CONFIG.symbol), { recursive: true });
+        await fs.mkdir(symbolOutputDir(), { recursive: true });
+        
+        // Remove temp files and orphaned partial downloads an interrupted run left behind
+        const staleFiles = await cleanupStaleTempFiles(symbolOutputDir());
+        if (staleFiles.length > 0) {
+            log(`🧹 Removed ${staleFiles.length} stale temp files`, 'INFO');
+        }
+        
+        // Load what earlier runs already fetched
+        workerState.manifest = await loadSyncManifest(GITHUB_CONFIG.dataset, GITHUB_CONFIG.symbol);
+        workerState.runId = catalog.startRun({
+            worker: 'github-actions',
+            dataset: GITHUB_CONFIG.dataset,
+            symbol: GITHUB_CONFIG.symbol,
+            details: { dateRange: GITHUB_CONFIG.dateRange, sync: GITHUB_CONFIG.sync, verifyChecksum: GITHUB_CONFIG.verifyChecksum }
+        });
         
         // Discover files
-        log(`🔍 Discovering files for ${GITHUB_CONFIG.symbol}...`, 'INFO');
+        log(`🔍 Discovering files for ${GITHUB_CONFIG.symbol}${GITHUB_CONFIG.sync ? ' (sync mode)' : ''}...`, 'INFO');
         const files = await discoverFiles(GITHUB_CONFIG.symbol);
         
         if (files.length === 0) {
+            if (GITHUB_CONFIG.sync) {
+                log(`${GITHUB_CONFIG.symbol} is up to date`, 'INFO');
+                await saveManifest();
+                finishRun('completed');
+                await sendToWebhook({ message: 'Up to date' });
+                return;
+            }
             log(`No files found for ${GITHUB_CONFIG.symbol}`, 'WARN');
+            finishRun('completed');
             await sendToWebhook({ message: 'No files found' });
             return;
         }
@@ -291,9 +399,6 @@ async function runWorker() {
                 });
                 
                 activeDownloads.add(downloadPromise);
-                
-                // Minimal delay for cloud
-                await new Promise(resolve => setTimeout(resolve, GITHUB_CONFIG.downloadDelay));
             }
             
             // Wait for at least one download to complete
@@ -307,7 +412,9 @@ async function runWorker() {
         }
         
         // Save final progress
+        await saveManifest();
         const finalProgress = await saveProgress();
+        finishRun('completed');
         
         log(`✅ GitHub Actions worker completed for ${GITHUB_CONFIG.symbol}!`, 'INFO');
         log(`📊 Final stats: ${workerState.filesDownloaded} files, ${(workerState.bytesDownloaded / 1024 / 1024).toFixed(1)} MB`, 'INFO');
@@ -318,11 +425,13 @@ async function runWorker() {
             filesDownloaded: workerState.filesDownloaded,
             bytesDownloaded: workerState.bytesDownloaded,
             errors: workerState.errors,
+            rateLimit: rateLimiter.snapshot(),
             uptime: Math.floor((Date.now() - workerState.startTime) / 1000)
         });
         
     } catch (error) {
         log(`💥 GitHub Actions worker failed: ${error.message}`, 'ERROR');
+        finishRun('failed');
         
         // Send failure notification to webhook
         await sendToWebhook({
@@ -337,21 +446,25 @@ async function runWorker() {
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
     log('🛑 Received SIGINT, saving progress and shutting down...', 'INFO');
+    await saveManifest();
     await saveProgress();
+    finishRun('interrupted');
     process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
     log('🛑 Received SIGTERM, saving progress and shutting down...', 'INFO');
+    await saveManifest();
     await saveProgress();
+    finishRun('interrupted');
     process.exit(0);
 });
 
 // Run worker
 if (import.meta.url === `file://${process.argv[1]}`) {
-    if (!process.argv[2]) {
-        console.error('Usage: node github_actions_worker.js <SYMBOL>');
-        console.error('Example: node github_actions_worker.js BTCUSDT');
+    if (!WORKER_ARGS.symbol) {
+        console.error(`Usage: node github_actions_worker.js <SYMBOL> ${WORKER_USAGE}`);
+        console.error('Example: node github_actions_worker.js BTCUSDT --data-type klines --interval 1m');
         process.exit(1);
     }
     
@@ -0,0 +1,312 @@
+/**
+ * HTTP Client - the one transport every worker uses for the bucket (and the webhook)
+ * - Keep-alive agents pool connections, so concurrent downloads reuse TLS sessions instead of
+ *   opening one per file; proxied HTTPS goes through a pooled CONNECT tunnel
+ * - Follows up to maxRedirects 301/302/303/307/308 responses
+ * - Bucket URLs are pointed at the active endpoint and their outcome counts towards mirror failover;
+ *   every request takes a token from the shared rate limiter unless rateLimiter: false
+ * - Idle timeouts, abort signals, unexpected statuses and content types all reject with typed errors
+ *   that say whether a retry can help (error.retryable)
+ */
+
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+import { resolveUrl, recordSuccess, recordFailure, isEndpointFailure, proxyFor } from './endpoints.js';
+import { sharedRateLimiter } from './rate_limiter.js';
+
+const HTTP_CONFIG = {
+    timeout: 30000,                     // Socket idle timeout, also while the body streams
+    maxRedirects: 5,
+    maxSockets: 32,                     // Per host, shared by every concurrent request
+    userAgent: 'KuCoin-Data-Worker/1.0'
+};
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+const agents = {
+    http: new http.Agent({ keepAlive: true, maxSockets: HTTP_CONFIG.maxSockets }),
+    https: new https.Agent({ keepAlive: true, maxSockets: HTTP_CONFIG.maxSockets })
+};
+const tunnelAgents = new Map();
+
+class HttpError extends Error {
+    constructor(message, { url = null, code = 'EHTTP', retryable = true, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.url = url;
+        this.code = code;
+        this.retryable = retryable;
+    }
+}
+
+// Non-expected status; 5xx and 429 are worth retrying, other 4xx are not
+class HttpStatusError extends HttpError {
+    constructor(response, url) {
+        const statusCode = response.statusCode;
+        super(`HTTP ${statusCode}: ${response.statusMessage}`, {
+            url,
+            code: `HTTP_${statusCode}`,
+            retryable: statusCode >= 500 || statusCode === 429
+        });
+        this.statusCode = statusCode;
+        this.headers = response.headers;
+    }
+}
+
+class HttpTimeoutError extends HttpError {
+    constructor(url, timeout) {
+        super(`Request timeout after ${timeout}ms idle`, { url, code: 'ETIMEDOUT', retryable: true });
+    }
+}
+
+class HttpAbortError extends HttpError {
+    constructor(url) {
+        super('Request aborted', { url, code: 'ABORT_ERR', retryable: false });
+    }
+}
+
+class HttpRedirectError extends HttpError {
+    constructor(message, url) {
+        super(message, { url, code: 'EREDIRECT', retryable: false });
+    }
+}
+
+// A 2xx whose body is not what was asked for, e.g. an HTML error page instead of a listing
+class HttpContentTypeError extends HttpError {
+    constructor(contentType, url) {
+        super(`Unexpected content type ${contentType}`, { url, code: 'ECONTENTTYPE', retryable: true });
+        this.contentType = contentType;
+    }
+}
+
+class HttpNetworkError extends HttpError {
+    constructor(cause, url) {
+        super(cause.message, { url, code: cause.code || 'ENETWORK', retryable: true, cause });
+    }
+}
+
+// Shared retry policy: typed errors decide for themselves, anything else (network, stream) is retried
+function isRetryable(error) {
+    if (typeof error.retryable === 'boolean') return error.retryable;
+    if (error.name === 'AbortError') return false;
+    return !error.statusCode || error.statusCode >= 500 || error.statusCode === 429;
+}
+
+function proxyHeaders(proxy) {
+    if (!proxy.username) {
+        return {};
+    }
+    const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+    return { 'Proxy-Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` };
+}
+
+function proxyPort(proxy) {
+    return Number(proxy.port) || (proxy.protocol === 'https:' ? 443 : 80);
+}
+
+// Pooled https.Agent whose sockets are TLS connections through a CONNECT tunnel
+function tunnelAgent(proxy) {
+    const cacheKey = proxy.href;
+    if (tunnelAgents.has(cacheKey)) {
+        return tunnelAgents.get(cacheKey);
+    }
+
+    const agent = new https.Agent({ keepAlive: true, maxSockets: HTTP_CONFIG.maxSockets });
+    agent.createConnection = (options, callback) => {
+        const authority = `${options.host}:${options.port}`;
+        const connect = (proxy.protocol === 'https:' ? https : http).request({
+            host: proxy.hostname,
+            port: proxyPort(proxy),
+            method: 'CONNECT',
+            path: authority,
+            headers: { Host: authority, ...proxyHeaders(proxy) },
+            agent: false,
+            timeout: options.timeout
+        });
+        connect.once('connect', (response, socket) => {
+            if (response.statusCode !== 200) {
+                socket.destroy();
+                callback(new Error(`Proxy CONNECT to ${authority} failed: HTTP ${response.statusCode}`));
+                return;
+            }
+            callback(null, tls.connect({ socket, servername: options.servername || options.host }));
+        });
+        connect.once('timeout', () => connect.destroy(new Error('Proxy connect timeout')));
+        connect.once('error', callback);
+        connect.end();
+    };
+
+    tunnelAgents.set(cacheKey, agent);
+    return agent;
+}
+
+// Start a request through the configured proxy, if any, on a pooled connection
+function openRequest(url, options, callback) {
+    const target = new URL(url);
+    const proxy = proxyFor(target);
+
+    if (!proxy) {
+        const secure = target.protocol === 'https:';
+        return (secure ? https : http).request(url, { ...options, agent: secure ? agents.https : agents.http }, callback);
+    }
+    if (target.protocol === 'https:') {
+        return https.request(url, { ...options, agent: tunnelAgent(proxy) }, callback);
+    }
+    // Plain HTTP: send the absolute URL to the proxy itself
+    const secureProxy = proxy.protocol === 'https:';
+    return (secureProxy ? https : http).request({
+        ...options,
+        host: proxy.hostname,
+        port: proxyPort(proxy),
+        path: url,
+        agent: secureProxy ? agents.https : agents.http,
+        headers: { ...options.headers, Host: target.host, ...proxyHeaders(proxy) }
+    }, callback);
+}
+
+// GET without redirects, status checks or failover accounting; for diagnostics scripts
+function proxiedGet(url, options, callback) {
+    const request = openRequest(url, { ...options, method: 'GET' }, callback);
+    request.end();
+    return request;
+}
+
+// One hop: resolve the endpoint, send, and feed the outcome to the limiter and the failover counter
+function send(url, settings, limiter) {
+    const { url: requestUrl, endpoint } = resolveUrl(url);
+    const startedAt = Date.now();
+    const headers = { 'User-Agent': settings.userAgent, ...settings.headers };
+    if (settings.body !== undefined) {
+        headers['Content-Length'] = Buffer.byteLength(settings.body);
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = openRequest(requestUrl, {
+            method: settings.method,
+            headers,
+            timeout: settings.timeout,
+            signal: settings.signal
+        }, (response) => {
+            if (limiter) {
+                limiter.observe({ statusCode: response.statusCode, headers: response.headers, latency: Date.now() - startedAt });
+            }
+            if (isEndpointFailure(response.statusCode)) {
+                recordFailure(endpoint, new Error(`HTTP ${response.statusCode}`));
+            } else {
+                recordSuccess(endpoint);
+            }
+            response.requestUrl = requestUrl;
+            resolve(response);
+        });
+
+        request.on('timeout', () => {
+            request.destroy(new HttpTimeoutError(requestUrl, settings.timeout));
+        });
+        request.on('error', (error) => {
+            const typed = error instanceof HttpError ? error
+                : error.name === 'AbortError' ? new HttpAbortError(requestUrl)
+                : new HttpNetworkError(error, requestUrl);
+            if (!(typed instanceof HttpAbortError)) {
+                recordFailure(endpoint, typed);
+            }
+            reject(typed);
+        });
+
+        request.end(settings.body);
+    });
+}
+
+function checkContentType(response, settings, url) {
+    const contentType = response.headers['content-type'];
+    if (settings.acceptContentType && contentType && !settings.acceptContentType.test(contentType)) {
+        response.resume();
+        throw new HttpContentTypeError(contentType, url);
+    }
+}
+
+// Send a request and resolve with the response once its headers arrive.
+// options: method, headers, body, timeout, signal, maxRedirects, expectStatus (array, null for any),
+// acceptContentType (RegExp checked on 2xx responses), rateLimiter (false to bypass)
+async function request(url, options = {}) {
+    const settings = { ...HTTP_CONFIG, method: 'GET', expectStatus: [200], ...options };
+    const limiter = settings.rateLimiter === false ? null : settings.rateLimiter || sharedRateLimiter();
+    let current = url;
+
+    for (let redirects = 0; ; redirects++) {
+        if (limiter) {
+            await limiter.acquire();
+        }
+        if (settings.signal && settings.signal.aborted) {
+            throw new HttpAbortError(current);
+        }
+
+        const response = await send(current, settings, limiter);
+
+        if (REDIRECT_STATUSES.has(response.statusCode) && settings.maxRedirects > 0) {
+            response.resume();
+            const location = response.headers.location;
+            if (!location) {
+                throw new HttpRedirectError(`HTTP ${response.statusCode} without a Location header`, current);
+            }
+            if (redirects >= settings.maxRedirects) {
+                throw new HttpRedirectError(`Too many redirects (more than ${settings.maxRedirects})`, current);
+            }
+            current = new URL(location, response.requestUrl).href;
+            if (response.statusCode === 303) {
+                settings.method = 'GET';
+                settings.body = undefined;
+            }
+            continue;
+        }
+
+        if (settings.expectStatus && !settings.expectStatus.includes(response.statusCode)) {
+            response.resume();
+            throw new HttpStatusError(response, current);
+        }
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+            checkContentType(response, settings, current);
+        }
+
+        response.url = current;
+        response.redirects = redirects;
+        return response;
+    }
+}
+
+// request() and read the whole body as text
+async function requestText(url, options = {}) {
+    const response = await request(url, options);
+    response.setEncoding('utf8');
+    let body = '';
+    for await (const chunk of response) {
+        body += chunk;
+    }
+    return { response, body };
+}
+
+// Close pooled idle sockets, e.g. before a worker exits
+function closeConnections() {
+    agents.http.destroy();
+    agents.https.destroy();
+    for (const agent of tunnelAgents.values()) {
+        agent.destroy();
+    }
+    tunnelAgents.clear();
+}
+
+export {
+    HTTP_CONFIG,
+    HttpError,
+    HttpStatusError,
+    HttpTimeoutError,
+    HttpAbortError,
+    HttpRedirectError,
+    HttpContentTypeError,
+    HttpNetworkError,
+    isRetryable,
+    request,
+    requestText,
+    proxiedGet,
+    closeConnections
+};
@@ -0,0 +1,453 @@
+/**
+ * Parquet Writer - just enough of the format for flat, non-null columns of trade data
+ * - Column types: INT64 (optionally a UTC timestamp in ms), DOUBLE and UTF-8 strings;
+ *   strings can be dictionary encoded (PLAIN dictionary page + RLE_DICTIONARY data pages)
+ * - Rows are buffered per row group in typed arrays and flushed as each group fills, so memory
+ *   stays bounded by rowGroupSize however many rows a file has
+ * - Pages are compressed with none, gzip or brotli (all in zlib); every column chunk carries
+ *   min/max statistics so readers can skip row groups
+ * - The file is written to a temp file and renamed into place on close(), like every other output
+ * Metadata is serialized with the Thrift compact protocol the format specifies (parquet.thrift).
+ */
+
+import fs from 'fs/promises';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { tempPathFor, commitFile } from './atomic_files.js';
+
+const MAGIC = Buffer.from('PAR1');
+
+const PARQUET_CONFIG = {
+    rowGroupSize: 1024 * 1024,    // Rows per row group
+    pageSize: 64 * 1024,          // Values per data page
+    compression: 'gzip',
+    createdBy: 'kucoin-data-worker parquet_writer'
+};
+
+const PHYSICAL_TYPES = { INT64: 2, DOUBLE: 5, BYTE_ARRAY: 6 };
+const CONVERTED_TYPES = { UTF8: 0, TIMESTAMP_MILLIS: 9, INT_64: 18 };
+const ENCODINGS = { PLAIN: 0, RLE: 3, RLE_DICTIONARY: 8 };
+const PAGE_TYPES = { DATA_PAGE: 0, DICTIONARY_PAGE: 2 };
+const REQUIRED = 0;
+
+const gzip = promisify(zlib.gzip);
+const brotli = promisify(zlib.brotliCompress);
+
+const CODECS = {
+    none: { id: 0, compress: async buffer => buffer },
+    gzip: { id: 2, compress: buffer => gzip(buffer) },
+    brotli: { id: 4, compress: buffer => brotli(buffer, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } }) }
+};
+
+// --- Thrift compact protocol ---------------------------------------------------------------
+
+const THRIFT = { TRUE: 1, FALSE: 2, BYTE: 3, I32: 5, I64: 6, BINARY: 8, LIST: 9, STRUCT: 12 };
+
+// Field types beyond the wire types: 'bool' lives in the field header, LIST values are { type, items }
+const LIST = 'list';
+
+function varint(bytes, value) {
+    let n = BigInt(value);
+    do {
+        let byte = Number(n & 0x7fn);
+        n >>= 7n;
+        if (n > 0n) byte |= 0x80;
+        bytes.push(byte);
+    } while (n > 0n);
+}
+
+function zigzag(value) {
+    const n = BigInt(value);
+    return n >= 0n ? n << 1n : ((-n) << 1n) - 1n;
+}
+
+// Structs are written from [fieldId, type, value] triples; undefined values are left out
+function writeStruct(bytes, fields) {
+    let lastId = 0;
+    for (const [id, type, value] of fields) {
+        if (value === undefined || value === null) continue;
+        const wireType = type === 'bool' ? (value ? THRIFT.TRUE : THRIFT.FALSE) : type === LIST ? THRIFT.LIST : type;
+        const delta = id - lastId;
+        if (delta > 0 && delta <= 15) {
+            bytes.push((delta << 4) | wireType);
+        } else {
+            bytes.push(wireType);
+            varint(bytes, zigzag(id));
+        }
+        lastId = id;
+        if (type !== 'bool') writeValue(bytes, type, value);
+    }
+    bytes.push(0);
+}
+
+function writeValue(bytes, type, value) {
+    switch (type) {
+        case THRIFT.BYTE:
+            bytes.push(value & 0xff);
+            break;
+        case THRIFT.I32:
+        case THRIFT.I64:
+            varint(bytes, zigzag(value));
+            break;
+        case THRIFT.BINARY: {
+            const buffer = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8');
+            varint(bytes, buffer.length);
+            for (const byte of buffer) bytes.push(byte);
+            break;
+        }
+        case THRIFT.STRUCT:
+            writeStruct(bytes, value);
+            break;
+        case LIST:
+            writeList(bytes, value);
+            break;
+        default:
+            throw new Error(`Unsupported thrift type ${type}`);
+    }
+}
+
+function writeList(bytes, { type, items }) {
+    if (items.length < 15) {
+        bytes.push((items.length << 4) | type);
+    } else {
+        bytes.push(0xf0 | type);
+        varint(bytes, items.length);
+    }
+    for (const item of items) writeValue(bytes, type, item);
+}
+
+function serialize(fields) {
+    const bytes = [];
+    writeStruct(bytes, fields);
+    return Buffer.from(bytes);
+}
+
+// --- Column encoding -----------------------------------------------------------------------
+
+// Schema column: { name, type: 'int64' | 'timestamp' | 'double' | 'string', dictionary }.
+// logical holds the LogicalType union (INTEGER = 10, TIMESTAMP = 8, STRING = 1) beside the legacy converted type
+function columnTraits(column) {
+    switch (column.type) {
+        case 'int64':
+            return { physical: PHYSICAL_TYPES.INT64, converted: CONVERTED_TYPES.INT_64, logical: [[10, THRIFT.STRUCT, [[1, THRIFT.BYTE, 64], [2, 'bool', true]]]] };
+        case 'timestamp':
+            return {
+                physical: PHYSICAL_TYPES.INT64,
+                converted: CONVERTED_TYPES.TIMESTAMP_MILLIS,
+                logical: [[8, THRIFT.STRUCT, [[1, 'bool', true], [2, THRIFT.STRUCT, [[1, THRIFT.STRUCT, []]]]]]]
+            };
+        case 'double':
+            return { physical: PHYSICAL_TYPES.DOUBLE, converted: undefined, logical: undefined };
+        case 'string':
+            return { physical: PHYSICAL_TYPES.BYTE_ARRAY, converted: CONVERTED_TYPES.UTF8, logical: [[1, THRIFT.STRUCT, []]] };
+        default:
+            throw new Error(`Unsupported Parquet column type "${column.type}" for ${column.name}`);
+    }
+}
+
+// Buffer for one row group's worth of a column
+function createColumnBuffer(column, capacity) {
+    if (column.type === 'int64' || column.type === 'timestamp') {
+        return { values: new BigInt64Array(capacity) };
+    }
+    if (column.type === 'double') {
+        return { values: new Float64Array(capacity) };
+    }
+    if (column.dictionary) {
+        return { values: new Uint32Array(capacity), dictionary: new Map(), entries: [] };
+    }
+    return { values: new Array(capacity) };
+}
+
+function plainFixed(values, start, end) {
+    const slice = values.subarray(start, end);
+    return Buffer.from(slice.buffer, slice.byteOffset, slice.byteLength);
+}
+
+function plainStrings(strings) {
+    const buffers = [];
+    for (const value of strings) {
+        const bytes = Buffer.from(value, 'utf8');
+        const length = Buffer.alloc(4);
+        length.writeUInt32LE(bytes.length);
+        buffers.push(length, bytes);
+    }
+    return Buffer.concat(buffers);
+}
+
+// RLE/bit-packed hybrid, written as bit-packed groups of 8 (the reader stops at num_values)
+function bitPacked(indices, start, end, bitWidth) {
+    const count = end - start;
+    const groups = Math.ceil(count / 8);
+    const header = [];
+    varint(header, (groups << 1) | 1);
+    const packed = Buffer.alloc(groups * bitWidth);
+    let bitPosition = 0;
+    for (let i = start; i < start + groups * 8; i++) {
+        const value = i < end ? indices[i] : 0;
+        for (let bit = 0; bit < bitWidth; bit++, bitPosition++) {
+            if (value & (1 << bit)) {
+                packed[bitPosition >> 3] |= 1 << (bitPosition & 7);
+            }
+        }
+    }
+    return Buffer.concat([Buffer.from([bitWidth]), Buffer.from(header), packed]);
+}
+
+function statisticsBytes(column, buffer, rows) {
+    if (rows === 0) return undefined;
+    if (column.type === 'string') {
+        const values = column.dictionary ? buffer.entries : buffer.values.slice(0, rows);
+        const sorted = values.map(value => Buffer.from(value, 'utf8')).sort(Buffer.compare);
+        return { min: sorted[0], max: sorted[sorted.length - 1] };
+    }
+
+    let min = buffer.values[0];
+    let max = buffer.values[0];
+    for (let i = 1; i < rows; i++) {
+        const value = buffer.values[i];
+        if (value < min) min = value;
+        if (value > max) max = value;
+    }
+    const encode = (value) => {
+        const bytes = Buffer.alloc(8);
+        if (column.type === 'double') {
+            bytes.writeDoubleLE(value);
+        } else {
+            bytes.writeBigInt64LE(value);
+        }
+        return bytes;
+    };
+    if (column.type === 'double' && (Number.isNaN(min) || Number.isNaN(max))) {
+        return undefined;
+    }
+    return { min: encode(min), max: encode(max) };
+}
+
+// --- Writer --------------------------------------------------------------------------------
+
+// Open a writer for filePath; options: compression ('none' | 'gzip' | 'brotli'), rowGroupSize, pageSize, metadata
+async function createParquetWriter(filePath, schema, options = {}) {
+    const settings = { ...PARQUET_CONFIG };
+    for (const [name, value] of Object.entries(options)) {
+        if (value !== undefined) settings[name] = value;
+    }
+    const codec = CODECS[settings.compression];
+    if (!codec) {
+        throw new Error(`Unsupported Parquet compression "${settings.compression}". Expected one of: ${Object.keys(CODECS).join(', ')}`);
+    }
+
+    const columns = schema.map(column => ({ ...column, ...columnTraits(column) }));
+    const tempPath = tempPathFor(filePath);
+    const handle = await fs.open(tempPath, 'w');
+    let offset = 0;
+    let buffers = columns.map(column => createColumnBuffer(column, settings.rowGroupSize));
+    let bufferedRows = 0;
+    let totalRows = 0;
+    const rowGroups = [];
+    let closed = false;
+
+    async function write(buffer) {
+        await handle.write(buffer);
+        offset += buffer.length;
+    }
+
+    // Write one page (header + compressed body); returns its sizes
+    async function writePage(type, body, headerFields) {
+        const compressed = await codec.compress(body);
+        const header = serialize([
+            [1, THRIFT.I32, type],
+            [2, THRIFT.I32, body.length],
+            [3, THRIFT.I32, compressed.length],
+            ...headerFields(compressed)
+        ]);
+        await write(header);
+        await write(compressed);
+        return { uncompressed: header.length + body.length, compressed: header.length + compressed.length };
+    }
+
+    async function writeColumnChunk(column, buffer, rows) {
+        const chunkStart = offset;
+        let dictionaryPageOffset;
+        let uncompressed = 0;
+        let compressed = 0;
+        const encodings = new Set();
+
+        const add = (sizes) => {
+            uncompressed += sizes.uncompressed;
+            compressed += sizes.compressed;
+        };
+
+        let bitWidth = 0;
+        if (column.dictionary) {
+            dictionaryPageOffset = offset;
+            bitWidth = Math.max(1, Math.ceil(Math.log2(Math.max(1, buffer.entries.length))));
+            add(await writePage(PAGE_TYPES.DICTIONARY_PAGE, plainStrings(buffer.entries), () => [
+                [7, THRIFT.STRUCT, [[1, THRIFT.I32, buffer.entries.length], [2, THRIFT.I32, ENCODINGS.PLAIN]]]
+            ]));
+            encodings.add(ENCODINGS.PLAIN);
+        }
+
+        const dataPageOffset = offset;
+        for (let start = 0; start < rows; start += settings.pageSize) {
+            const end = Math.min(rows, start + settings.pageSize);
+            let body;
+            let encoding = ENCODINGS.PLAIN;
+            if (column.dictionary) {
+                body = bitPacked(buffer.values, start, end, bitWidth);
+                encoding = ENCODINGS.RLE_DICTIONARY;
+            } else if (column.type === 'string') {
+                body = plainStrings(buffer.values.slice(start, end));
+            } else {
+                body = plainFixed(buffer.values, start, end);
+            }
+            encodings.add(encoding);
+            add(await writePage(PAGE_TYPES.DATA_PAGE, body, () => [
+                [5, THRIFT.STRUCT, [
+                    [1, THRIFT.I32, end - start],
+                    [2, THRIFT.I32, encoding],
+                    [3, THRIFT.I32, ENCODINGS.RLE],
+                    [4, THRIFT.I32, ENCODINGS.RLE]
+                ]]
+            ]));
+        }
+        encodings.add(ENCODINGS.RLE);
+
+        const stats = statisticsBytes(column, buffer, rows);
+        return {
+            fileOffset: chunkStart,
+            uncompressed,
+            compressed,
+            metaData: [
+                [1, THRIFT.I32, column.physical],
+                [2, LIST, { type: THRIFT.I32, items: [...encodings] }],
+                [3, LIST, { type: THRIFT.BINARY, items: [column.name] }],
+                [4, THRIFT.I32, codec.id],
+                [5, THRIFT.I64, rows],
+                [6, THRIFT.I64, uncompressed],
+                [7, THRIFT.I64, compressed],
+                [9, THRIFT.I64, dataPageOffset],
+                [11, THRIFT.I64, dictionaryPageOffset],
+                [12, THRIFT.STRUCT, stats ? [[3, THRIFT.I64, 0], [5, THRIFT.BINARY, stats.max], [6, THRIFT.BINARY, stats.min]] : undefined]
+            ]
+        };
+    }
+
+    async function flushRowGroup() {
+        if (bufferedRows === 0) return;
+        if (offset === 0) await write(MAGIC);
+
+        const groupStart = offset;
+        const chunks = [];
+        for (let i = 0; i < columns.length; i++) {
+            chunks.push(await writeColumnChunk(columns[i], buffers[i], bufferedRows));
+        }
+        rowGroups.push({
+            rows: bufferedRows,
+            fileOffset: groupStart,
+            uncompressed: chunks.reduce((sum, chunk) => sum + chunk.uncompressed, 0),
+            compressed: chunks.reduce((sum, chunk) => sum + chunk.compressed, 0),
+            chunks
+        });
+        buffers = columns.map(column => createColumnBuffer(column, settings.rowGroupSize));
+        bufferedRows = 0;
+    }
+
+    // Append one row, values in schema order; flushes the row group once it is full
+    async function appendRow(values) {
+        if (closed) {
+            throw new Error('Parquet writer is closed');
+        }
+        for (let i = 0; i < columns.length; i++) {
+            const column = columns[i];
+            const buffer = buffers[i];
+            const value = values[i];
+            if (column.dictionary) {
+                let index = buffer.dictionary.get(value);
+                if (index === undefined) {
+                    index = buffer.entries.length;
+                    buffer.dictionary.set(value, index);
+                    buffer.entries.push(value);
+                }
+                buffer.values[bufferedRows] = index;
+            } else {
+                buffer.values[bufferedRows] = value;
+            }
+        }
+        bufferedRows++;
+        totalRows++;
+        if (bufferedRows >= settings.rowGroupSize) {
+            await flushRowGroup();
+        }
+    }
+
+    // Write the footer and move the file into place; returns { rows, rowGroups, bytes }
+    async function close() {
+        if (closed) {
+            throw new Error('Parquet writer is closed');
+        }
+        try {
+            await flushRowGroup();
+            if (offset === 0) await write(MAGIC);
+
+            const schemaElements = [
+                [[4, THRIFT.BINARY, 'schema'], [5, THRIFT.I32, columns.length]],
+                ...columns.map(column => [
+                    [1, THRIFT.I32, column.physical],
+                    [3, THRIFT.I32, REQUIRED],
+                    [4, THRIFT.BINARY, column.name],
+                    [6, THRIFT.I32, column.converted],
+                    [10, THRIFT.STRUCT, column.logical]
+                ])
+            ];
+            const keyValues = Object.entries(settings.metadata || {})
+                .map(([key, value]) => [[1, THRIFT.BINARY, key], [2, THRIFT.BINARY, String(value)]]);
+
+            const footer = serialize([
+                [1, THRIFT.I32, 1],
+                [2, LIST, { type: THRIFT.STRUCT, items: schemaElements }],
+                [3, THRIFT.I64, totalRows],
+                [4, LIST, {
+                    type: THRIFT.STRUCT,
+                    items: rowGroups.map(group => [
+                        [1, LIST, {
+                            type: THRIFT.STRUCT,
+                            items: group.chunks.map(chunk => [
+                                [2, THRIFT.I64, chunk.fileOffset],
+                                [3, THRIFT.STRUCT, chunk.metaData]
+                            ])
+                        }],
+                        [2, THRIFT.I64, group.uncompressed],
+                        [3, THRIFT.I64, group.rows],
+                        [5, THRIFT.I64, group.fileOffset],
+                        [6, THRIFT.I64, group.compressed]
+                    ])
+                }],
+                [5, LIST, keyValues.length > 0 ? { type: THRIFT.STRUCT, items: keyValues } : undefined],
+                [6, THRIFT.BINARY, settings.createdBy]
+            ]);
+
+            const length = Buffer.alloc(4);
+            length.writeUInt32LE(footer.length);
+            await write(Buffer.concat([footer, length, MAGIC]));
+            await handle.close();
+            closed = true;
+            await commitFile(tempPath, filePath);
+            return { rows: totalRows, rowGroups: rowGroups.length, bytes: offset };
+        } catch (error) {
+            await abort();
+            throw error;
+        }
+    }
+
+    // Drop the temp file, e.g. after a parse error
+    async function abort() {
+        closed = true;
+        await handle.close().catch(() => {});
+        await fs.unlink(tempPath).catch(() => {});
+    }
+
+    return { appendRow, close, abort, get rows() { return totalRows; } };
+}
+
+export { PARQUET_CONFIG, createParquetWriter };
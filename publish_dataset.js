@@ -0,0 +1,369 @@
+#!/usr/bin/env node
+/**
+ * Dataset Publisher - arranges verified worker output into one Hive-partitioned tree
+ *   published/dataset=<data type>/market=<market>/granularity=<daily|monthly>[/interval=<interval>]/symbol=<SYMBOL>/date=<date>/part.<csv|parquet>
+ * - Reads every worker's output (worker_output/ and downloads/, both laid out like the bucket)
+ * - Only archives whose .CHECKSUM still matches are published (--allow-unverified also takes archives without one)
+ * - Each day gets the Parquet and CSV files its worker produced; archives nobody extracted have their CSV
+ *   streamed out of the ZIP. Files are hard-linked when possible, copied otherwise, and always renamed into place
+ * - published/manifest.json lists every partition with its source archive, checksum, files, sizes and sha256;
+ *   partitions whose source archive is unchanged are skipped on the next run
+ * Monthly archives are published under granularity=monthly with date=YYYY-MM, so a reader scanning the tree never
+ * counts a month's trades twice next to its daily archives.
+ *
+ * Usage: node publish_dataset.js [--source DIR]... [--target DIR] [--symbol SYMBOL]... [--allow-unverified]
+ *                                [--copy] [--dry-run]
+ */
+
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { pipeline } from 'stream/promises';
+import { resolveDataset, MARKETS, GRANULARITIES, DATA_TYPES } from './datasets.js';
+import { archiveDate } from './date_range.js';
+import { parseChecksumFile, compareChecksum, hashFile } from './checksum.js';
+import { readZipEntries, createEntryStream } from './zip_stream.js';
+import { tempPathFor, commitFile, writeFileAtomic } from './atomic_files.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PUBLISH_CONFIG = {
+    sources: [path.join(__dirname, 'worker_output'), path.join(__dirname, 'downloads')],
+    target: path.join(__dirname, 'published'),
+    manifestFile: 'manifest.json',
+    layout: 'dataset={dataType}/market={market}/granularity={granularity}[/interval={interval}]/symbol={symbol}/date={date}'
+};
+
+// Formats in the order they are looked for; each knows where a worker leaves it next to the archive
+const PART_FORMATS = [
+    { format: 'parquet', locate: (symbolDir, stem) => path.join(symbolDir, 'parquet', `${stem}.parquet`) },
+    { format: 'csv', locate: (symbolDir, stem) => path.join(symbolDir, 'extracted', `${stem}.csv`) }
+];
+
+// Relative partition directory, with forward slashes so manifest keys look the same on every platform
+function partitionPath({ dataset, symbol, date }) {
+    return path.posix.join(
+        `dataset=${dataset.dataType}`,
+        `market=${dataset.market}`,
+        `granularity=${dataset.granularity}`,
+        ...(dataset.interval ? [`interval=${dataset.interval}`] : []),
+        `symbol=${symbol}`,
+        `date=${date}`
+    );
+}
+
+async function readDirNames(dir) {
+    try {
+        return (await fs.readdir(dir, { withFileTypes: true })).filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+async function exists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Symbol directories of a source root: <market>/<granularity>/<data type>/<SYMBOL>[/<interval>]
+async function findSymbolDirs(sourceRoot) {
+    const found = [];
+    for (const market of (await readDirNames(sourceRoot)).filter(name => MARKETS.includes(name))) {
+        for (const granularity of (await readDirNames(path.join(sourceRoot, market))).filter(name => GRANULARITIES.includes(name))) {
+            for (const dataType of (await readDirNames(path.join(sourceRoot, market, granularity))).filter(name => DATA_TYPES[name])) {
+                const typeDir = path.join(sourceRoot, market, granularity, dataType);
+                for (const symbol of await readDirNames(typeDir)) {
+                    const intervals = DATA_TYPES[dataType].intervals
+                        ? (await readDirNames(path.join(typeDir, symbol))).filter(name => DATA_TYPES[dataType].intervals.includes(name))
+                        : [null];
+                    for (const interval of intervals) {
+                        found.push({
+                            dir: path.join(typeDir, symbol, ...(interval ? [interval] : [])),
+                            dataset: resolveDataset({ market, granularity, dataType, interval }),
+                            symbol
+                        });
+                    }
+                }
+            }
+        }
+    }
+    return found;
+}
+
+// Compare an archive with its .CHECKSUM; { verified, checksum, reason }
+async function verifyArchive(zipPath) {
+    const checksumPath = `${zipPath}.CHECKSUM`;
+    let text;
+    try {
+        text = await fs.readFile(checksumPath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return { verified: false, checksum: null, reason: 'no checksum file' };
+        throw error;
+    }
+    const expected = parseChecksumFile(text, path.basename(zipPath));
+    const actual = (await hashFile(zipPath, expected.algorithm)).digest('hex');
+    const comparison = compareChecksum(expected, actual);
+    return {
+        verified: comparison.valid,
+        checksum: { algorithm: expected.algorithm, hash: expected.hash },
+        reason: comparison.valid ? null : comparison.error
+    };
+}
+
+// Hard-link source to destPath (copy across filesystems or with copy: true), through a temp name
+async function placeFile(sourcePath, destPath, { copy = false } = {}) {
+    const tempPath = tempPathFor(destPath);
+    try {
+        if (copy) {
+            await fs.copyFile(sourcePath, tempPath);
+        } else {
+            await fs.link(sourcePath, tempPath).catch(async (error) => {
+                if (!['EXDEV', 'EPERM', 'ENOTSUP', 'EMLINK'].includes(error.code)) throw error;
+                await fs.copyFile(sourcePath, tempPath);
+            });
+        }
+        await commitFile(tempPath, destPath);
+    } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+// Stream the archive's CSV straight into destPath (CRC-checked by zip_stream.js)
+async function extractArchiveCsv(zipPath, destPath) {
+    const csvEntry = (await readZipEntries(zipPath)).find(entry => entry.name.endsWith('.csv'));
+    if (!csvEntry) {
+        throw new Error('No CSV file found in ZIP');
+    }
+    const tempPath = tempPathFor(destPath);
+    try {
+        await pipeline(await createEntryStream(zipPath, csvEntry), createWriteStream(tempPath));
+        await commitFile(tempPath, destPath);
+    } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+async function loadPublishManifest(targetDir) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(targetDir, PUBLISH_CONFIG.manifestFile), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return { layout: PUBLISH_CONFIG.layout, createdAt: new Date().toISOString(), partitions: {} };
+    }
+}
+
+async function savePublishManifest(targetDir, manifest) {
+    const partitions = Object.values(manifest.partitions);
+    const files = partitions.flatMap(partition => partition.files);
+    manifest.updatedAt = new Date().toISOString();
+    manifest.totals = {
+        partitions: partitions.length,
+        symbols: new Set(partitions.map(partition => `${partition.dataset}/${partition.symbol}`)).size,
+        files: files.length,
+        bytes: files.reduce((sum, file) => sum + file.bytes, 0)
+    };
+    await fs.mkdir(targetDir, { recursive: true });
+    await writeFileAtomic(path.join(targetDir, PUBLISH_CONFIG.manifestFile), JSON.stringify(manifest, null, 2));
+}
+
+// Files a worker produced for an archive, as partition parts
+async function locateParts(symbolDir, filename) {
+    const stem = filename.replace(/\.zip$/, '');
+    const parts = [];
+    for (const { format, locate } of PART_FORMATS) {
+        const sourcePath = locate(symbolDir, stem);
+        if (await exists(sourcePath)) {
+            parts.push({ name: `part.${format}`, format, sourcePath });
+        }
+    }
+    // Nobody extracted this archive (e.g. the GitHub Actions worker only downloads), so take the CSV from the ZIP
+    if (parts.length === 0) {
+        parts.push({ name: 'part.csv', format: 'csv', sourcePath: null });
+    }
+    return parts;
+}
+
+// Same source archive and the same parts as when the partition was published
+function isUnchanged(previous, archiveStat, parts) {
+    return Boolean(previous
+        && previous.source.size === archiveStat.size
+        && previous.source.mtimeMs === archiveStat.mtimeMs
+        && previous.files.map(file => file.name).join() === parts.map(part => part.name).join());
+}
+
+// Place an archive's parts into its partition; returns the manifest's file entries
+async function publishArchive(zipPath, parts, partitionDir, options) {
+    if (options.dryRun) {
+        return parts.map(({ name, format }) => ({ name, format }));
+    }
+
+    await fs.mkdir(partitionDir, { recursive: true });
+    const files = [];
+    for (const { name, format, sourcePath } of parts) {
+        const destPath = path.join(partitionDir, name);
+        if (sourcePath) {
+            await placeFile(sourcePath, destPath, options);
+        } else {
+            await extractArchiveCsv(zipPath, destPath);
+        }
+        const stat = await fs.stat(destPath);
+        files.push({ name, format, bytes: stat.size, sha256: (await hashFile(destPath, 'sha256')).digest('hex') });
+    }
+
+    // Drop parts an earlier publish left that this source no longer has
+    const keep = new Set(files.map(file => file.name));
+    for (const name of await fs.readdir(partitionDir)) {
+        if (name.startsWith('part.') && !keep.has(name)) {
+            await fs.unlink(path.join(partitionDir, name)).catch(() => {});
+        }
+    }
+    return files;
+}
+
+// Publish every verified archive of the given sources into target; returns a summary
+async function publishDataset({
+    sources = PUBLISH_CONFIG.sources,
+    target = PUBLISH_CONFIG.target,
+    symbols = null,
+    allowUnverified = false,
+    copy = false,
+    dryRun = false,
+    onPublish = null
+} = {}) {
+    const manifest = await loadPublishManifest(target);
+    const summary = { published: 0, unchanged: 0, duplicate: 0, unverified: [], failed: [] };
+    const seen = new Set();
+
+    for (const sourceRoot of sources) {
+        for (const { dir: symbolDir, dataset, symbol } of await findSymbolDirs(sourceRoot)) {
+            if (symbols && !symbols.includes(symbol)) continue;
+
+            const archives = (await fs.readdir(symbolDir)).filter(name => name.endsWith('.zip')).sort();
+            for (const filename of archives) {
+                const zipPath = path.join(symbolDir, filename);
+                const date = archiveDate(filename);
+                if (!date) continue;
+
+                // A partition is taken by the first source whose copy is unchanged or gets published; a copy that
+                // fails verification or errors leaves it to a later source
+                const relativePath = partitionPath({ dataset, symbol, date });
+                if (seen.has(relativePath)) {
+                    summary.duplicate++;
+                    continue;
+                }
+
+                try {
+                    const archiveStat = await fs.stat(zipPath);
+                    const parts = await locateParts(symbolDir, filename);
+                    if (isUnchanged(manifest.partitions[relativePath], archiveStat, parts)) {
+                        seen.add(relativePath);
+                        summary.unchanged++;
+                        continue;
+                    }
+
+                    const verification = await verifyArchive(zipPath);
+                    if (!verification.verified && !(allowUnverified && !verification.checksum)) {
+                        summary.unverified.push({ archive: zipPath, reason: verification.reason });
+                        continue;
+                    }
+
+                    const files = await publishArchive(zipPath, parts, path.join(target, relativePath), { copy, dryRun });
+                    seen.add(relativePath);
+                    summary.published++;
+                    if (onPublish) onPublish({ partition: relativePath, files, verified: verification.verified });
+                    if (dryRun) continue;
+
+                    manifest.partitions[relativePath] = {
+                        dataset: dataset.id,
+                        dataType: dataset.dataType,
+                        market: dataset.market,
+                        granularity: dataset.granularity,
+                        interval: dataset.interval,
+                        symbol,
+                        date,
+                        source: {
+                            archive: path.relative(__dirname, zipPath),
+                            size: archiveStat.size,
+                            mtimeMs: archiveStat.mtimeMs,
+                            checksum: verification.checksum,
+                            verified: verification.verified
+                        },
+                        files,
+                        publishedAt: new Date().toISOString()
+                    };
+                } catch (error) {
+                    summary.failed.push({ archive: zipPath, error: error.message });
+                }
+            }
+        }
+    }
+
+    if (!dryRun) {
+        await savePublishManifest(target, manifest);
+    }
+    summary.totals = manifest.totals || null;
+    return summary;
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            source: { type: 'string', multiple: true },
+            target: { type: 'string', default: PUBLISH_CONFIG.target },
+            symbol: { type: 'string', multiple: true },
+            'allow-unverified': { type: 'boolean', default: false },
+            copy: { type: 'boolean', default: false },
+            'dry-run': { type: 'boolean', default: false }
+        }
+    });
+
+    const sources = (values.source || PUBLISH_CONFIG.sources).map(source => path.resolve(source));
+    console.log(`📦 Publishing ${sources.join(', ')} -> ${values.target}${values['dry-run'] ? ' (dry run)' : ''}`);
+
+    const summary = await publishDataset({
+        sources,
+        target: path.resolve(values.target),
+        symbols: values.symbol || null,
+        allowUnverified: values['allow-unverified'],
+        copy: values.copy,
+        dryRun: values['dry-run'],
+        onPublish: ({ partition, files, verified }) => {
+            console.log(`   ${verified ? '✅' : '⚠️ '} ${partition} (${files.map(file => file.name).join(', ')})`);
+        }
+    });
+
+    console.log(`📊 Published ${summary.published}, unchanged ${summary.unchanged}, duplicates skipped ${summary.duplicate}`);
+    for (const { archive, reason } of summary.unverified) {
+        console.log(`   🚫 Not verified, skipped: ${archive} (${reason})`);
+    }
+    for (const { archive, error } of summary.failed) {
+        console.log(`   ❌ Failed: ${archive}: ${error}`);
+    }
+    if (summary.totals) {
+        console.log(`🗂️  Manifest: ${summary.totals.partitions} partitions, ${summary.totals.symbols} symbols, ${(summary.totals.bytes / 1024 / 1024).toFixed(1)} MB`);
+    }
+    if (summary.failed.length > 0) {
+        process.exitCode = 1;
+    }
+    return summary;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        console.error(`💥 Publish failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+export { PUBLISH_CONFIG, partitionPath, findSymbolDirs, verifyArchive, publishDataset, loadPublishManifest };
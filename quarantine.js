@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+/**
+ * Quarantine - keeps archives that failed verification instead of deleting them
+ *   quarantine/<dataset slug>/<SYMBOL>/<archive stem>-<timestamp>/
+ *       <archive>.zip, <archive>.zip.CHECKSUM, <archive>.json (row validation report), reason.json
+ * - reason.json records the stage that failed, the error, expected vs actual hash, the validation summary,
+ *   the HTTP response headers of the download, sha256/size of every kept file and when it happened
+ * - The command lists items, re-verifies them (checksum, ZIP CRC-32, trades rows), downloads them again from
+ *   the bucket (a copy that now verifies is restored to where the worker keeps it) and purges them
+ * Everything needed to report a bad file upstream is in one directory.
+ *
+ * Usage: node quarantine.js list [--symbol SYMBOL]... [--json]
+ *        node quarantine.js verify [<id>...] [--symbol SYMBOL]...
+ *        node quarantine.js redownload [<id>...] [--symbol SYMBOL]... [--base-url URL] [--mirror URL]... [--proxy URL]
+ *        node quarantine.js purge (<id>... | --all | --resolved | --older-than DAYS)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { parseChecksumFile, compareChecksum, hashFile } from './checksum.js';
+import { readZipEntries, createEntryStream } from './zip_stream.js';
+import { tempPathFor, commitFile, writeFileAtomic } from './atomic_files.js';
+import { downloadWithChecksum } from './resumable_download.js';
+import { objectUrl } from './bucket_listing.js';
+import { resolveDataset } from './datasets.js';
+import { validateTradesFile, describeViolations } from './trades_validation.js';
+import { sharedCatalog, downloadRecord } from './catalog.js';
+import { ENDPOINT_OPTIONS, applyEndpointArgs } from './worker_args.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const QUARANTINE_CONFIG = {
+    dir: process.env.QUARANTINE_DIR || path.join(__dirname, 'quarantine'),
+    reasonFile: 'reason.json'
+};
+
+// Response headers worth keeping for an upstream report; the rest is connection noise
+const KEPT_HEADERS = [
+    'etag', 'last-modified', 'content-length', 'content-type', 'content-range', 'content-md5',
+    'x-amz-request-id', 'x-amz-id-2', 'x-amz-version-id', 'x-cache', 'via', 'age', 'server', 'date', 'cf-ray'
+];
+
+function pickHeaders(headers) {
+    if (!headers) return null;
+    return Object.fromEntries(KEPT_HEADERS.filter(name => headers[name] !== undefined).map(name => [name, headers[name]]));
+}
+
+async function exists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function itemDir(id) {
+    return path.join(QUARANTINE_CONFIG.dir, ...id.split('/'));
+}
+
+async function saveReason(item) {
+    await writeFileAtomic(path.join(itemDir(item.id), QUARANTINE_CONFIG.reasonFile), JSON.stringify(item, null, 2));
+}
+
+// Move a failed archive and its companions into a new quarantine item; returns its reason record.
+// files: paths to move (missing ones are skipped); checksum: the catalog's checksum verification of the archive;
+// validation: a trades_validation report; headers: the archive download's response headers
+async function quarantineFiles({
+    dataset,
+    symbol,
+    key,
+    stage,
+    error,
+    files,
+    originalPath,
+    checksum = null,
+    validation = null,
+    headers = null
+}) {
+    const filename = path.basename(key);
+    const quarantinedAt = new Date().toISOString();
+    const id = [dataset.slug, symbol, `${filename.replace(/\.zip$/, '')}-${quarantinedAt.replace(/[-:.]/g, '')}`].join('/');
+    const dir = itemDir(id);
+    await fs.mkdir(dir, { recursive: true });
+
+    const kept = [];
+    for (const source of files) {
+        if (!source || !await exists(source)) continue;
+        // A corrupt download (<file>.corrupt) is kept under the archive's own name
+        const name = source.endsWith('.corrupt') ? path.basename(source, '.corrupt') : path.basename(source);
+        const dest = path.join(dir, name);
+        await fs.rename(source, dest).catch(async (renameError) => {
+            if (renameError.code !== 'EXDEV') throw renameError;
+            await fs.copyFile(source, dest);
+            await fs.unlink(source);
+        });
+        const stat = await fs.stat(dest);
+        kept.push({ name, bytes: stat.size, sha256: (await hashFile(dest, 'sha256')).digest('hex') });
+    }
+
+    const item = {
+        id,
+        key,
+        url: objectUrl(key),
+        dataset: dataset.id,
+        symbol,
+        filename,
+        originalPath,
+        stage,
+        error: error instanceof Error ? error.message : String(error),
+        checksum: checksum ? { algorithm: checksum.algorithm, expected: checksum.expected, actual: checksum.actual, ok: checksum.ok } : null,
+        validation: validation ? {
+            rows: validation.rows,
+            violationCount: validation.violationCount,
+            summary: describeViolations(validation),
+            rules: Object.fromEntries(Object.entries(validation.violations).map(([rule, { count }]) => [rule, count]))
+        } : null,
+        http: headers ? { headers: pickHeaders(headers) } : null,
+        files: kept,
+        quarantinedAt,
+        checks: [],
+        resolvedAt: null
+    };
+    await saveReason(item);
+    return item;
+}
+
+async function readDirNames(dir) {
+    try {
+        return (await fs.readdir(dir, { withFileTypes: true })).filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+// Every quarantined item, oldest first; symbols narrows the list
+async function listQuarantine({ symbols = null } = {}) {
+    const items = [];
+    for (const slug of await readDirNames(QUARANTINE_CONFIG.dir)) {
+        for (const symbol of await readDirNames(path.join(QUARANTINE_CONFIG.dir, slug))) {
+            if (symbols && !symbols.includes(symbol)) continue;
+            for (const name of await readDirNames(path.join(QUARANTINE_CONFIG.dir, slug, symbol))) {
+                const reasonPath = path.join(QUARANTINE_CONFIG.dir, slug, symbol, name, QUARANTINE_CONFIG.reasonFile);
+                try {
+                    items.push(JSON.parse(await fs.readFile(reasonPath, 'utf8')));
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                }
+            }
+        }
+    }
+    return items.sort((a, b) => a.quarantinedAt.localeCompare(b.quarantinedAt));
+}
+
+async function loadItem(id) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(itemDir(id), QUARANTINE_CONFIG.reasonFile), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') throw new Error(`No quarantined item ${id}`);
+        throw error;
+    }
+}
+
+// Checksum, ZIP (every entry's CRC-32) and, for trades, row checks of an archive on disk: [{ kind, ok, error }]
+async function verifyArchiveFile(zipPath, checksumPath, dataset) {
+    const checks = [];
+    if (await exists(checksumPath)) {
+        try {
+            const expected = parseChecksumFile(await fs.readFile(checksumPath, 'utf8'), zipPath);
+            const comparison = compareChecksum(expected, (await hashFile(zipPath, expected.algorithm)).digest('hex'));
+            checks.push({ kind: 'checksum', ok: comparison.valid, algorithm: comparison.algorithm, expected: comparison.expected, actual: comparison.actual, error: comparison.error });
+        } catch (error) {
+            checks.push({ kind: 'checksum', ok: false, error: error.message });
+        }
+    }
+
+    try {
+        const entries = await readZipEntries(zipPath);
+        if (!entries.some(entry => entry.name.endsWith('.csv'))) {
+            throw new Error('No CSV file found in ZIP');
+        }
+        for (const entry of entries) {
+            for await (const chunk of await createEntryStream(zipPath, entry)) {
+                void chunk; // Reading every byte is what runs the CRC-32 and size checks
+            }
+        }
+        checks.push({ kind: 'zip', ok: true });
+    } catch (error) {
+        checks.push({ kind: 'zip', ok: false, error: error.message });
+        return checks;
+    }
+
+    if (dataset.dataType === 'trades') {
+        const report = await validateTradesFile(zipPath);
+        checks.push({ kind: 'rows', ok: report.valid, error: report.valid ? null : describeViolations(report) });
+    }
+    return checks;
+}
+
+function datasetOf(item) {
+    const [market, granularity, dataType, interval] = item.dataset.split('/');
+    return resolveDataset({ market, granularity, dataType, interval });
+}
+
+// Re-run every check on the quarantined copy and append the outcome to reason.json
+async function verifyItem(id) {
+    const item = await loadItem(id);
+    const dir = itemDir(id);
+    const zipPath = path.join(dir, item.filename);
+    const checks = await exists(zipPath)
+        ? await verifyArchiveFile(zipPath, `${zipPath}.CHECKSUM`, datasetOf(item))
+        : [{ kind: 'zip', ok: false, error: 'archive was not kept' }];
+
+    const outcome = { action: 'verify', at: new Date().toISOString(), ok: checks.every(check => check.ok), checks };
+    item.checks.push(outcome);
+    await saveReason(item);
+    return { item, outcome };
+}
+
+// Copy through a temp file so a worker never sees a half-written archive at its output path
+async function copyFileAtomic(sourcePath, destPath) {
+    const tempPath = tempPathFor(destPath);
+    try {
+        await fs.copyFile(sourcePath, tempPath);
+        await commitFile(tempPath, destPath);
+    } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+// Download the archive again into the item's redownload/ directory and check it; a copy that passes every
+// check is restored to the worker's output path and recorded in the catalog, and the item is marked resolved
+async function redownloadItem(id) {
+    const item = await loadItem(id);
+    const dataset = datasetOf(item);
+    const downloadDir = path.join(itemDir(id), 'redownload');
+    const zipPath = path.join(downloadDir, item.filename);
+    await fs.mkdir(downloadDir, { recursive: true });
+
+    let outcome;
+    try {
+        const result = await downloadWithChecksum(item.url, zipPath, { keepCorrupt: true });
+        const checks = await verifyArchiveFile(zipPath, result.checksumPath, dataset);
+        outcome = {
+            action: 'redownload',
+            at: new Date().toISOString(),
+            ok: checks.every(check => check.ok),
+            checks,
+            http: { headers: pickHeaders(result.headers) }
+        };
+
+        if (outcome.ok && item.originalPath) {
+            await fs.mkdir(path.dirname(item.originalPath), { recursive: true });
+            await copyFileAtomic(zipPath, item.originalPath);
+            await copyFileAtomic(result.checksumPath, `${item.originalPath}.CHECKSUM`);
+            sharedCatalog().recordDownload(dataset, { key: item.key, symbol: item.symbol, size: result.bytes, etag: result.etag }, {
+                ...downloadRecord(item.originalPath, { ...result, checksumPath: `${item.originalPath}.CHECKSUM` }),
+                verifications: checks
+            });
+            outcome.restoredTo = item.originalPath;
+            item.resolvedAt = outcome.at;
+        }
+    } catch (error) {
+        outcome = {
+            action: 'redownload',
+            at: new Date().toISOString(),
+            ok: false,
+            error: error.message,
+            checksum: error.checksum ? { expected: error.checksum.expected, actual: error.checksum.actual } : null,
+            http: error.headers ? { headers: pickHeaders(error.headers) } : null
+        };
+        if (error.corruptPath) {
+            await fs.rename(error.corruptPath, zipPath).catch(() => {});
+        }
+    }
+
+    item.checks.push(outcome);
+    await saveReason(item);
+    return { item, outcome };
+}
+
+async function purgeItem(id) {
+    await fs.rm(itemDir(id), { recursive: true, force: true });
+}
+
+function describeItem(item) {
+    const status = item.resolvedAt ? ` (resolved ${item.resolvedAt})` : '';
+    return `${item.id}\n      ${item.stage}: ${item.error}${status}`;
+}
+
+function describeOutcome({ outcome }) {
+    if (outcome.error) {
+        return `failed: ${outcome.error}`;
+    }
+    const checks = outcome.checks.map(check => `${check.kind} ${check.ok ? 'ok' : `FAILED (${check.error})`}`).join(', ');
+    return `${outcome.ok ? 'passed' : 'still bad'}: ${checks}${outcome.restoredTo ? `, restored to ${outcome.restoredTo}` : ''}`;
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            ...ENDPOINT_OPTIONS,
+            symbol: { type: 'string', multiple: true },
+            json: { type: 'boolean', default: false },
+            all: { type: 'boolean', default: false },
+            resolved: { type: 'boolean', default: false },
+            'older-than': { type: 'string' }
+        }
+    });
+    applyEndpointArgs(values);
+    const [command = 'list', ...ids] = positionals;
+    const symbols = values.symbol || null;
+    const selectIds = async () => ids.length > 0
+        ? ids
+        : (await listQuarantine({ symbols })).filter(item => !item.resolvedAt).map(item => item.id);
+
+    if (command === 'list') {
+        const items = await listQuarantine({ symbols });
+        if (values.json) {
+            console.log(JSON.stringify(items, null, 2));
+            return;
+        }
+        console.log(`🧪 ${items.length} quarantined items in ${QUARANTINE_CONFIG.dir}`);
+        for (const item of items) {
+            console.log(`   ${item.resolvedAt ? '✅' : '❌'} ${describeItem(item)}`);
+        }
+    } else if (command === 'verify' || command === 'redownload') {
+        const action = command === 'verify' ? verifyItem : redownloadItem;
+        let bad = 0;
+        for (const id of await selectIds()) {
+            const result = await action(id);
+            if (!result.outcome.ok) bad++;
+            console.log(`   ${result.outcome.ok ? '✅' : '❌'} ${id}: ${describeOutcome(result)}`);
+        }
+        if (bad > 0) process.exitCode = 1;
+    } else if (command === 'purge') {
+        let items = await listQuarantine({ symbols });
+        if (ids.length > 0) {
+            items = items.filter(item => ids.includes(item.id));
+        } else if (values.resolved) {
+            items = items.filter(item => item.resolvedAt);
+        } else if (values['older-than']) {
+            const days = Number(values['older-than']);
+            if (!Number.isFinite(days) || days <= 0) {
+                throw new Error(`--older-than needs a positive number of days, got "${values['older-than']}"`);
+            }
+            const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+            items = items.filter(item => Date.parse(item.quarantinedAt) < cutoff);
+        } else if (!values.all) {
+            throw new Error('purge needs item ids, --all, --resolved or --older-than DAYS');
+        }
+        for (const item of items) {
+            await purgeItem(item.id);
+            console.log(`   🗑️  ${item.id}`);
+        }
+        console.log(`🧹 Purged ${items.length} items`);
+    } else {
+        throw new Error(`Unknown command "${command}". Expected list, verify, redownload or purge`);
+    }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        console.error(`💥 Quarantine command failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+export { QUARANTINE_CONFIG, quarantineFiles, listQuarantine, verifyItem, redownloadItem, purgeItem };
@@ -0,0 +1,170 @@
+/**
+ * Adaptive Rate Limiter - one token bucket shared by every listing and download request in a process
+ * - Requests take a token; tokens refill at the current rate (requests per second) up to a small burst
+ * - 429/503 responses halve the rate and pause all requests for Retry-After (seconds or HTTP date)
+ * - Time-to-first-byte well above the best seen so far lowers the rate a little
+ * - Every other successful response raises the rate by a small step, never above maxRate
+ * maxRate is a hard ceiling for the whole process however many scrapers/downloaders share it.
+ */
+
+const RATE_LIMIT_CONFIG = {
+    initialRate: Number(process.env.RATE_LIMIT_RPS) || 10,      // Requests per second at startup
+    maxRate: Number(process.env.RATE_LIMIT_MAX_RPS) || 40,      // Hard ceiling
+    minRate: 0.5,                 // Floor after repeated throttling
+    burst: 10,                    // Bucket capacity
+    decreaseFactor: 0.5,          // Rate multiplier on 429/503
+    latencyDecreaseFactor: 0.8,   // Rate multiplier when latency rises
+    latencyFactor: 3,             // "Rising" means the latency average exceeds the baseline by this factor
+    latencyAlpha: 0.2,            // Weight of the newest sample in the latency average
+    minLatency: 200,              // Ignore latency changes below this many ms
+    recoveryStep: 0.1,            // Requests per second regained per successful response
+    cooldown: 1000,               // At most one decrease per cooldown, so a burst of 429s counts once
+    throttleBackoff: 1000,        // Pause after a 429/503 without Retry-After
+    maxRetryAfter: 5 * 60 * 1000  // Cap on honored Retry-After values
+};
+
+// Retry-After is either delay-seconds or an HTTP date; returns milliseconds or null
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const text = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return Math.round(Number(text) * 1000);
+    }
+    const date = Date.parse(text);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function createRateLimiter(options = {}) {
+    const settings = { ...RATE_LIMIT_CONFIG, ...options };
+    const limiter = {
+        settings,
+        rate: Math.min(settings.initialRate, settings.maxRate),
+        tokens: settings.burst,
+        lastRefill: Date.now(),
+        pausedUntil: 0,
+        lastDecrease: 0,
+        latency: null,
+        baselineLatency: null,
+        queue: Promise.resolve(),
+        stats: { requests: 0, throttled: 0, decreases: 0, waitedMs: 0 }
+    };
+
+    function refill(now) {
+        const elapsed = (now - limiter.lastRefill) / 1000;
+        limiter.tokens = Math.min(settings.burst, limiter.tokens + elapsed * limiter.rate);
+        limiter.lastRefill = now;
+    }
+
+    function adjust(rate, reason, extra = {}) {
+        const previous = limiter.rate;
+        limiter.rate = Math.max(settings.minRate, Math.min(settings.maxRate, rate));
+        if (limiter.rate < previous) {
+            limiter.stats.decreases++;
+            limiter.lastDecrease = Date.now();
+            if (settings.onAdjust) {
+                settings.onAdjust({ reason, previousRate: previous, rate: limiter.rate, ...extra });
+            }
+        }
+    }
+
+    async function takeToken() {
+        const started = Date.now();
+        for (;;) {
+            const now = Date.now();
+            refill(now);
+            if (now < limiter.pausedUntil) {
+                await new Promise(resolve => setTimeout(resolve, limiter.pausedUntil - now));
+                continue;
+            }
+            if (limiter.tokens >= 1) {
+                limiter.tokens -= 1;
+                limiter.stats.requests++;
+                limiter.stats.waitedMs += Date.now() - started;
+                return;
+            }
+            await new Promise(resolve => setTimeout(resolve, Math.ceil(((1 - limiter.tokens) / limiter.rate) * 1000)));
+        }
+    }
+
+    // Wait for a token; callers are served in arrival order
+    function acquire() {
+        const turn = limiter.queue.then(takeToken);
+        limiter.queue = turn.catch(() => {});
+        return turn;
+    }
+
+    // Feed a response back: statusCode, headers and time to first byte in ms
+    function observe({ statusCode, headers = {}, latency = null }) {
+        const now = Date.now();
+
+        if (statusCode === 429 || statusCode === 503) {
+            limiter.stats.throttled++;
+            const retryAfter = parseRetryAfter(headers['retry-after'], now);
+            const pause = Math.min(retryAfter ?? settings.throttleBackoff, settings.maxRetryAfter);
+            limiter.pausedUntil = Math.max(limiter.pausedUntil, now + pause);
+            limiter.tokens = 0;
+            if (now - limiter.lastDecrease >= settings.cooldown) {
+                adjust(limiter.rate * settings.decreaseFactor, `HTTP ${statusCode}`, { pauseMs: pause });
+            }
+            return;
+        }
+
+        if (statusCode >= 500) {
+            return;
+        }
+
+        if (latency !== null) {
+            limiter.latency = limiter.latency === null
+                ? latency
+                : settings.latencyAlpha * latency + (1 - settings.latencyAlpha) * limiter.latency;
+            limiter.baselineLatency = limiter.baselineLatency === null
+                ? limiter.latency
+                : Math.min(limiter.baselineLatency, limiter.latency);
+
+            const rising = limiter.latency > settings.minLatency
+                && limiter.latency > limiter.baselineLatency * settings.latencyFactor;
+            if (rising) {
+                if (now - limiter.lastDecrease >= settings.cooldown) {
+                    adjust(limiter.rate * settings.latencyDecreaseFactor, 'rising latency', {
+                        latencyMs: Math.round(limiter.latency),
+                        baselineMs: Math.round(limiter.baselineLatency)
+                    });
+                }
+                return;
+            }
+        }
+
+        adjust(limiter.rate + settings.recoveryStep, 'recovery');
+    }
+
+    function snapshot() {
+        return {
+            rate: Number(limiter.rate.toFixed(2)),
+            pausedForMs: Math.max(0, limiter.pausedUntil - Date.now()),
+            latencyMs: limiter.latency === null ? null : Math.round(limiter.latency),
+            ...limiter.stats
+        };
+    }
+
+    return { acquire, observe, snapshot, settings };
+}
+
+let sharedLimiter = null;
+
+// The process-wide limiter used by bucket_listing.js and resumable_download.js
+function sharedRateLimiter() {
+    if (!sharedLimiter) {
+        sharedLimiter = createRateLimiter();
+    }
+    return sharedLimiter;
+}
+
+// Replace the shared limiter's settings (e.g. to log adjustments); call before the first request
+function configureRateLimiter(options = {}) {
+    sharedLimiter = createRateLimiter(options);
+    return sharedLimiter;
+}
+
+export { RATE_LIMIT_CONFIG, parseRetryAfter, createRateLimiter, sharedRateLimiter, configureRateLimiter };
@@ -0,0 +1,487 @@
+#!/usr/bin/env node
+/**
+ * Trade Replay - several symbols' collected trades as one time-ordered stream, for backtests
+ * - Each symbol streams its verified archives day by day (see trade_source.js); a k-way merge over a min-heap
+ *   keyed by trade_time (ties in --symbol order) interleaves them, so memory holds one trade per symbol
+ * - Speed: max (as fast as the consumer takes them), realtime, or a multiplier such as 10x or 0.5x;
+ *   pause(), resume(), seek(time) and setSpeed() work while it runs
+ * - Events come from an EventEmitter ('trade', 'start', 'pause', 'resume', 'seek', 'speed', 'end') or an async
+ *   iterator of trades; slow consumers hold the replay back instead of piling events up
+ * - Optionally served over a local WebSocket: JSON messages out, JSON commands in
+ *   ({"action":"pause"}, {"action":"seek","time":"2024-01-02T00:00"}, {"action":"speed","speed":"10x"}, ...)
+ *
+ * Usage: node replay.js --symbol SYMBOL... [--from TIME] [--to TIME] [--speed max|realtime|10x]
+ *                       [--ws] [--port 8765] [--source DIR]... [--skip-checksum]
+ *                       [--market spot|futures] [--granularity daily|monthly]
+ *        (without --ws the trades are written to stdout as JSON lines)
+ */
+
+import { EventEmitter, once } from 'events';
+import path from 'path';
+import { parseArgs } from 'util';
+import { selectTradeFiles, readTrades } from './trade_source.js';
+import { parseTimestamp } from './trade_query.js';
+import { createWebSocketServer } from './websocket_server.js';
+import { resolveDataset } from './datasets.js';
+import { COVERAGE_CONFIG } from './coverage_report.js';
+import { DATASET_OPTIONS, datasetFromArgs } from './worker_args.js';
+
+const REPLAY_CONFIG = {
+    port: Number(process.env.REPLAY_PORT) || 8765,
+    host: '127.0.0.1',   // Local clients only
+    queueSize: 1000      // Trades an async iterator may fall behind before the replay waits for it
+};
+
+const CONTROL_EVENTS = ['start', 'pause', 'resume', 'seek', 'speed', 'end'];
+
+// max -> Infinity, realtime -> 1, "10x" or 10 -> 10
+function parseSpeed(value) {
+    if (value === undefined || value === null || value === 'max') return Infinity;
+    if (value === 'realtime') return 1;
+    const match = /^(\d+(?:\.\d+)?)x?$/.exec(String(value));
+    const speed = match ? Number(match[1]) : NaN;
+    if (!(speed > 0)) {
+        throw new Error(`Invalid speed "${value}". Expected max, realtime or a multiplier such as 10x`);
+    }
+    return speed;
+}
+
+// What events and status() report: 'max' survives JSON, Infinity does not
+function speedLabel(speed) {
+    return Number.isFinite(speed) ? speed : 'max';
+}
+
+function utcDate(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+// Min-heap of { trade, index, iterator }: earliest trade_time first, then the lower symbol index
+function isBefore(a, b) {
+    return a.trade.time < b.trade.time || (a.trade.time === b.trade.time && a.index < b.index);
+}
+
+function heapPush(heap, item) {
+    heap.push(item);
+    for (let i = heap.length - 1; i > 0;) {
+        const parent = (i - 1) >> 1;
+        if (!isBefore(heap[i], heap[parent])) break;
+        [heap[i], heap[parent]] = [heap[parent], heap[i]];
+        i = parent;
+    }
+}
+
+function heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        for (let i = 0; ;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.length && isBefore(heap[left], heap[smallest])) smallest = left;
+            if (right < heap.length && isBefore(heap[right], heap[smallest])) smallest = right;
+            if (smallest === i) break;
+            [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+            i = smallest;
+        }
+    }
+    return top;
+}
+
+// A replay of symbols' trades with from <= trade_time < to (epoch ms, null for open ends).
+// Returns an EventEmitter with start(), pause(), resume(), seek(time), setSpeed(speed), stop(), status(),
+// waitFor(promise) for listeners that need the next trade held back, and [Symbol.asyncIterator]
+function createReplay({
+    symbols,
+    from = null,
+    to = null,
+    dataset = resolveDataset(),
+    sources = COVERAGE_CONFIG.sources,
+    verify = true,
+    speed = 'max'
+}) {
+    if (!symbols || symbols.length === 0) {
+        throw new Error('A replay needs at least one symbol');
+    }
+    const window = { start: from ?? -Infinity, end: to ?? Infinity };
+    const replay = new EventEmitter();
+    const state = { speed: parseSpeed(speed), paused: false, pausedAt: null, stopped: false, seekTo: null, position: null, emitted: 0 };
+    const holds = [];
+    let streams = [];
+    let clock = null; // { wall, time }: the wall-clock instant a replay time was (or will be) reached
+    let wake = null;
+    let running = null;
+
+    // Replay time now: between trades it keeps moving with the clock unless paused or at max speed
+    function currentTime() {
+        if (clock && !state.paused && Number.isFinite(state.speed)) {
+            return clock.time + (Date.now() - clock.wall) * state.speed;
+        }
+        return state.paused && state.pausedAt !== null ? state.pausedAt : state.position;
+    }
+
+    // Wake the run loop from a sleep or a pause so it sees a control change
+    function interrupt() {
+        if (wake) wake();
+    }
+
+    function sleep(ms) {
+        return new Promise(resolve => {
+            const done = () => {
+                clearTimeout(timer);
+                wake = null;
+                resolve();
+            };
+            const timer = setTimeout(done, ms);
+            wake = done;
+        });
+    }
+
+    function waitForControl() {
+        return new Promise(resolve => {
+            wake = () => {
+                wake = null;
+                resolve();
+            };
+        });
+    }
+
+    // One iterator per symbol from time on, primed into a fresh heap
+    async function openStreams(time) {
+        const heap = [];
+        const start = Math.max(time, window.start);
+        streams = streams.map(stream => {
+            const files = Number.isFinite(start)
+                ? stream.files.filter(file => file.date >= utcDate(start).slice(0, file.date.length))
+                : stream.files;
+            return { ...stream, iterator: readTrades(files, { window: { start, end: window.end }, stats: stream.stats }) };
+        });
+        for (const stream of streams) {
+            const first = await stream.iterator.next();
+            if (!first.done) heapPush(heap, { trade: first.value, index: stream.index, iterator: stream.iterator });
+        }
+        return heap;
+    }
+
+    async function closeStreams() {
+        for (const stream of streams) {
+            if (stream.iterator) await stream.iterator.return();
+        }
+    }
+
+    async function deliver(trade, symbol) {
+        const { priceText, sizeText, ...values } = trade;
+        replay.emit('trade', { symbol, ...values });
+        while (holds.length > 0) {
+            await holds.shift();
+        }
+    }
+
+    async function run() {
+        const dateRange = {
+            from: Number.isFinite(window.start) ? utcDate(window.start) : null,
+            to: Number.isFinite(window.end) ? utcDate(window.end - 1) : null
+        };
+        for (const [index, symbol] of symbols.entries()) {
+            const { files, skipped } = await selectTradeFiles({ dataset, symbol, dateRange, sources, verify });
+            streams.push({ index, symbol, files, skipped, stats: {}, iterator: null });
+        }
+        replay.emit('start', {
+            symbols: streams.map(({ symbol, files, skipped }) => ({ symbol, files: files.length, skipped })),
+            speed: speedLabel(state.speed)
+        });
+
+        let heap = await openStreams(window.start);
+        try {
+            while (!state.stopped) {
+                if (state.seekTo !== null) {
+                    const target = state.seekTo;
+                    state.seekTo = null;
+                    await closeStreams();
+                    heap = await openStreams(target);
+                    state.position = target;
+                    if (state.paused) state.pausedAt = target;
+                    clock = null;
+                    replay.emit('seek', { time: target });
+                    continue;
+                }
+                if (state.paused) {
+                    await waitForControl();
+                    continue;
+                }
+                if (heap.length === 0) break;
+
+                const next = heap[0];
+                if (Number.isFinite(state.speed)) {
+                    if (!clock) clock = { wall: Date.now(), time: next.trade.time };
+                    const wait = clock.wall + (next.trade.time - clock.time) / state.speed - Date.now();
+                    if (wait > 0) {
+                        await sleep(wait);
+                        continue;
+                    }
+                }
+
+                heapPop(heap);
+                state.position = next.trade.time;
+                state.emitted++;
+                await deliver(next.trade, streams[next.index].symbol);
+                const following = await next.iterator.next();
+                if (!following.done) heapPush(heap, { ...next, trade: following.value });
+            }
+        } finally {
+            await closeStreams();
+        }
+        const outOfOrder = streams.reduce((sum, stream) => sum + (stream.stats.outOfOrder || 0), 0);
+        replay.emit('end', { emitted: state.emitted, position: state.position, stopped: state.stopped, outOfOrder });
+        return state.emitted;
+    }
+
+    Object.assign(replay, {
+        // Resolves with the number of trades emitted once the replay ends or is stopped
+        start() {
+            if (!running) running = run();
+            return running;
+        },
+        pause() {
+            if (state.paused) return;
+            state.pausedAt = currentTime();
+            state.paused = true;
+            interrupt();
+            replay.emit('pause', { time: state.pausedAt });
+        },
+        resume() {
+            if (!state.paused) return;
+            state.paused = false;
+            clock = Number.isFinite(state.speed) && state.pausedAt !== null ? { wall: Date.now(), time: state.pausedAt } : null;
+            interrupt();
+            replay.emit('resume', { time: state.pausedAt });
+        },
+        // Jump to an epoch ms time (forwards or backwards); the next trade is the first at or after it
+        seek(time) {
+            if (!Number.isFinite(time)) {
+                throw new Error(`Invalid seek time "${time}"`);
+            }
+            state.seekTo = Math.min(Math.max(time, window.start), window.end);
+            interrupt();
+        },
+        setSpeed(value) {
+            const time = currentTime();
+            state.speed = parseSpeed(value);
+            clock = Number.isFinite(state.speed) && time !== null ? { wall: Date.now(), time } : null;
+            interrupt();
+            replay.emit('speed', { speed: speedLabel(state.speed) });
+        },
+        stop() {
+            state.stopped = true;
+            interrupt();
+        },
+        status() {
+            return {
+                symbols,
+                speed: speedLabel(state.speed),
+                paused: state.paused,
+                position: state.position,
+                emitted: state.emitted,
+                running: Boolean(running) && !state.stopped
+            };
+        },
+        waitFor(promise) {
+            holds.push(promise);
+        }
+    });
+
+    replay[Symbol.asyncIterator] = () => {
+        const queue = [];
+        let notify = null;
+        let space = null;
+        let finished = false;
+        let failure = null;
+
+        const signal = () => {
+            if (notify) notify();
+        };
+        const onTrade = (trade) => {
+            queue.push(trade);
+            signal();
+            if (queue.length >= REPLAY_CONFIG.queueSize && !space) {
+                replay.waitFor(new Promise(resolve => { space = resolve; }));
+            }
+        };
+        const cleanup = () => {
+            replay.off('trade', onTrade);
+            if (space) space();
+        };
+        replay.on('trade', onTrade);
+        replay.start().then(() => {
+            finished = true;
+            signal();
+        }, (error) => {
+            failure = error;
+            signal();
+        });
+
+        return {
+            async next() {
+                while (queue.length === 0 && !finished && !failure) {
+                    await new Promise(resolve => { notify = resolve; });
+                    notify = null;
+                }
+                if (queue.length > 0) {
+                    const value = queue.shift();
+                    if (space && queue.length < REPLAY_CONFIG.queueSize / 2) {
+                        space();
+                        space = null;
+                    }
+                    return { value, done: false };
+                }
+                cleanup();
+                if (failure) throw failure;
+                return { value: undefined, done: true };
+            },
+            async return() {
+                cleanup();
+                replay.stop();
+                return { value: undefined, done: true };
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
+    };
+
+    return replay;
+}
+
+// Apply a JSON command from a WebSocket client; returns what to answer
+function applyCommand(replay, command) {
+    switch (command.action) {
+        case 'pause':
+            replay.pause();
+            break;
+        case 'resume':
+            replay.resume();
+            break;
+        case 'seek':
+            replay.seek(typeof command.time === 'number' ? command.time : parseTimestamp(String(command.time)));
+            break;
+        case 'speed':
+            replay.setSpeed(command.speed);
+            break;
+        case 'status':
+            break;
+        default:
+            throw new Error(`Unknown action "${command.action}". Expected pause, resume, seek, speed or status`);
+    }
+    return { type: 'status', ...replay.status() };
+}
+
+// Stream a replay to WebSocket clients on host:port; a backed-up client holds the replay until it catches up
+async function serveReplay(replay, { port = REPLAY_CONFIG.port, host = REPLAY_CONFIG.host } = {}) {
+    const server = await createWebSocketServer({ port, host });
+    const send = (message) => {
+        if (!server.broadcast(JSON.stringify(message))) {
+            replay.waitFor(server.whenDrained());
+        }
+    };
+
+    replay.on('trade', trade => send({ type: 'trade', ...trade }));
+    for (const type of CONTROL_EVENTS) {
+        replay.on(type, details => send({ type, ...details }));
+    }
+    server.on('connection', client => client.send(JSON.stringify({ type: 'status', ...replay.status() })));
+    server.on('message', (client, text) => {
+        try {
+            client.send(JSON.stringify(applyCommand(replay, JSON.parse(text))));
+        } catch (error) {
+            client.send(JSON.stringify({ type: 'error', error: error.message }));
+        }
+    });
+    return server;
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            ...DATASET_OPTIONS,
+            symbol: { type: 'string', multiple: true },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            speed: { type: 'string', default: 'max' },
+            ws: { type: 'boolean', default: false },
+            port: { type: 'string' },
+            source: { type: 'string', multiple: true },
+            'skip-checksum': { type: 'boolean', default: false }
+        }
+    });
+    if (!values.symbol) {
+        console.error('Usage: node replay.js --symbol SYMBOL... [--from TIME] [--to TIME] [--speed max|realtime|10x] [--ws] [--port 8765]');
+        process.exit(1);
+    }
+
+    const replay = createReplay({
+        symbols: values.symbol.map(symbol => symbol.toUpperCase()),
+        from: values.from ? parseTimestamp(values.from) : null,
+        to: values.to ? parseTimestamp(values.to, { end: true }) : null,
+        dataset: datasetFromArgs(values),
+        sources: (values.source || COVERAGE_CONFIG.sources).map(source => path.resolve(source)),
+        verify: !values['skip-checksum'],
+        speed: values.speed
+    });
+    replay.on('start', ({ symbols }) => {
+        for (const { symbol, files, skipped } of symbols) {
+            console.error(`   ${files > 0 ? '▶️ ' : '❔'} ${symbol}: ${files} files${skipped.length > 0 ? `, ${skipped.length} skipped (${skipped.map(item => item.date).join(', ')})` : ''}`);
+        }
+    });
+    replay.on('end', ({ emitted, outOfOrder }) => {
+        console.error(`🏁 Replayed ${emitted} trades${outOfOrder > 0 ? ` (${outOfOrder} out-of-order trades left out)` : ''}`);
+    });
+    // The first signal stops the replay, closes the WebSocket server and exits, even while waiting for a first
+    // client or on a hold that never resolves; a second one exits at once
+    let server = null;
+    let stopping = false;
+    const shutdown = async (signal) => {
+        if (stopping) {
+            process.exit(1);
+        }
+        stopping = true;
+        console.error(`🛑 ${signal}: stopping the replay`);
+        replay.stop();
+        if (server) await server.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+    if (!values.ws) {
+        // A reader that stops early (head, a closed pipe) is not an error
+        process.stdout.on('error', (error) => {
+            if (error.code === 'EPIPE') process.exit(0);
+            throw error;
+        });
+        replay.on('trade', (trade) => {
+            if (!process.stdout.write(`${JSON.stringify(trade)}\n`)) {
+                replay.waitFor(once(process.stdout, 'drain'));
+            }
+        });
+        console.error(`⏯️  Replaying ${values.symbol.join(', ')} at ${values.speed} speed`);
+        await replay.start();
+        return;
+    }
+
+    server = await serveReplay(replay, { port: values.port ? Number(values.port) : REPLAY_CONFIG.port });
+    console.error(`🔌 Replay of ${values.symbol.join(', ')} on ws://${server.address.address}:${server.address.port}, starts when the first client connects`);
+    await once(server, 'connection');
+    await replay.start();
+    await server.close();
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        console.error(`💥 Replay failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+export { REPLAY_CONFIG, parseSpeed, createReplay, serveReplay };
@@ -0,0 +1,275 @@
+/**
+ * Resumable Downloads - shared by every worker
+ * - Bytes stream into <file>.part; a sidecar <file>.part.json records the URL, ETag and bytes received
+ * - A retry (or a later run) resumes the partial file with a Range request guarded by If-Range
+ * - If the server's ETag changed, or it ignores the range, the download restarts from zero
+ * - With options.checksum ({ algorithm, hash }) the digest is computed while bytes stream to disk
+ *   (a resumed download first re-hashes the bytes already on disk)
+ * - The .part file is fsynced and renamed to the final path only once the expected size
+ *   (options.expectedSize, else Content-Length) has arrived and the checksum, if given, matches;
+ *   a mismatching file is deleted and never renamed (with options.keepCorrupt it is kept as <file>.corrupt
+ *   for quarantine, and error.corruptPath/error.headers describe it)
+ * - Results carry the response headers of the final request
+ * - Requests go through the shared HTTP client (keep-alive, redirects, rate limiter, mirror failover),
+ *   so a retry after a failover resumes from the next mirror; options.signal aborts without retrying
+ */
+
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import { compareChecksum, hashFile, parseChecksumFile } from './checksum.js';
+import { commitFile } from './atomic_files.js';
+import { request, isRetryable, HttpStatusError, HttpAbortError } from './http_client.js';
+
+const DOWNLOAD_CONFIG = {
+    timeout: 30000,       // Socket idle timeout
+    maxRetries: 5,        // Resume attempts after the first try
+    retryDelay: 2000      // Base delay, multiplied by the attempt number
+};
+
+function partPaths(filePath) {
+    return { partPath: `${filePath}.part`, sidecarPath: `${filePath}.part.json` };
+}
+
+async function readSidecar(sidecarPath) {
+    try {
+        return JSON.parse(await fs.readFile(sidecarPath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+async function writeSidecar(sidecarPath, data) {
+    await fs.writeFile(sidecarPath, JSON.stringify({ ...data, updatedAt: new Date().toISOString() }, null, 2));
+}
+
+async function fileSize(filePath) {
+    try {
+        return (await fs.stat(filePath)).size;
+    } catch (error) {
+        return 0;
+    }
+}
+
+// Remove a partial download and its sidecar
+async function discardPartial(filePath) {
+    const { partPath, sidecarPath } = partPaths(filePath);
+    await fs.unlink(partPath).catch(() => {});
+    await fs.unlink(sidecarPath).catch(() => {});
+}
+
+function normalizeEtag(etag) {
+    return etag ? String(etag).replace(/^W\//, '').replace(/^"|"$/g, '') : null;
+}
+
+function parseContentRange(header) {
+    const match = header && header.match(/^bytes (\d+)-(\d+)\/(\d+|\*)$/);
+    if (!match) return null;
+    return { start: Number(match[1]), end: Number(match[2]), total: match[3] === '*' ? null : Number(match[3]) };
+}
+
+// Archives and checksum files may come with any binary or text type, but never as an HTML error page
+const DOWNLOAD_CONTENT_TYPE = /^(?!text\/html)/i;
+
+function corruptPathFor(filePath) {
+    return `${filePath}.corrupt`;
+}
+
+// Compare the streamed digest; a mismatch deletes the partial file (or sets it aside as <file>.corrupt) so it is never renamed into place
+async function verifyPartial(filePath, hash, options, resumed) {
+    if (!options.checksum) {
+        return null;
+    }
+    const verification = compareChecksum(options.checksum, hash.digest('hex'));
+    if (!verification.valid) {
+        let corruptPath = null;
+        if (options.keepCorrupt) {
+            corruptPath = corruptPathFor(filePath);
+            await fs.rename(partPaths(filePath).partPath, corruptPath).catch(() => { corruptPath = null; });
+        }
+        await discardPartial(filePath);
+        const error = new Error(`Checksum mismatch (${verification.algorithm}): expected ${verification.expected}, got ${verification.actual}`);
+        error.checksum = verification;
+        error.corruptPath = corruptPath;
+        error.retryable = false;
+        error.restart = resumed; // A resumed file may have been spliced badly: try once more from zero
+        throw error;
+    }
+    return verification;
+}
+
+// One attempt: resume from the .part file when its sidecar matches, otherwise start over
+async function attemptDownload(url, filePath, options) {
+    const { partPath, sidecarPath } = partPaths(filePath);
+    const sidecar = await readSidecar(sidecarPath);
+    let offset = sidecar && sidecar.url === url && sidecar.etag ? await fileSize(partPath) : 0;
+
+    const headers = {};
+    if (offset > 0) {
+        headers.Range = `bytes=${offset}-`;
+        headers['If-Range'] = `"${sidecar.etag}"`;
+    }
+
+    const response = await request(url, {
+        headers,
+        timeout: options.timeout,
+        signal: options.signal,
+        rateLimiter: options.rateLimiter,
+        expectStatus: [200, 206, 416],
+        acceptContentType: DOWNLOAD_CONTENT_TYPE
+    });
+    const etag = normalizeEtag(response.headers.etag);
+
+    if (response.statusCode === 416 && offset > 0) {
+        // Nothing left to fetch, or the stored range no longer makes sense: start over
+        response.resume();
+        const range = parseContentRange(response.headers['content-range'] || '');
+        if (range && range.total === offset && sidecar.totalSize === offset) {
+            const hash = options.checksum ? await hashFile(partPath, options.checksum.algorithm) : null;
+            const checksum = await verifyPartial(filePath, hash, options, true).catch(error => {
+                error.headers = response.headers;
+                throw error;
+            });
+            return { offset, etag: sidecar.etag, totalSize: offset, checksum, headers: response.headers, complete: true };
+        }
+        await discardPartial(filePath);
+        const error = new Error('Range not satisfiable, restarting download');
+        error.restart = true;
+        throw error;
+    }
+
+    if (response.statusCode === 416) {
+        response.resume();
+        throw new HttpStatusError(response, url);
+    }
+
+    let totalSize;
+    if (response.statusCode === 206) {
+        const range = parseContentRange(response.headers['content-range']);
+        if (!range || range.start !== offset || (etag && sidecar.etag && etag !== sidecar.etag)) {
+            // The object changed or the server answered a different range: start over
+            response.resume();
+            await discardPartial(filePath);
+            const error = new Error(`Server ETag or range changed for ${url}, restarting download`);
+            error.restart = true;
+            throw error;
+        }
+        totalSize = range.total;
+    } else {
+        // 200: either a fresh download, or the server refused to resume (If-Range failed)
+        offset = 0;
+        const length = response.headers['content-length'];
+        totalSize = length !== undefined ? Number(length) : null;
+    }
+
+    const state = { url, etag, totalSize, bytesReceived: offset };
+    await writeSidecar(sidecarPath, state);
+
+    // Seed the digest with the bytes already on disk before new ones arrive
+    const hash = options.checksum ? await hashFile(partPath, options.checksum.algorithm, offset) : null;
+
+    let transferred = 0;
+    response.on('data', chunk => {
+        transferred += chunk.length;
+        if (hash) hash.update(chunk);
+        if (options.onProgress) options.onProgress(chunk.length);
+    });
+
+    try {
+        await pipeline(response, createWriteStream(partPath, { flags: offset > 0 ? 'a' : 'w' }));
+    } catch (error) {
+        await writeSidecar(sidecarPath, { ...state, bytesReceived: offset + transferred }).catch(() => {});
+        error.bytesTransferred = transferred;
+        throw error;
+    }
+
+    const received = await fileSize(partPath);
+    if (totalSize !== null && received !== totalSize) {
+        await writeSidecar(sidecarPath, { ...state, bytesReceived: received }).catch(() => {});
+        const error = new Error(`Incomplete download: expected ${totalSize} bytes, got ${received}`);
+        error.bytesTransferred = transferred;
+        throw error;
+    }
+    if (options.expectedSize && received !== options.expectedSize) {
+        // The server sent a complete object of the wrong size (e.g. replaced since it was listed)
+        await discardPartial(filePath);
+        const error = new Error(`Size mismatch: expected ${options.expectedSize} bytes, got ${received}`);
+        error.bytesTransferred = transferred;
+        throw error;
+    }
+
+    try {
+        const checksum = await verifyPartial(filePath, hash, options, offset > 0);
+        return { offset, etag, totalSize: received, transferred, checksum, headers: response.headers, complete: true };
+    } catch (error) {
+        error.bytesTransferred = transferred;
+        error.headers = response.headers;
+        throw error;
+    }
+}
+
+// Download url to filePath, resuming partial data across retries and runs
+async function downloadResumable(url, filePath, options = {}) {
+    const settings = { ...DOWNLOAD_CONFIG, ...options };
+    const { partPath, sidecarPath } = partPaths(filePath);
+    let bytesTransferred = 0;
+    let resumed = false;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const result = await attemptDownload(url, filePath, settings);
+            bytesTransferred += result.transferred || 0;
+            resumed = resumed || result.offset > 0;
+
+            await commitFile(partPath, filePath);
+            await fs.unlink(sidecarPath).catch(() => {});
+            if (settings.keepCorrupt) {
+                // An earlier attempt's corrupt copy is no evidence once a retry verified
+                await fs.unlink(corruptPathFor(filePath)).catch(() => {});
+            }
+
+            return {
+                bytes: result.totalSize,
+                bytesTransferred,
+                resumed,
+                etag: result.etag,
+                checksum: result.checksum,
+                headers: result.headers
+            };
+        } catch (error) {
+            bytesTransferred += error.bytesTransferred || 0;
+            if (settings.signal && settings.signal.aborted) {
+                // An abort mid-body surfaces as a stream error; report it as the abort it is
+                const aborted = error instanceof HttpAbortError ? error : new HttpAbortError(url);
+                aborted.bytesTransferred = bytesTransferred;
+                throw aborted;
+            }
+            if (error.restart && attempt < settings.maxRetries) {
+                continue;
+            }
+            if (attempt >= settings.maxRetries || !isRetryable(error)) {
+                error.bytesTransferred = bytesTransferred;
+                throw error;
+            }
+            if (settings.onRetry) {
+                settings.onRetry(error, attempt + 1, await fileSize(partPath));
+            }
+            await new Promise(resolve => setTimeout(resolve, settings.retryDelay * (attempt + 1)));
+        }
+    }
+}
+
+// Fetch the published <file>.CHECKSUM first, then download the file verifying it on the fly.
+// The checksum file is kept next to the download; a mismatch throws with error.checksum set.
+async function downloadWithChecksum(url, filePath, options = {}) {
+    const checksumUrl = options.checksumUrl || `${url}.CHECKSUM`;
+    const checksumPath = `${filePath}.CHECKSUM`;
+
+    await downloadResumable(checksumUrl, checksumPath, { ...options, checksum: null, expectedSize: null, onProgress: null });
+    const expected = parseChecksumFile(await fs.readFile(checksumPath, 'utf8'), filePath);
+
+    const result = await downloadResumable(url, filePath, { ...options, checksum: expected });
+    return { ...result, checksumPath };
+}
+
+export { DOWNLOAD_CONFIG, downloadResumable, downloadWithChecksum, discardPartial, partPaths };
@@ -0,0 +1,122 @@
+/**
+ * Staged Pipeline - runs jobs through a chain of async stages concurrently
+ * - Each stage has its own worker pool (concurrency) and a bounded input queue (queueSize)
+ * - A full queue blocks the stage in front of it, so a fast stage (downloads) can never pile up
+ *   more finished work than the next one (validation) keeps up with
+ * - A job that throws leaves the pipeline through onError; every other job keeps flowing
+ * - A throwing onResult or onError goes to onCallbackError (a throwing onResult also counts the job as failed)
+ *   instead of rejecting the run, since the feeder and the other workers would stay blocked on full queues
+ */
+
+const CLOSED = Symbol('closed');
+
+// FIFO with a capacity: push() waits while full, pop() waits while empty and returns CLOSED once drained
+function createQueue(capacity) {
+    const items = [];
+    const waitingPush = [];
+    const waitingPop = [];
+    let closed = false;
+
+    async function push(item) {
+        while (items.length >= capacity) {
+            await new Promise(resolve => waitingPush.push(resolve));
+        }
+        items.push(item);
+        if (waitingPop.length > 0) waitingPop.shift()();
+    }
+
+    async function pop() {
+        while (items.length === 0) {
+            if (closed) return CLOSED;
+            await new Promise(resolve => waitingPop.push(resolve));
+        }
+        const item = items.shift();
+        if (waitingPush.length > 0) waitingPush.shift()();
+        return item;
+    }
+
+    function close() {
+        closed = true;
+        waitingPop.splice(0).forEach(resolve => resolve());
+    }
+
+    return { push, pop, close, size: () => items.length };
+}
+
+// Call onResult/onError without letting the callback's own error escape into the worker loop; returns false if it threw
+async function invokeCallback(callbacks, name, job, ...args) {
+    if (!callbacks[name]) return true;
+    try {
+        await callbacks[name](...args);
+        return true;
+    } catch (error) {
+        try {
+            if (callbacks.onCallbackError) await callbacks.onCallbackError(error, job, name);
+        } catch {
+            // Nothing is left to report it to
+        }
+        return false;
+    }
+}
+
+// Run jobs through stages [{ name, concurrency, queueSize, run(job) -> job }].
+// onResult(job) sees every job that passed the last stage, onError(error, job, stageName) every failure,
+// onCallbackError(error, job, 'onResult'|'onError') every error thrown by one of those two.
+async function runStagedPipeline(jobs, stages, { onResult = null, onError = null, onCallbackError = null } = {}) {
+    const callbacks = { onResult, onError, onCallbackError };
+    const queues = stages.map(stage => createQueue(Math.max(1, stage.queueSize || 1)));
+    const stats = Object.fromEntries(stages.map(stage => [stage.name, { processed: 0, failed: 0, busyMs: 0 }]));
+    const summary = { completed: 0, failed: 0, stages: stats };
+
+    const feed = (async () => {
+        for (const job of jobs) {
+            await queues[0].push(job);
+        }
+        queues[0].close();
+    })();
+
+    const stageRuns = stages.map(async (stage, index) => {
+        const input = queues[index];
+        const output = queues[index + 1] || null;
+        const stageStats = stats[stage.name];
+
+        const workers = Array.from({ length: Math.max(1, stage.concurrency || 1) }, async () => {
+            for (;;) {
+                const job = await input.pop();
+                if (job === CLOSED) return;
+
+                const startedAt = Date.now();
+                let result;
+                try {
+                    result = await stage.run(job);
+                    stageStats.processed++;
+                } catch (error) {
+                    stageStats.failed++;
+                    summary.failed++;
+                    await invokeCallback(callbacks, 'onError', job, error, job, stage.name);
+                    continue;
+                } finally {
+                    stageStats.busyMs += Date.now() - startedAt;
+                }
+
+                if (output) {
+                    await output.push(result);
+                    continue;
+                }
+                if (await invokeCallback(callbacks, 'onResult', result, result)) {
+                    summary.completed++;
+                } else {
+                    summary.failed++;
+                }
+            }
+        });
+
+        await Promise.all(workers);
+        if (output) output.close();
+    });
+
+    await Promise.all([feed, ...stageRuns]);
+    return summary;
+}
+
+export { createQueue, runStagedPipeline };
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * Symbol Metadata - what an opaque symbol such as AAVE3LUSDT, ALGOUPUSDT or ZRXETH stands for
+ * - Base and quote asset, split on the longest known quote suffix (QUOTE_ASSETS overrides the list)
+ * - Class: leveraged for 2L/3S-style tokens and UP/DOWN tokens, plain otherwise. An UP token only counts when
+ *   its DOWN twin is listed too, since JUPUSDT, SUPUSDT and SYRUPUSDT are ordinary coins
+ * - Selection by quote asset, class and regular expression, shared by the batch processors and workers
+ *   (--quote USDT --class plain --match '^A'), in place of index slices over symbols.json
+ *
+ * Usage: node symbol_metadata.js [--quote ASSET]... [--class plain|leveraged]... [--match REGEX] [--json]
+ */
+
+import { parseArgs } from 'util';
+import { loadSymbolsFile } from './discover_symbols.js';
+import { SELECTION_OPTIONS } from './worker_args.js';
+
+const SYMBOL_CONFIG = {
+    quotes: (process.env.QUOTE_ASSETS || 'USDT,USDC,TUSD,BTC,ETH,KCS,TRX,EUR,DAI').split(',').map(quote => quote.trim()).filter(Boolean)
+};
+
+const SYMBOL_CLASSES = ['plain', 'leveraged'];
+
+// { symbol, base, quote, class, underlying, leverage: { direction: long|short, factor } | null }.
+// base and quote are null when no known quote asset ends the symbol; listed (the full symbol list) tells
+// UP tokens from coins whose name ends in UP, and without it a base ending in UP is plain
+function parseSymbol(symbol, listed = null) {
+    const quote = SYMBOL_CONFIG.quotes
+        .filter(candidate => symbol.endsWith(candidate) && symbol.length > candidate.length)
+        .sort((a, b) => b.length - a.length)[0] || null;
+    const metadata = { symbol, base: null, quote, class: 'plain', underlying: null, leverage: null };
+    if (!quote) {
+        return metadata;
+    }
+    metadata.base = symbol.slice(0, -quote.length);
+
+    // A fixed multiple: ADA3L, APT2S (the letter before the digits keeps P00LS out)
+    const multiple = /^(.*[A-Z])([1-9]\d?)([LS])$/.exec(metadata.base);
+    if (multiple) {
+        return {
+            ...metadata,
+            class: 'leveraged',
+            underlying: multiple[1],
+            leverage: { direction: multiple[3] === 'L' ? 'long' : 'short', factor: Number(multiple[2]) }
+        };
+    }
+    // Rebalancing UP/DOWN tokens have no fixed multiple
+    const updown = /^(.+?)(UP|DOWN)$/.exec(metadata.base);
+    if (updown && (updown[2] === 'DOWN' || (listed && listed.has(`${updown[1]}DOWN${quote}`)))) {
+        return {
+            ...metadata,
+            class: 'leveraged',
+            underlying: updown[1],
+            leverage: { direction: updown[2] === 'UP' ? 'long' : 'short', factor: null }
+        };
+    }
+    return metadata;
+}
+
+// Metadata of every symbol of a listing, UP tokens judged against the listing itself
+function describeSymbols(symbols) {
+    const listed = new Set(symbols);
+    return symbols.map(symbol => parseSymbol(symbol, listed));
+}
+
+// { quotes, classes, pattern } from --quote/--class/--match, or null when none is given
+function selectionFromArgs(values) {
+    const quotes = (values.quote || []).flatMap(value => value.split(',')).map(quote => quote.trim().toUpperCase()).filter(Boolean);
+    const classes = (values.class || []).flatMap(value => value.split(',')).map(name => name.trim().toLowerCase()).filter(Boolean);
+    if (quotes.length === 0 && classes.length === 0 && !values.match) {
+        return null;
+    }
+    for (const name of classes) {
+        if (!SYMBOL_CLASSES.includes(name)) {
+            throw new Error(`Unknown symbol class "${name}". Expected one of: ${SYMBOL_CLASSES.join(', ')}`);
+        }
+    }
+    let pattern = null;
+    if (values.match) {
+        try {
+            pattern = new RegExp(values.match);
+        } catch (error) {
+            throw new Error(`Invalid --match pattern "${values.match}": ${error.message}`);
+        }
+    }
+    return { quotes, classes, pattern };
+}
+
+// The symbols matching every part of a selection, in listing order; a null selection keeps them all
+function selectSymbols(symbols, selection) {
+    if (!selection) {
+        return symbols;
+    }
+    const { quotes = [], classes = [], pattern = null } = selection;
+    return describeSymbols(symbols)
+        .filter(metadata => quotes.length === 0 || quotes.includes(metadata.quote))
+        .filter(metadata => classes.length === 0 || classes.includes(metadata.class))
+        .filter(metadata => !pattern || pattern.test(metadata.symbol))
+        .map(metadata => metadata.symbol);
+}
+
+function describeSelection(selection) {
+    if (!selection) {
+        return 'all symbols';
+    }
+    const parts = [];
+    if (selection.quotes.length > 0) parts.push(`quote ${selection.quotes.join('/')}`);
+    if (selection.classes.length > 0) parts.push(selection.classes.join('/'));
+    if (selection.pattern) parts.push(`matching ${selection.pattern}`);
+    return parts.join(', ');
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            ...SELECTION_OPTIONS,
+            json: { type: 'boolean', default: false }
+        }
+    });
+    const selection = selectionFromArgs(values);
+    const { symbols } = await loadSymbolsFile();
+    const selected = new Set(selectSymbols(symbols, selection));
+    const metadata = describeSymbols(symbols).filter(item => selected.has(item.symbol));
+
+    if (values.json) {
+        console.log(JSON.stringify(metadata, null, 2));
+        return;
+    }
+    console.log(`🏷️  ${metadata.length} of ${symbols.length} symbols (${describeSelection(selection)})`);
+    const groups = {};
+    for (const item of metadata) {
+        const key = `${item.quote || '?'} ${item.class}`;
+        groups[key] = (groups[key] || 0) + 1;
+    }
+    for (const [key, count] of Object.entries(groups).sort()) {
+        console.log(`   ${key}: ${count}`);
+    }
+    for (const item of metadata) {
+        const leverage = item.leverage ? ` ${item.leverage.direction}${item.leverage.factor ? ` x${item.leverage.factor}` : ''} ${item.underlying}` : '';
+        console.log(`   ${item.symbol.padEnd(16)} ${(item.base || '?').padEnd(12)} ${(item.quote || '?').padEnd(5)} ${item.class}${leverage}`);
+    }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        console.error(`💥 Symbol listing failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+export {
+    SYMBOL_CONFIG,
+    SYMBOL_CLASSES,
+    parseSymbol,
+    describeSymbols,
+    selectionFromArgs,
+    selectSymbols,
+    describeSelection
+};
@@ -0,0 +1,106 @@
+/**
+ * Sync Manifest - per-symbol record of fetched archives
+ * One JSON file per dataset and symbol (sync/<dataset slug>/<SYMBOL>.json) holding:
+ * - objects: key -> { size, etag, lastModified, fetchedAt } for every archive fetched so far
+ * - lastKey: the listing position up to which every listed archive has been fetched
+ * Sync mode lists after lastKey and only downloads objects that are new or whose
+ * size/ETag changed since they were recorded.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { writeFileAtomic } from './atomic_files.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SYNC_DIR = path.join(__dirname, 'sync');
+const SAVE_INTERVAL = 5000; // Minimum time between throttled saves
+
+function manifestPath(dataset, symbol) {
+    return path.join(SYNC_DIR, dataset.slug, `${symbol}.json`);
+}
+
+// Load a symbol's manifest, or an empty one if it has never been synced
+async function loadSyncManifest(dataset, symbol) {
+    const filePath = manifestPath(dataset, symbol);
+    try {
+        const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        return { ...saved, objects: saved.objects || {}, filePath, lastSavedAt: 0 };
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return {
+            symbol,
+            dataset: dataset.id,
+            lastKey: null,
+            updatedAt: null,
+            objects: {},
+            filePath,
+            lastSavedAt: 0
+        };
+    }
+}
+
+async function saveSyncManifest(manifest) {
+    const { filePath, lastSavedAt, ...data } = manifest;
+    data.updatedAt = new Date().toISOString();
+    manifest.updatedAt = data.updatedAt;
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+    manifest.lastSavedAt = Date.now();
+}
+
+// Save at most once per SAVE_INTERVAL; used after every fetched file
+async function saveSyncManifestThrottled(manifest) {
+    if (Date.now() - manifest.lastSavedAt >= SAVE_INTERVAL) {
+        await saveSyncManifest(manifest);
+    }
+}
+
+// True when an entry was fetched before with the same size and ETag
+function isUnchanged(manifest, entry) {
+    const known = manifest.objects[entry.key];
+    if (!known) return false;
+    if (entry.etag && known.etag && entry.etag !== known.etag) return false;
+    if (entry.size !== null && entry.size !== undefined && known.size !== entry.size) return false;
+    return true;
+}
+
+// Listed entries that still need fetching: new keys or keys whose size/ETag changed
+function selectChanged(manifest, entries) {
+    return entries.filter(entry => !isUnchanged(manifest, entry));
+}
+
+function recordFetched(manifest, entry) {
+    manifest.objects[entry.key] = {
+        size: entry.size ?? null,
+        etag: entry.etag ?? null,
+        lastModified: entry.lastModified ?? null,
+        fetchedAt: new Date().toISOString()
+    };
+}
+
+// Move lastKey forward over the listed entries (sorted by key) that are all fetched,
+// stopping at the first one that is not, so failed archives are listed again next sync
+function advanceLastKey(manifest, listedEntries) {
+    const sorted = [...listedEntries].sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+    for (const entry of sorted) {
+        if (manifest.lastKey && entry.key <= manifest.lastKey) continue;
+        if (!isUnchanged(manifest, entry)) break;
+        manifest.lastKey = entry.key;
+    }
+    return manifest.lastKey;
+}
+
+export {
+    SYNC_DIR,
+    manifestPath,
+    loadSyncManifest,
+    saveSyncManifest,
+    saveSyncManifestThrottled,
+    selectChanged,
+    recordFetched,
+    advanceLastKey
+};
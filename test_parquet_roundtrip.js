@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Parquet Round Trip Test - writes a trades CSV to Parquet and reads it back with an independent reader
+ * - Every compression (none, gzip, brotli), several row groups and pages per file
+ * - Row count, int64 trade ids beyond 2^53, ms timestamps, doubles, dictionary-encoded sides and the
+ *   key/value metadata must come back exactly as written
+ * - A malformed row must fail the conversion without leaving a Parquet file behind
+ *
+ * Usage: node test_parquet_roundtrip.js
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { parquetMetadata, parquetReadObjects } from 'hyparquet';
+import { PARQUET_COMPRESSIONS, convertTradesCsvToParquet } from './trades_parquet.js';
+
+const ROWS = 2500;
+const FIRST_TRADE_ID = 9007199254740000n;   // Past Number.MAX_SAFE_INTEGER by the last row
+const FIRST_TRADE_TIME = 1704067200000n;    // 2024-01-01T00:00:00Z
+
+// hyparquet only inflates snappy itself; gzip and brotli pages go through zlib
+const DECOMPRESSORS = {
+    GZIP: input => new Uint8Array(zlib.gunzipSync(input)),
+    BROTLI: input => new Uint8Array(zlib.brotliDecompressSync(input))
+};
+
+let failures = 0;
+
+function check(condition, message) {
+    if (!condition) {
+        failures++;
+        console.log(`   ❌ ${message}`);
+    }
+}
+
+// Rows as the CSV holds them; the columns are deliberately not in schema order
+function sampleRows() {
+    return Array.from({ length: ROWS }, (_, i) => ({
+        trade_id: FIRST_TRADE_ID + BigInt(i),
+        trade_time: FIRST_TRADE_TIME + BigInt(i * 37),
+        price: Number((42000 + i * 0.25).toFixed(2)),
+        size: i % 7 === 0 ? 0.00000001 : Number((i / 1000).toFixed(8)),
+        side: i % 3 === 0 ? 'sell' : 'buy'
+    }));
+}
+
+async function writeCsv(csvPath, rows) {
+    const lines = ['trade_time,trade_id,side,price,size'];
+    for (const row of rows) {
+        lines.push(`${row.trade_time},${row.trade_id},${row.side},${row.price},${row.size}`);
+    }
+    await fs.writeFile(csvPath, lines.join('\n') + '\n');
+}
+
+async function testRoundTrip(dir, csvPath, rows, compression) {
+    console.log(`🧪 Round trip with ${compression}`);
+    const parquetPath = path.join(dir, `trades-${compression}.parquet`);
+    const metadata = { source: 'spot/daily/trades/BTCUSDT/BTCUSDT-trades-2024-01-01.zip', symbol: 'BTCUSDT' };
+    const result = await convertTradesCsvToParquet(csvPath, parquetPath, { compression, rowGroupSize: 1000, metadata });
+    check(result.rows === ROWS, `writer reported ${result.rows} rows, expected ${ROWS}`);
+    check(result.rowGroups === 3, `writer reported ${result.rowGroups} row groups, expected 3`);
+
+    const buffer = await fs.readFile(parquetPath);
+    const file = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+    check(result.bytes === buffer.length, `writer reported ${result.bytes} bytes, file has ${buffer.length}`);
+
+    const footer = parquetMetadata(file);
+    check(Number(footer.num_rows) === ROWS, `footer has ${footer.num_rows} rows, expected ${ROWS}`);
+    check(footer.row_groups.length === 3, `footer has ${footer.row_groups.length} row groups, expected 3`);
+    const keyValues = Object.fromEntries((footer.key_value_metadata || []).map(({ key, value }) => [key, value]));
+    for (const [key, value] of Object.entries(metadata)) {
+        check(keyValues[key] === value, `metadata ${key} is ${JSON.stringify(keyValues[key])}, expected ${JSON.stringify(value)}`);
+    }
+
+    const read = await parquetReadObjects({ file, compressors: DECOMPRESSORS });
+    check(read.length === ROWS, `read ${read.length} rows, expected ${ROWS}`);
+    let mismatches = 0;
+    for (let i = 0; i < Math.min(read.length, rows.length); i++) {
+        const expected = rows[i];
+        const actual = read[i];
+        const same = actual.trade_id === expected.trade_id
+            && actual.trade_time instanceof Date
+            && BigInt(actual.trade_time.getTime()) === expected.trade_time
+            && actual.price === expected.price
+            && actual.size === expected.size
+            && actual.side === expected.side;
+        if (!same && mismatches++ < 3) {
+            check(false, `row ${i} read back as ${JSON.stringify(actual, (key, value) => typeof value === 'bigint' ? `${value}n` : value)}`);
+        }
+    }
+    if (mismatches > 3) {
+        check(false, `${mismatches - 3} more rows differ`);
+    }
+}
+
+async function testMalformedRow(dir) {
+    console.log('🧪 Malformed row');
+    const csvPath = path.join(dir, 'malformed.csv');
+    const parquetPath = path.join(dir, 'malformed.parquet');
+    await fs.writeFile(csvPath, 'trade_id,trade_time,price,size,side\n1,1704067200000,42000,0.1,buy\n2,not-a-time,42000,0.1,sell\n');
+    try {
+        await convertTradesCsvToParquet(csvPath, parquetPath, { compression: 'gzip' });
+        check(false, 'conversion of a malformed row succeeded');
+    } catch (error) {
+        check(/Line 3/.test(error.message), `error does not name line 3: ${error.message}`);
+    }
+    const left = (await fs.readdir(dir)).filter(name => name.startsWith('malformed.parquet'));
+    check(left.length === 0, `left behind: ${left.join(', ')}`);
+}
+
+async function main() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'parquet-roundtrip-'));
+    try {
+        const rows = sampleRows();
+        const csvPath = path.join(dir, 'trades.csv');
+        await writeCsv(csvPath, rows);
+        for (const compression of PARQUET_COMPRESSIONS) {
+            await testRoundTrip(dir, csvPath, rows, compression);
+        }
+        await testMalformedRow(dir);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+
+    if (failures > 0) {
+        console.log(`💥 ${failures} Parquet round trip check(s) failed`);
+        process.exit(1);
+    }
+    console.log('✅ Parquet round trip checks passed');
+}
+
+main().catch(error => {
+    console.error(`💥 Parquet round trip test failed: ${error.stack}`);
+    process.exit(1);
+});
@@ -3,13 +3,17 @@
  * Simple URL Test - Check which KuCoin URLs actually work
  */
 
-import https from 'https';
+import { primaryBaseUrl } from './endpoints.js';
+import { proxiedGet } from './http_client.js';
+
+// Set KUCOIN_BASE_URL to test a mirror or a local server instead of the public bucket
+const BASE_URL = primaryBaseUrl();
 
 async function testUrl(url) {
     return new Promise((resolve) => {
         console.log(`📡 Testing: ${url}`);
         
-        const request = https.get(url, { timeout: 10000 }, (response) => {
+        const request = proxiedGet(url, { timeout: 10000 }, (response) => {
             let data = '';
             
             response.on('data', (chunk) => {
@@ -56,10 +60,10 @@ async function main() {
     
     // Test different URL patterns
     const urlPatterns = [
-        `https://historical-data.kucoin.com/data/spot/daily/trades/${symbol}/`,
-        `https://historical-data.kucoin.com/index.html?prefix=data/spot/daily/trades/${symbol}/`,
-        `https://historical-data.kucoin.com/data/spot/daily/trades/${symbol}/index.html`,
-        `https://historical-data.kucoin.com/data/spot/daily/trades/${symbol}/list.html`
+        `${BASE_URL}/data/spot/daily/trades/${symbol}/`,
+        `${BASE_URL}/index.html?prefix=data/spot/daily/trades/${symbol}/`,
+        `${BASE_URL}/data/spot/daily/trades/${symbol}/index.html`,
+        `${BASE_URL}/data/spot/daily/trades/${symbol}/list.html`
     ];
     
     for (const url of urlPatterns) {
@@ -3,18 +3,22 @@
  * Test XML Endpoint - Check if KuCoin has an XML endpoint for file listings
  */
 
-import https from 'https';
+import { primaryBaseUrl } from './endpoints.js';
+import { proxiedGet } from './http_client.js';
+
+// Probed endpoint (KUCOIN_BASE_URL overrides the public bucket)
+const BASE_URL = primaryBaseUrl();
 
 async function testXmlEndpoint(symbol) {
     console.log('🔍 Testing XML endpoints for file discovery...\n');
     
     // Test potential XML endpoints
     const xmlEndpoints = [
-        `https://historical-data.kucoin.com/?prefix=data/spot/daily/trades/${symbol}/&max-keys=1000`,
-        `https://historical-data.kucoin.com/?list-type=2&prefix=data/spot/daily/trades/${symbol}/`,
-        `https://historical-data.kucoin.com/?delimiter=/&prefix=data/spot/daily/trades/${symbol}/`,
-        `https://historical-data.kucoin.com/data/spot/daily/trades/${symbol}/?list-type=2`,
-        `https://historical-data.kucoin.com/data/spot/daily/trades/${symbol}/?prefix=&max-keys=1000`
+        `${BASE_URL}/?prefix=data/spot/daily/trades/${symbol}/&max-keys=1000`,
+        `${BASE_URL}/?list-type=2&prefix=data/spot/daily/trades/${symbol}/`,
+        `${BASE_URL}/?delimiter=/&prefix=data/spot/daily/trades/${symbol}/`,
+        `${BASE_URL}/data/spot/daily/trades/${symbol}/?list-type=2`,
+        `${BASE_URL}/data/spot/daily/trades/${symbol}/?prefix=&max-keys=1000`
     ];
     
     for (const url of xmlEndpoints) {
@@ -52,7 +56,7 @@ async function testXmlEndpoint(symbol) {
 
 function testUrl(url) {
     return new Promise((resolve) => {
-        const request = https.get(url, { timeout: 10000 }, (response) => {
+        const request = proxiedGet(url, { timeout: 10000 }, (response) => {
             let data = '';
             
             response.on('data', (chunk) => {
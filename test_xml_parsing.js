@@ -3,12 +3,16 @@
  * Test XML Parsing - Debug the XML response structure
  */
 
-import https from 'https';
+import { primaryBaseUrl } from './endpoints.js';
+import { proxiedGet } from './http_client.js';
+
+// KUCOIN_BASE_URL points this at a mirror or a local stand-in
+const BASE_URL = primaryBaseUrl();
 
 async function testXmlParsing(symbol) {
     console.log('🔍 Testing XML parsing for file discovery...\n');
     
-    const url = `https://historical-data.kucoin.com/?prefix=data/spot/daily/trades/${symbol}/&max-keys=1000`;
+    const url = `${BASE_URL}/?prefix=data/spot/daily/trades/${symbol}/&max-keys=1000`;
     console.log(`📡 Testing: ${url}`);
     
     try {
@@ -76,7 +80,7 @@ async function testXmlParsing(symbol) {
 
 function fetchXML(url) {
     return new Promise((resolve, reject) => {
-        const request = https.get(url, { timeout: 15000 }, (response) => {
+        const request = proxiedGet(url, { timeout: 15000 }, (response) => {
             if (response.statusCode !== 200) {
                 reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
                 return;
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * ZIP Stream Test - builds small archives byte by byte and reads them back through zip_stream.js
+ * - Stored and deflated entries, several per archive, behind an archive comment
+ * - ZIP64: sizes and offsets only in the ZIP64 extra field and end of central directory record
+ * - A CRC-32 or size that does not match the data must fail the stream; a truncated archive and an
+ *   encrypted entry must be rejected
+ *
+ * Usage: node test_zip_stream.js
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { crc32, readZipEntries, createEntryStream } from './zip_stream.js';
+
+let failures = 0;
+
+function check(condition, message) {
+    if (!condition) {
+        failures++;
+        console.log(`   ❌ ${message}`);
+    }
+}
+
+function header(fields) {
+    const buffer = Buffer.alloc(fields.reduce((sum, [size]) => sum + size, 0));
+    let position = 0;
+    for (const [size, value] of fields) {
+        if (size === 2) buffer.writeUInt16LE(value, position);
+        else if (size === 4) buffer.writeUInt32LE(value, position);
+        else buffer.writeBigUInt64LE(BigInt(value), position);
+        position += size;
+    }
+    return buffer;
+}
+
+// Archive of entries [{ name, content, method: 0|8, crc?, size?, flags? }]; crc and size override the real
+// values to fake corruption. zip64 moves every size and offset into ZIP64 records.
+function buildZip(entries, { zip64 = false, comment = '' } = {}) {
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name);
+        const data = entry.method === 8 ? zlib.deflateRawSync(entry.content) : entry.content;
+        const crc = entry.crc ?? crc32(entry.content);
+        const size = entry.size ?? entry.content.length;
+        const extra = zip64 ? header([[2, 0x0001], [2, 24], [8, size], [8, data.length], [8, offset]]) : Buffer.alloc(0);
+        const common = [
+            [2, zip64 ? 45 : 20], [2, entry.flags || 0], [2, entry.method], [2, 0], [2, 0x5821],
+            [4, crc], [4, zip64 ? 0xffffffff : data.length], [4, zip64 ? 0xffffffff : size],
+            [2, name.length]
+        ];
+        const local = Buffer.concat([
+            header([[4, 0x04034b50], ...common, [2, zip64 ? 20 : 0]]),
+            name,
+            zip64 ? header([[2, 0x0001], [2, 16], [8, size], [8, data.length]]) : Buffer.alloc(0),
+            data
+        ]);
+        directory.push(Buffer.concat([
+            header([[4, 0x02014b50], [2, 0x031e], ...common, [2, extra.length], [2, 0], [2, 0], [2, 0], [4, 0],
+                [4, zip64 ? 0xffffffff : offset]]),
+            name,
+            extra
+        ]));
+        parts.push(local);
+        offset += local.length;
+    }
+
+    const centralDirectory = Buffer.concat(directory);
+    const trailer = [];
+    if (zip64) {
+        const recordOffset = offset + centralDirectory.length;
+        trailer.push(header([[4, 0x06064b50], [8, 44], [2, 45], [2, 45], [4, 0], [4, 0],
+            [8, entries.length], [8, entries.length], [8, centralDirectory.length], [8, offset]]));
+        trailer.push(header([[4, 0x07064b50], [4, 0], [8, recordOffset], [4, 1]]));
+    }
+    const commentBytes = Buffer.from(comment);
+    trailer.push(header([[4, 0x06054b50], [2, 0], [2, 0],
+        [2, zip64 ? 0xffff : entries.length], [2, zip64 ? 0xffff : entries.length],
+        [4, zip64 ? 0xffffffff : centralDirectory.length], [4, zip64 ? 0xffffffff : offset],
+        [2, commentBytes.length]]), commentBytes);
+    return Buffer.concat([...parts, centralDirectory, ...trailer]);
+}
+
+async function readEntry(zipPath, entry) {
+    const chunks = [];
+    for await (const chunk of await createEntryStream(zipPath, entry)) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+// Resolves with the error the entry's stream (or its creation) fails with, or null if it reads cleanly
+async function readError(zipPath, entry) {
+    try {
+        await readEntry(zipPath, entry);
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+function sampleCsv(rows) {
+    const lines = ['trade_id,trade_time,price,size,side'];
+    for (let i = 0; i < rows; i++) {
+        lines.push(`${1000 + i},${1704067200000 + i * 37},${(42000 + i * 0.25).toFixed(2)},0.${String(i).padStart(4, '0')},${i % 3 ? 'buy' : 'sell'}`);
+    }
+    return Buffer.from(lines.join('\n') + '\n');
+}
+
+async function testRoundTrip(dir, label, options) {
+    console.log(`🧪 ${label}`);
+    const small = Buffer.from('trade_id,trade_time,price,size,side\n1,1704067200000,42000,0.1,buy\n');
+    const large = sampleCsv(20000);   // Several read and inflate chunks
+    const zipPath = path.join(dir, `${label.replace(/\W+/g, '-')}.zip`);
+    await fs.writeFile(zipPath, buildZip([
+        { name: 'stored.csv', content: small, method: 0 },
+        { name: 'deflated.csv', content: large, method: 8 },
+        { name: 'empty.csv', content: Buffer.alloc(0), method: 0 }
+    ], { ...options, comment: 'built by test_zip_stream.js' }));
+
+    const entries = await readZipEntries(zipPath);
+    check(entries.length === 3, `listed ${entries.length} entries, expected 3`);
+    const [stored, deflated, empty] = entries;
+    check(stored?.name === 'stored.csv' && stored.method === 0 && stored.size === small.length,
+        `stored entry listed as ${JSON.stringify(stored)}`);
+    check(deflated?.name === 'deflated.csv' && deflated.method === 8 && deflated.size === large.length,
+        `deflated entry listed as ${JSON.stringify(deflated)}`);
+    check(deflated && deflated.compressedSize < deflated.size, 'deflated entry is not smaller than its data');
+
+    check((await readEntry(zipPath, stored)).equals(small), 'stored entry read back differently');
+    check((await readEntry(zipPath, deflated)).equals(large), 'deflated entry read back differently');
+    check((await readEntry(zipPath, empty)).length === 0, 'empty entry read back with data');
+}
+
+async function testCorruption(dir) {
+    console.log('🧪 CRC-32 and size mismatches');
+    const content = sampleCsv(500);
+    const zipPath = path.join(dir, 'corrupt.zip');
+    await fs.writeFile(zipPath, buildZip([
+        { name: 'bad-crc-stored.csv', content, method: 0, crc: crc32(content) ^ 1 },
+        { name: 'bad-crc-deflated.csv', content, method: 8, crc: crc32(content) ^ 1 },
+        { name: 'short.csv', content, method: 8, size: content.length + 10 },
+        { name: 'long.csv', content, method: 8, size: content.length - 10 },
+        { name: 'encrypted.csv', content, method: 0, flags: 0x0001 }
+    ]));
+    const entries = Object.fromEntries((await readZipEntries(zipPath)).map(entry => [entry.name, entry]));
+
+    for (const name of ['bad-crc-stored.csv', 'bad-crc-deflated.csv']) {
+        const error = await readError(zipPath, entries[name]);
+        check(error && /CRC-32 mismatch/.test(error.message), `${name}: ${error ? error.message : 'read without error'}`);
+    }
+    const short = await readError(zipPath, entries['short.csv']);
+    check(short && /truncated/.test(short.message), `short.csv: ${short ? short.message : 'read without error'}`);
+    const long = await readError(zipPath, entries['long.csv']);
+    check(long && /larger than/.test(long.message), `long.csv: ${long ? long.message : 'read without error'}`);
+    const encrypted = await readError(zipPath, entries['encrypted.csv']);
+    check(encrypted && /encrypted/.test(encrypted.message), `encrypted.csv: ${encrypted ? encrypted.message : 'read without error'}`);
+
+    console.log('🧪 Truncated archive');
+    const truncatedPath = path.join(dir, 'truncated.zip');
+    const archive = await fs.readFile(zipPath);
+    await fs.writeFile(truncatedPath, archive.subarray(0, archive.length - 10));
+    let error = null;
+    try {
+        await readZipEntries(truncatedPath);
+    } catch (caught) {
+        error = caught;
+    }
+    check(error && /end of central directory/.test(error.message), `truncated archive: ${error ? error.message : 'listed without error'}`);
+}
+
+async function main() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zip-stream-'));
+    try {
+        check(crc32(Buffer.from('123456789')) === 0xcbf43926, 'crc32 of the check string is wrong');
+        await testRoundTrip(dir, 'Stored and deflated entries', {});
+        await testRoundTrip(dir, 'ZIP64 entries', { zip64: true });
+        await testCorruption(dir);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+
+    if (failures > 0) {
+        console.log(`💥 ${failures} ZIP stream check(s) failed`);
+        process.exit(1);
+    }
+    console.log('✅ ZIP stream checks passed');
+}
+
+main().catch(error => {
+    console.error(`💥 ZIP stream test failed: ${error.stack}`);
+    process.exit(1);
+});
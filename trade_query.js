@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * Trade Query - a symbol's trades between two timestamps, without knowing where the files live
+ * - queryTrades() finds the daily (or monthly) archives the window touches in every worker's output, reads the
+ *   extracted CSV or, for archives nobody extracted, the CSV straight out of the ZIP, and yields the trades
+ *   in trade_time order, filtered to [from, to)
+ * - The command streams them to stdout as JSON lines or CSV; progress and warnings go to stderr, so the output
+ *   can be piped straight into another tool
+ * - Timestamps are epoch milliseconds, YYYY-MM-DD (UTC midnight; a --to date includes that whole day) or
+ *   ISO 8601 date-times (UTC unless they carry an offset)
+ *
+ * Usage: node trade_query.js <SYMBOL> --from TIME --to TIME [--format jsonl|csv] [--limit N]
+ *                            [--source DIR]... [--skip-checksum] [--market spot|futures] [--granularity daily|monthly]
+ */
+
+import { once } from 'events';
+import path from 'path';
+import { parseArgs } from 'util';
+import { selectTradeFiles, readTrades, TRADE_COLUMNS } from './trade_source.js';
+import { resolveDataset } from './datasets.js';
+import { COVERAGE_CONFIG } from './coverage_report.js';
+import { DATASET_OPTIONS, datasetFromArgs } from './worker_args.js';
+
+const QUERY_FORMATS = ['jsonl', 'csv'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WRITE_BUFFER_SIZE = 64 * 1024;
+
+// Epoch ms of a --from/--to value; end: true makes a bare date include its whole day
+function parseTimestamp(text, { end = false } = {}) {
+    if (/^\d+$/.test(text)) {
+        return Number(text);
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        const midnight = Date.parse(`${text}T00:00:00Z`);
+        if (!Number.isNaN(midnight)) {
+            return end ? midnight + DAY_MS : midnight;
+        }
+    }
+    const time = Date.parse(/(Z|[+-]\d{2}:?\d{2})$/i.test(text) ? text : `${text}Z`);
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid timestamp "${text}". Expected epoch milliseconds, YYYY-MM-DD or an ISO 8601 date-time`);
+    }
+    return time;
+}
+
+function utcDate(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+// Trades of a symbol with from <= trade_time < to (epoch ms, either end may be null), in trade_time order.
+// Yields { id, time, price, size, side, priceText, sizeText }; stats is filled with the files read,
+// the dates skipped because their archive failed its checksum, and the trade counts
+async function* queryTrades(symbol, {
+    from = null,
+    to = null,
+    dataset = resolveDataset(),
+    sources = COVERAGE_CONFIG.sources,
+    verify = true,
+    stats = {}
+} = {}) {
+    const window = { start: from ?? -Infinity, end: to ?? Infinity };
+    if (window.start >= window.end) {
+        throw new Error(`Empty window: from ${new Date(window.start).toISOString()} is not before to ${new Date(window.end).toISOString()}`);
+    }
+    const dateRange = {
+        from: from === null ? null : utcDate(window.start),
+        to: to === null ? null : utcDate(window.end - 1)
+    };
+    const { files, skipped } = await selectTradeFiles({ dataset, symbol, dateRange, sources, verify });
+    stats.skipped = skipped;
+    yield* readTrades(files, { window, stats });
+}
+
+function formatTrade(trade, format) {
+    if (format === 'csv') {
+        return `${trade.id},${trade.time},${trade.priceText},${trade.sizeText},${trade.side}\n`;
+    }
+    return `${JSON.stringify({ trade_id: trade.id, trade_time: trade.time, price: trade.price, size: trade.size, side: trade.side })}\n`;
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            ...DATASET_OPTIONS,
+            from: { type: 'string' },
+            to: { type: 'string' },
+            format: { type: 'string', default: 'jsonl' },
+            limit: { type: 'string' },
+            source: { type: 'string', multiple: true },
+            'skip-checksum': { type: 'boolean', default: false }
+        }
+    });
+    const [symbol] = positionals;
+    if (!symbol || !values.from || !values.to) {
+        console.error('Usage: node trade_query.js <SYMBOL> --from TIME --to TIME [--format jsonl|csv] [--limit N]');
+        process.exit(1);
+    }
+    if (!QUERY_FORMATS.includes(values.format)) {
+        throw new Error(`Unknown format "${values.format}". Expected one of: ${QUERY_FORMATS.join(', ')}`);
+    }
+    const limit = values.limit ? Number(values.limit) : Infinity;
+    if (!(limit > 0)) {
+        throw new Error(`Invalid --limit "${values.limit}"`);
+    }
+
+    // A reader that stops early (head, a closed pipe) is not an error
+    process.stdout.on('error', (error) => {
+        if (error.code === 'EPIPE') process.exit(0);
+        throw error;
+    });
+
+    const from = parseTimestamp(values.from);
+    const to = parseTimestamp(values.to, { end: true });
+    const stats = {};
+    const trades = queryTrades(symbol.toUpperCase(), {
+        from,
+        to,
+        dataset: datasetFromArgs(values),
+        sources: (values.source || COVERAGE_CONFIG.sources).map(source => path.resolve(source)),
+        verify: !values['skip-checksum'],
+        stats
+    });
+
+    console.error(`🔎 ${symbol.toUpperCase()} trades from ${new Date(from).toISOString()} to ${new Date(to).toISOString()}`);
+    let buffer = values.format === 'csv' ? `${TRADE_COLUMNS.join(',')}\n` : '';
+    let count = 0;
+    for await (const trade of trades) {
+        buffer += formatTrade(trade, values.format);
+        if (buffer.length >= WRITE_BUFFER_SIZE) {
+            const flushed = process.stdout.write(buffer);
+            buffer = '';
+            if (!flushed) await once(process.stdout, 'drain');
+        }
+        if (++count >= limit) break;
+    }
+    if (buffer.length > 0) {
+        process.stdout.write(buffer);
+    }
+
+    for (const { date, reason } of stats.skipped || []) {
+        console.error(`   ⚠️  ${date} skipped (${reason})`);
+    }
+    if (stats.outOfOrder > 0) {
+        console.error(`   ⚠️  ${stats.outOfOrder} trades earlier than the trade before them were left out`);
+    }
+    console.error(`📊 ${count} trades from ${stats.files || 0} files`);
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        console.error(`💥 Query failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+export { QUERY_FORMATS, parseTimestamp, queryTrades };
@@ -0,0 +1,139 @@
+/**
+ * Trade Source - reads the verified trades of one symbol, in time order, across consecutive archives
+ * - Archives come from every worker's output (worker_output/ and downloads/); only those whose .CHECKSUM
+ *   still matches are read, and the dates without one are reported as skipped
+ * - Each archive is read from the CSV its worker extracted, or streamed out of the ZIP when nobody did
+ * - Trades are yielded one by one with their numeric values and the original price/size text (for precision),
+ *   so memory stays flat over any number of days
+ * - A date range, or a millisecond window, also bounds trade_time (a monthly archive only contributes the requested
+ *   days); trades earlier than the one before them, e.g. a day boundary written twice, are skipped and counted
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { indexSymbolDirs, localArchives, COVERAGE_CONFIG } from './coverage_report.js';
+import { isDateInRange } from './date_range.js';
+import { readZipEntries, createEntryStream } from './zip_stream.js';
+
+const TRADE_COLUMNS = ['trade_id', 'trade_time', 'price', 'size', 'side'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function exists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Verified archives of a symbol in date order: { files: [{ date, zipPath, csvPath }], skipped: [{ date, reason }] }.
+// csvPath is the extracted CSV next to the archive, or null when the CSV has to come out of the ZIP
+async function selectTradeFiles({ dataset, symbol, dateRange = null, sources = COVERAGE_CONFIG.sources, verify = true }) {
+    if (dataset.dataType !== 'trades') {
+        throw new Error(`Dataset ${dataset.id} has no trades`);
+    }
+    const dirs = (await indexSymbolDirs(sources, dataset)).get(symbol) || [];
+    const archives = await localArchives(dirs, { verify });
+
+    const files = [];
+    const skipped = [];
+    for (const date of Array.from(archives.keys()).sort()) {
+        if (!isDateInRange(date, dateRange)) continue;
+        const archive = archives.get(date);
+        if (!archive.verified) {
+            skipped.push({ date, reason: `unverified: ${archive.reason}` });
+            continue;
+        }
+        const csvPath = path.join(path.dirname(archive.path), 'extracted', path.basename(archive.path).replace(/\.zip$/, '.csv'));
+        files.push({ date, zipPath: archive.path, csvPath: await exists(csvPath) ? csvPath : null });
+    }
+    return { files, skipped };
+}
+
+async function openTradesCsv(file) {
+    if (file.csvPath) {
+        return createReadStream(file.csvPath);
+    }
+    const csvEntry = (await readZipEntries(file.zipPath)).find(entry => entry.name.endsWith('.csv'));
+    if (!csvEntry) {
+        throw new Error(`No CSV file found in ${file.zipPath}`);
+    }
+    return createEntryStream(file.zipPath, csvEntry);
+}
+
+// [start, end) in epoch ms covered by a date range, null ends are open
+function rangeWindow(dateRange) {
+    const start = dateRange && dateRange.from ? Date.parse(`${dateRange.from}T00:00:00Z`) : -Infinity;
+    const end = dateRange && dateRange.to ? Date.parse(`${dateRange.to}T00:00:00Z`) + DAY_MS : Infinity;
+    return { start, end };
+}
+
+// Yield { id, time, price, size, side, priceText, sizeText } for every trade of the files, in order.
+// window: { start, end } in epoch ms (end exclusive), defaults to the days of dateRange;
+// stats (optional) is filled in as it goes: { files, trades, outOfOrder, outOfRange };
+// onFile is called with each file before it is read
+async function* readTrades(files, { dateRange = null, window = rangeWindow(dateRange), stats = {}, onFile = null } = {}) {
+    Object.assign(stats, { files: 0, trades: 0, outOfOrder: 0, outOfRange: 0 });
+    let previousTime = -Infinity;
+
+    for (const file of files) {
+        if (onFile) onFile(file);
+        const input = await openTradesCsv(file);
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        stats.files++;
+        const source = file.csvPath || file.zipPath;
+        let columnIndexes = null;
+        let lineNumber = 0;
+        try {
+            for await (const rawLine of lines) {
+                lineNumber++;
+                const line = rawLine.trim();
+                if (line.length === 0) continue;
+
+                const fields = line.split(',');
+                if (!columnIndexes) {
+                    const header = fields.map(name => name.trim().toLowerCase());
+                    columnIndexes = TRADE_COLUMNS.map(name => header.indexOf(name));
+                    const missing = TRADE_COLUMNS.filter((name, i) => columnIndexes[i] === -1);
+                    if (missing.length > 0) {
+                        throw new Error(`CSV header has no ${missing.join(', ')} column`);
+                    }
+                    continue;
+                }
+
+                const [id, timeText, priceText, sizeText, side] = columnIndexes.map(index => (fields[index] ?? '').trim());
+                const time = Number(timeText);
+                const price = Number(priceText);
+                const size = Number(sizeText);
+                if (timeText === '' || !Number.isInteger(time) || priceText === '' || !Number.isFinite(price) || sizeText === '' || !Number.isFinite(size)) {
+                    throw new Error(`Line ${lineNumber}: malformed trade "${line.slice(0, 200)}"`);
+                }
+                if (time < window.start || time >= window.end) {
+                    stats.outOfRange++;
+                    // trade_time only moves forward within a file, so the rest of the last file is past the window too
+                    if (time >= window.end && file === files[files.length - 1]) break;
+                    continue;
+                }
+                if (time < previousTime) {
+                    stats.outOfOrder++;
+                    continue;
+                }
+                previousTime = time;
+                stats.trades++;
+                yield { id, time, price, size, side, priceText, sizeText };
+            }
+        } catch (error) {
+            error.message = `${source}: ${error.message}`;
+            throw error;
+        } finally {
+            // Also reached when the consumer stops early
+            lines.close();
+            input.destroy();
+        }
+    }
+}
+
+export { TRADE_COLUMNS, selectTradeFiles, readTrades, rangeWindow };
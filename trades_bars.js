@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+/**
+ * Information-Driven Bars - tick, volume and dollar bars from the verified trades of a symbol
+ *   bars/<market>/<SYMBOL>/<SYMBOL>-<tick|volume|dollar>-<threshold>-<first date>_<last date>.<csv|parquet>
+ * - Tick bars close every N trades, volume bars once N base units traded, dollar bars once N quote units
+ *   (price x size) traded. The trade that reaches the threshold closes its bar; trades are never split
+ * - Every bar carries start/end time and trade_id, OHLC, VWAP, volume, quote volume, and the buy/sell split
+ *   of volume and trade count
+ * - The trades of consecutive archives are one stream, so a bar still open at midnight simply continues
+ *   with the next day's trades; several bar types and thresholds are built in the same pass
+ * - The bar still open when the trades run out is left out unless --keep-partial is given
+ *
+ * Usage: node trades_bars.js --symbol SYMBOL... [--tick N]... [--volume N]... [--dollar N]...
+ *                            [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--keep-partial]
+ *                            [--format csv|parquet|both] [--parquet-compression none|gzip|brotli]
+ *                            [--source DIR]... [--target DIR] [--skip-checksum]
+ *                            [--market spot|futures] [--granularity daily|monthly]
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { selectTradeFiles, readTrades } from './trade_source.js';
+import { trackPrecision, roundTo, openBarOutputs, barSeriesPath } from './trades_ohlcv.js';
+import { PARQUET_COMPRESSIONS } from './trades_parquet.js';
+import { parseDateRange, describeDateRange } from './date_range.js';
+import { COVERAGE_CONFIG } from './coverage_report.js';
+import { DATASET_OPTIONS, datasetFromArgs } from './worker_args.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const BARS_CONFIG = {
+    target: process.env.BARS_DIR || path.join(__dirname, 'bars'),
+    tolerance: 1e-9 // Relative slack when a float sum is compared with a volume or dollar threshold
+};
+
+// What each bar type counts towards its threshold
+const BAR_TYPES = {
+    tick: { unit: 'trades', measure: () => 1 },
+    volume: { unit: 'base units', measure: trade => trade.size },
+    dollar: { unit: 'quote units', measure: trade => trade.price * trade.size }
+};
+
+const BAR_SCHEMA = [
+    { name: 'start_time', type: 'timestamp' },
+    { name: 'end_time', type: 'timestamp' },
+    { name: 'start_trade_id', type: 'int64' },
+    { name: 'end_trade_id', type: 'int64' },
+    { name: 'open', type: 'double' },
+    { name: 'high', type: 'double' },
+    { name: 'low', type: 'double' },
+    { name: 'close', type: 'double' },
+    { name: 'vwap', type: 'double' },
+    { name: 'volume', type: 'double' },
+    { name: 'quote_volume', type: 'double' },
+    { name: 'trade_count', type: 'int64' },
+    { name: 'buy_volume', type: 'double' },
+    { name: 'sell_volume', type: 'double' },
+    { name: 'buy_count', type: 'int64' },
+    { name: 'sell_count', type: 'int64' }
+];
+
+// { type: 'volume', threshold: 25 } -> also named volume-25; tick thresholds must be whole numbers of trades
+function parseBarSpec(type, text) {
+    if (!BAR_TYPES[type]) {
+        throw new Error(`Unknown bar type "${type}". Expected one of: ${Object.keys(BAR_TYPES).join(', ')}`);
+    }
+    const threshold = Number(text);
+    if (!Number.isFinite(threshold) || threshold <= 0 || (type === 'tick' && !Number.isInteger(threshold))) {
+        throw new Error(`Invalid ${type} bar threshold "${text}". Expected a ${type === 'tick' ? 'whole number of trades' : 'number greater than zero'}`);
+    }
+    return { type, threshold, name: `${type}-${threshold}` };
+}
+
+// Bars of one type and threshold; add() returns the bar a trade completed, if any, and finish() the open one
+function createThresholdBarBuilder(spec) {
+    const { measure } = BAR_TYPES[spec.type];
+    const target = spec.type === 'tick' ? spec.threshold : spec.threshold * (1 - BARS_CONFIG.tolerance);
+    let bar = null;
+
+    return {
+        spec,
+        add(trade) {
+            if (!bar) {
+                bar = {
+                    startTime: trade.time,
+                    startTradeId: trade.id,
+                    open: trade.price,
+                    high: trade.price,
+                    low: trade.price,
+                    volume: 0,
+                    quoteVolume: 0,
+                    tradeCount: 0,
+                    buyVolume: 0,
+                    sellVolume: 0,
+                    buyCount: 0,
+                    sellCount: 0,
+                    filled: 0
+                };
+            }
+            if (trade.price > bar.high) bar.high = trade.price;
+            if (trade.price < bar.low) bar.low = trade.price;
+            bar.close = trade.price;
+            bar.endTime = trade.time;
+            bar.endTradeId = trade.id;
+            bar.volume += trade.size;
+            bar.quoteVolume += trade.price * trade.size;
+            bar.tradeCount++;
+            if (trade.side === 'buy') {
+                bar.buyVolume += trade.size;
+                bar.buyCount++;
+            } else if (trade.side === 'sell') {
+                bar.sellVolume += trade.size;
+                bar.sellCount++;
+            }
+            bar.filled += measure(trade);
+
+            if (bar.filled < target) {
+                return null;
+            }
+            const completed = bar;
+            bar = null;
+            return completed;
+        },
+        finish() {
+            const partial = bar;
+            bar = null;
+            return partial;
+        }
+    };
+}
+
+function barRow(bar, precision) {
+    return [
+        bar.startTime,
+        bar.endTime,
+        bar.startTradeId,
+        bar.endTradeId,
+        bar.open,
+        bar.high,
+        bar.low,
+        bar.close,
+        roundTo(bar.volume > 0 ? bar.quoteVolume / bar.volume : bar.close, precision.price + precision.size),
+        roundTo(bar.volume, precision.size),
+        roundTo(bar.quoteVolume, precision.price + precision.size),
+        bar.tradeCount,
+        roundTo(bar.buyVolume, precision.size),
+        roundTo(bar.sellVolume, precision.size),
+        bar.buyCount,
+        bar.sellCount
+    ];
+}
+
+// Build every bar spec from one symbol's verified trades; resolves with
+// { symbol, outputs: [{ bar, format, path, rows, bytes }], partial: { bar: trades }, files, skipped, stats }
+async function buildSymbolBars({
+    dataset,
+    symbol,
+    specs,
+    dateRange = null,
+    keepPartial = false,
+    format = 'csv',
+    compression,
+    sources = COVERAGE_CONFIG.sources,
+    target = BARS_CONFIG.target,
+    verify = true,
+    onFile = null
+}) {
+    if (specs.length === 0) {
+        throw new Error('No bars requested. Give at least one of --tick, --volume or --dollar');
+    }
+    const { files, skipped } = await selectTradeFiles({ dataset, symbol, dateRange, sources, verify });
+    const stats = {};
+    if (files.length === 0) {
+        return { symbol, outputs: [], partial: {}, files, skipped, stats };
+    }
+
+    const series = [];
+    try {
+        for (const spec of specs) {
+            const output = await openBarOutputs(barSeriesPath(target, dataset, symbol, spec.name, files), format, {
+                schema: BAR_SCHEMA,
+                compression,
+                metadata: { symbol, dataset: dataset.id, bar: spec.type, threshold: spec.threshold, from: files[0].date, to: files[files.length - 1].date }
+            });
+            series.push({ spec, builder: createThresholdBarBuilder(spec), output });
+        }
+
+        const precision = { price: 0, size: 0 };
+        for await (const trade of readTrades(files, { dateRange, stats, onFile })) {
+            trackPrecision(precision, trade);
+            for (const { builder, output } of series) {
+                const completed = builder.add(trade);
+                if (completed) await output.appendRow(barRow(completed, precision));
+            }
+        }
+
+        const outputs = [];
+        const partial = {};
+        for (const { spec, builder, output } of series) {
+            const open = builder.finish();
+            if (open) {
+                partial[spec.name] = open.tradeCount;
+                if (keepPartial) await output.appendRow(barRow(open, precision));
+            }
+            outputs.push(...(await output.close()).map(file => ({ bar: spec.name, ...file })));
+        }
+        return { symbol, outputs, partial, files, skipped, stats };
+    } catch (error) {
+        for (const { output } of series) {
+            await output.abort();
+        }
+        throw error;
+    }
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            ...DATASET_OPTIONS,
+            symbol: { type: 'string', multiple: true },
+            tick: { type: 'string', multiple: true },
+            volume: { type: 'string', multiple: true },
+            dollar: { type: 'string', multiple: true },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            'keep-partial': { type: 'boolean', default: false },
+            format: { type: 'string', default: 'csv' },
+            'parquet-compression': { type: 'string', default: process.env.PARQUET_COMPRESSION || 'gzip' },
+            source: { type: 'string', multiple: true },
+            target: { type: 'string' },
+            'skip-checksum': { type: 'boolean', default: false }
+        }
+    });
+    const specs = Object.keys(BAR_TYPES).flatMap(type => (values[type] || []).map(text => parseBarSpec(type, text)));
+    if (!values.symbol || specs.length === 0) {
+        console.error('Usage: node trades_bars.js --symbol SYMBOL... [--tick N]... [--volume N]... [--dollar N]... [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--keep-partial]');
+        process.exit(1);
+    }
+    if (!PARQUET_COMPRESSIONS.includes(values['parquet-compression'])) {
+        throw new Error(`Unknown Parquet compression "${values['parquet-compression']}". Expected one of: ${PARQUET_COMPRESSIONS.join(', ')}`);
+    }
+    const dataset = datasetFromArgs(values);
+    const dateRange = parseDateRange(values.from, values.to);
+
+    console.log(`📊 ${specs.map(spec => `${spec.type} bars of ${spec.threshold} ${BAR_TYPES[spec.type].unit}`).join(', ')} from ${dataset.id} (${describeDateRange(dateRange)})`);
+    let failed = 0;
+    for (const symbol of values.symbol) {
+        const started = Date.now();
+        const result = await buildSymbolBars({
+            dataset,
+            symbol,
+            specs,
+            dateRange,
+            keepPartial: values['keep-partial'],
+            format: values.format,
+            compression: values['parquet-compression'],
+            sources: (values.source || COVERAGE_CONFIG.sources).map(source => path.resolve(source)),
+            target: values.target ? path.resolve(values.target) : BARS_CONFIG.target,
+            verify: !values['skip-checksum']
+        });
+        for (const { date, reason } of result.skipped) {
+            console.log(`   ⚠️  ${symbol} ${date} skipped (${reason})`);
+        }
+        if (result.files.length === 0) {
+            console.log(`   ❔ ${symbol}: no verified archives${result.skipped.length > 0 ? '' : ' on disk'}`);
+            failed++;
+            continue;
+        }
+        const { stats } = result;
+        const seconds = ((Date.now() - started) / 1000).toFixed(1);
+        console.log(`   ✅ ${symbol}: ${stats.trades} trades from ${stats.files} files (${result.files[0].date} → ${result.files[result.files.length - 1].date}) in ${seconds}s`);
+        if (stats.outOfOrder > 0) {
+            console.log(`      ⚠️  ${stats.outOfOrder} trades earlier than the trade before them were left out`);
+        }
+        for (const output of result.outputs) {
+            const open = result.partial[output.bar];
+            const note = open ? `, last ${open} trades ${values['keep-partial'] ? 'in a partial bar' : 'left in an open bar'}` : '';
+            console.log(`      📝 ${output.bar}: ${output.rows} bars${note} -> ${output.path}`);
+        }
+    }
+    if (failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        console.error(`💥 Bar building failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+export { BARS_CONFIG, BAR_TYPES, BAR_SCHEMA, parseBarSpec, createThresholdBarBuilder, buildSymbolBars };
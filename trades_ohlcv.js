@@ -0,0 +1,377 @@
+#!/usr/bin/env node
+/**
+ * OHLCV Aggregation - builds candles from the verified trades of a symbol
+ *   ohlcv/<market>/<SYMBOL>/<SYMBOL>-<bar>-<first date>_<last date>.<csv|parquet>
+ * - Bars from 1s to 1d (any size that divides a day: 1s, 5s, 1m, 15m, 4h, 1d, ...), aligned to UTC
+ *   midnight; several bar sizes are built in the same pass over the trades
+ * - Columns: open_time (ms, UTC), open, high, low, close, volume, quote_volume (sum of price x size),
+ *   trade_count and buy_volume (size of buy-side trades)
+ * - Consecutive daily (or monthly) archives are read as one stream, so a bar is only closed when a later
+ *   bar's first trade arrives, whichever file it is in; intervals without trades produce no bar
+ * - Volumes are rounded to the decimals the trades were quoted with, so float sums do not show up as noise
+ * - Written to CSV, Parquet or both, each through a temp file renamed into place
+ *
+ * Usage: node trades_ohlcv.js --symbol SYMBOL... [--bar 1m]... [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *                             [--format csv|parquet|both] [--parquet-compression none|gzip|brotli]
+ *                             [--source DIR]... [--target DIR] [--skip-checksum]
+ *                             [--market spot|futures] [--granularity daily|monthly]
+ */
+
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { selectTradeFiles, readTrades } from './trade_source.js';
+import { createParquetWriter } from './parquet_writer.js';
+import { OUTPUT_FORMATS, PARQUET_COMPRESSIONS } from './trades_parquet.js';
+import { tempPathFor, commitFile } from './atomic_files.js';
+import { parseDateRange, describeDateRange } from './date_range.js';
+import { COVERAGE_CONFIG } from './coverage_report.js';
+import { DATASET_OPTIONS, datasetFromArgs } from './worker_args.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const OHLCV_CONFIG = {
+    target: process.env.OHLCV_DIR || path.join(__dirname, 'ohlcv'),
+    bars: ['1m'],
+    rowGroupSize: 64 * 1024, // Bars per Parquet row group
+    maxDecimals: 12          // Most decimals a volume is rounded to
+};
+
+const BAR_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const DAY_MS = BAR_UNITS.d;
+
+const OHLCV_SCHEMA = [
+    { name: 'open_time', type: 'timestamp' },
+    { name: 'open', type: 'double' },
+    { name: 'high', type: 'double' },
+    { name: 'low', type: 'double' },
+    { name: 'close', type: 'double' },
+    { name: 'volume', type: 'double' },
+    { name: 'quote_volume', type: 'double' },
+    { name: 'trade_count', type: 'int64' },
+    { name: 'buy_volume', type: 'double' }
+];
+
+// "15m" -> { name: '15m', ms: 900000 }; a bar must fit a day a whole number of times so every day starts a bar
+function parseBarInterval(text) {
+    const match = /^(\d+)([smhd])$/.exec(text || '');
+    const ms = match ? Number(match[1]) * BAR_UNITS[match[2]] : 0;
+    if (!match || ms < BAR_UNITS.s || ms > DAY_MS) {
+        throw new Error(`Invalid bar "${text}". Expected 1s to 1d, e.g. 1s, 30s, 1m, 15m, 1h, 4h, 1d`);
+    }
+    if (DAY_MS % ms !== 0) {
+        throw new Error(`Bar ${text} does not divide a day, so it cannot stay aligned to UTC midnight`);
+    }
+    return { name: text, ms };
+}
+
+function decimalsOf(text) {
+    const dot = text.indexOf('.');
+    return dot === -1 ? 0 : text.length - dot - 1;
+}
+
+// Most decimals seen in prices and sizes so far: { price, size }
+function trackPrecision(precision, trade) {
+    const priceDecimals = decimalsOf(trade.priceText);
+    const sizeDecimals = decimalsOf(trade.sizeText);
+    if (priceDecimals > precision.price) precision.price = priceDecimals;
+    if (sizeDecimals > precision.size) precision.size = sizeDecimals;
+}
+
+function roundTo(value, decimals) {
+    return Number(value.toFixed(Math.min(decimals, OHLCV_CONFIG.maxDecimals)));
+}
+
+// Bars of one size; add() returns the bar a trade closed, if any, and finish() the last open bar
+function createBarAggregator(interval) {
+    let bar = null;
+    return {
+        interval,
+        add(trade) {
+            const openTime = trade.time - (trade.time % interval.ms);
+            let closed = null;
+            if (bar && bar.openTime !== openTime) {
+                closed = bar;
+                bar = null;
+            }
+            if (!bar) {
+                bar = {
+                    openTime,
+                    open: trade.price,
+                    high: trade.price,
+                    low: trade.price,
+                    close: trade.price,
+                    volume: 0,
+                    quoteVolume: 0,
+                    tradeCount: 0,
+                    buyVolume: 0
+                };
+            }
+            if (trade.price > bar.high) bar.high = trade.price;
+            if (trade.price < bar.low) bar.low = trade.price;
+            bar.close = trade.price;
+            bar.volume += trade.size;
+            bar.quoteVolume += trade.price * trade.size;
+            bar.tradeCount++;
+            if (trade.side === 'buy') bar.buyVolume += trade.size;
+            return closed;
+        },
+        finish() {
+            const last = bar;
+            bar = null;
+            return last;
+        }
+    };
+}
+
+// Column values of a bar, volumes rounded to the precision of the trades that went in
+function barRow(bar, precision) {
+    return [
+        bar.openTime,
+        bar.open,
+        bar.high,
+        bar.low,
+        bar.close,
+        roundTo(bar.volume, precision.size),
+        roundTo(bar.quoteVolume, precision.price + precision.size),
+        bar.tradeCount,
+        roundTo(bar.buyVolume, precision.size)
+    ];
+}
+
+async function createCsvBarWriter(filePath, schema) {
+    const tempPath = tempPathFor(filePath);
+    const stream = createWriteStream(tempPath);
+    let rows = 0;
+
+    async function writeLine(line) {
+        if (!stream.write(`${line}\n`)) {
+            await once(stream, 'drain');
+        }
+    }
+
+    await writeLine(schema.map(column => column.name).join(','));
+    return {
+        async appendRow(values) {
+            rows++;
+            await writeLine(values.join(','));
+        },
+        async close() {
+            stream.end();
+            await finished(stream);
+            await commitFile(tempPath, filePath);
+            return { rows, bytes: (await fs.stat(filePath)).size };
+        },
+        async abort() {
+            // Writes still queued fail once the stream is destroyed; nobody is waiting for them
+            stream.on('error', () => {});
+            stream.destroy();
+            await fs.unlink(tempPath).catch(() => {});
+        }
+    };
+}
+
+// Integer columns take numbers or trade_id text; the Parquet writer wants BigInt for them
+async function createParquetBarWriter(filePath, schema, { compression, metadata }) {
+    const writer = await createParquetWriter(filePath, schema, { compression, rowGroupSize: OHLCV_CONFIG.rowGroupSize, metadata });
+    const integer = schema.map(column => column.type === 'int64' || column.type === 'timestamp');
+    return {
+        appendRow: (values) => writer.appendRow(values.map((value, i) => (integer[i] ? BigInt(value) : value))),
+        close: () => writer.close(),
+        abort: () => writer.abort()
+    };
+}
+
+// One bar series written in every requested format: basePath plus .csv and/or .parquet.
+// outputs gets { format, path } per file, and { rows, bytes } once closed
+async function openBarOutputs(basePath, format, { schema, compression, metadata }) {
+    if (!OUTPUT_FORMATS.includes(format)) {
+        throw new Error(`Unknown format "${format}". Expected one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    await fs.mkdir(path.dirname(basePath), { recursive: true });
+    const outputs = [];
+    const writers = [];
+    try {
+        for (const outputFormat of format === 'both' ? ['csv', 'parquet'] : [format]) {
+            const filePath = `${basePath}.${outputFormat}`;
+            writers.push(outputFormat === 'csv'
+                ? await createCsvBarWriter(filePath, schema)
+                : await createParquetBarWriter(filePath, schema, { compression, metadata }));
+            outputs.push({ format: outputFormat, path: filePath });
+        }
+    } catch (error) {
+        for (const writer of writers) await writer.abort();
+        throw error;
+    }
+    return {
+        outputs,
+        async appendRow(values) {
+            for (const writer of writers) {
+                await writer.appendRow(values);
+            }
+        },
+        async close() {
+            for (let i = 0; i < writers.length; i++) {
+                Object.assign(outputs[i], await writers[i].close());
+            }
+            return outputs;
+        },
+        async abort() {
+            for (const writer of writers) {
+                await writer.abort();
+            }
+        }
+    };
+}
+
+// Output path (without extension) of one symbol's bar series, named after the first and last archive dates read
+function barSeriesPath(target, dataset, symbol, name, files) {
+    const span = `${files[0].date}_${files[files.length - 1].date}`;
+    return path.join(target, dataset.market, symbol, `${symbol}-${name}-${span}`);
+}
+
+// Aggregate one symbol's verified trades into every bar size; resolves with
+// { symbol, outputs: [{ bar, format, path, rows, bytes }], files, skipped, stats }
+async function aggregateSymbol({
+    dataset,
+    symbol,
+    bars = OHLCV_CONFIG.bars,
+    dateRange = null,
+    format = 'csv',
+    compression,
+    sources = COVERAGE_CONFIG.sources,
+    target = OHLCV_CONFIG.target,
+    verify = true,
+    onFile = null
+}) {
+    const intervals = bars.map(parseBarInterval);
+    const { files, skipped } = await selectTradeFiles({ dataset, symbol, dateRange, sources, verify });
+    const stats = {};
+    if (files.length === 0) {
+        return { symbol, outputs: [], files, skipped, stats };
+    }
+
+    const series = [];
+    try {
+        for (const interval of intervals) {
+            const output = await openBarOutputs(barSeriesPath(target, dataset, symbol, interval.name, files), format, {
+                schema: OHLCV_SCHEMA,
+                compression,
+                metadata: { symbol, dataset: dataset.id, bar: interval.name, from: files[0].date, to: files[files.length - 1].date }
+            });
+            series.push({ interval, aggregator: createBarAggregator(interval), output });
+        }
+
+        const precision = { price: 0, size: 0 };
+        for await (const trade of readTrades(files, { dateRange, stats, onFile })) {
+            trackPrecision(precision, trade);
+            for (const { aggregator, output } of series) {
+                const closed = aggregator.add(trade);
+                if (closed) await output.appendRow(barRow(closed, precision));
+            }
+        }
+
+        const outputs = [];
+        for (const { interval, aggregator, output } of series) {
+            const last = aggregator.finish();
+            if (last) await output.appendRow(barRow(last, precision));
+            outputs.push(...(await output.close()).map(file => ({ bar: interval.name, ...file })));
+        }
+        return { symbol, outputs, files, skipped, stats };
+    } catch (error) {
+        for (const { output } of series) {
+            await output.abort();
+        }
+        throw error;
+    }
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            ...DATASET_OPTIONS,
+            symbol: { type: 'string', multiple: true },
+            bar: { type: 'string', multiple: true },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            format: { type: 'string', default: 'csv' },
+            'parquet-compression': { type: 'string', default: process.env.PARQUET_COMPRESSION || 'gzip' },
+            source: { type: 'string', multiple: true },
+            target: { type: 'string' },
+            'skip-checksum': { type: 'boolean', default: false }
+        }
+    });
+    if (!values.symbol) {
+        console.error('Usage: node trades_ohlcv.js --symbol SYMBOL... [--bar 1m]... [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--format csv|parquet|both]');
+        process.exit(1);
+    }
+    if (!PARQUET_COMPRESSIONS.includes(values['parquet-compression'])) {
+        throw new Error(`Unknown Parquet compression "${values['parquet-compression']}". Expected one of: ${PARQUET_COMPRESSIONS.join(', ')}`);
+    }
+    const dataset = datasetFromArgs(values);
+    const dateRange = parseDateRange(values.from, values.to);
+    const bars = values.bar || OHLCV_CONFIG.bars;
+    bars.forEach(parseBarInterval);
+
+    console.log(`🕯️  OHLCV ${bars.join(', ')} bars of ${dataset.id} (${describeDateRange(dateRange)})`);
+    let failed = 0;
+    for (const symbol of values.symbol) {
+        const started = Date.now();
+        const result = await aggregateSymbol({
+            dataset,
+            symbol,
+            bars,
+            dateRange,
+            format: values.format,
+            compression: values['parquet-compression'],
+            sources: (values.source || COVERAGE_CONFIG.sources).map(source => path.resolve(source)),
+            target: values.target ? path.resolve(values.target) : OHLCV_CONFIG.target,
+            verify: !values['skip-checksum']
+        });
+        for (const { date, reason } of result.skipped) {
+            console.log(`   ⚠️  ${symbol} ${date} skipped (${reason})`);
+        }
+        if (result.files.length === 0) {
+            console.log(`   ❔ ${symbol}: no verified archives${result.skipped.length > 0 ? '' : ' on disk'}`);
+            failed++;
+            continue;
+        }
+        const { stats } = result;
+        const seconds = ((Date.now() - started) / 1000).toFixed(1);
+        console.log(`   ✅ ${symbol}: ${stats.trades} trades from ${stats.files} files (${result.files[0].date} → ${result.files[result.files.length - 1].date}) in ${seconds}s`);
+        if (stats.outOfOrder > 0) {
+            console.log(`      ⚠️  ${stats.outOfOrder} trades earlier than the trade before them were left out`);
+        }
+        for (const output of result.outputs) {
+            console.log(`      📝 ${output.bar}: ${output.rows} bars -> ${output.path}`);
+        }
+    }
+    if (failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        console.error(`💥 OHLCV aggregation failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+export {
+    OHLCV_CONFIG,
+    OHLCV_SCHEMA,
+    parseBarInterval,
+    createBarAggregator,
+    aggregateSymbol,
+    trackPrecision,
+    roundTo,
+    openBarOutputs,
+    barSeriesPath
+};
@@ -0,0 +1,102 @@
+/**
+ * Trades to Parquet - converts an extracted trades CSV into a typed Parquet file
+ * - trade_id int64, trade_time timestamp (ms, UTC), price and size double, side dictionary-encoded string
+ * - Columns are matched by header name, so their order in the CSV does not matter
+ * - The CSV is read line by line and rows go straight to the writer, so memory stays flat
+ * - A malformed row fails the conversion with its line number; no partial Parquet file is left behind
+ */
+
+import { createReadStream } from 'fs';
+import readline from 'readline';
+import { createParquetWriter } from './parquet_writer.js';
+
+const OUTPUT_FORMATS = ['csv', 'parquet', 'both'];
+const PARQUET_COMPRESSIONS = ['none', 'gzip', 'brotli'];
+
+const TRADES_SCHEMA = [
+    { name: 'trade_id', type: 'int64' },
+    { name: 'trade_time', type: 'timestamp' },
+    { name: 'price', type: 'double' },
+    { name: 'size', type: 'double' },
+    { name: 'side', type: 'string', dictionary: true }
+];
+
+const INTEGER_PATTERN = /^-?\d+$/;
+
+function parseInteger(text, name, line) {
+    if (!INTEGER_PATTERN.test(text)) {
+        throw new Error(`Line ${line}: ${name} "${text}" is not an integer`);
+    }
+    return BigInt(text);
+}
+
+function parseNumber(text, name, line) {
+    const value = Number(text);
+    if (text === '' || !Number.isFinite(value)) {
+        throw new Error(`Line ${line}: ${name} "${text}" is not a number`);
+    }
+    return value;
+}
+
+const PARSERS = {
+    int64: parseInteger,
+    timestamp: parseInteger,
+    double: parseNumber,
+    string: (text, name, line) => {
+        if (text === '') {
+            throw new Error(`Line ${line}: ${name} is empty`);
+        }
+        return text;
+    }
+};
+
+// Position of every schema column in the CSV header
+function mapColumns(headerLine) {
+    const header = headerLine.split(',').map(name => name.trim().toLowerCase());
+    return TRADES_SCHEMA.map(column => {
+        const index = header.indexOf(column.name);
+        if (index === -1) {
+            throw new Error(`CSV header has no ${column.name} column`);
+        }
+        return index;
+    });
+}
+
+// Convert csvPath to parquetPath; resolves with { rows, rowGroups, bytes }.
+// options: compression, rowGroupSize, metadata (extra key/value pairs for the footer)
+async function convertTradesCsvToParquet(csvPath, parquetPath, { compression, rowGroupSize, metadata = {} } = {}) {
+    const writer = await createParquetWriter(parquetPath, TRADES_SCHEMA, { compression, rowGroupSize, metadata });
+    const lines = readline.createInterface({ input: createReadStream(csvPath), crlfDelay: Infinity });
+
+    try {
+        let columnIndexes = null;
+        let lineNumber = 0;
+        for await (const rawLine of lines) {
+            lineNumber++;
+            const line = rawLine.trim();
+            if (line.length === 0) continue;
+
+            if (!columnIndexes) {
+                columnIndexes = mapColumns(line);
+                continue;
+            }
+
+            const fields = line.split(',');
+            const values = TRADES_SCHEMA.map((column, i) => {
+                const text = (fields[columnIndexes[i]] ?? '').trim();
+                return PARSERS[column.type](text, column.name, lineNumber);
+            });
+            await writer.appendRow(values);
+        }
+        if (!columnIndexes) {
+            throw new Error('CSV is empty');
+        }
+        return await writer.close();
+    } catch (error) {
+        lines.close();
+        await writer.abort();
+        throw error;
+    }
+}
+
+export { OUTPUT_FORMATS, PARQUET_COMPRESSIONS, TRADES_SCHEMA, convertTradesCsvToParquet };
@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+/**
+ * USD Normalization - BTC- and ETH-quoted trades with their prices and notional converted to USDT
+ *   normalized/<market>/<SYMBOL>/<SYMBOL>-trades-usd-<first date>_<last date>.<csv|parquet>
+ * - The quote currency comes from symbol_metadata.js; each trade is joined as-of with the conversion pair
+ *   (BTCUSDT, ETHUSDT): the last conversion trade at or before it, never a later one. The conversion archive of
+ *   the day before the first day (and before each day after a gap) seeds the rate for that day's first trades
+ * - Adds price_usd, notional_usd (price x size x rate) and the conversion trade_id, time and price used
+ * - Refuses to run, before writing anything, when the conversion pair has no verified archive for a day
+ *   the symbol has or for one of those seed days; collect or repair those days first.
+ *   USDT-quoted symbols need no conversion and are skipped
+ *
+ * Usage: node trades_usd.js --symbol SYMBOL... [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+ *                           [--format csv|parquet|both] [--parquet-compression none|gzip|brotli]
+ *                           [--source DIR]... [--target DIR] [--skip-checksum]
+ *                           [--market spot|futures] [--granularity daily|monthly]
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { selectTradeFiles, readTrades } from './trade_source.js';
+import { parseSymbol } from './symbol_metadata.js';
+import { trackPrecision, roundTo, openBarOutputs, barSeriesPath } from './trades_ohlcv.js';
+import { PARQUET_COMPRESSIONS } from './trades_parquet.js';
+import { parseDateRange, describeDateRange } from './date_range.js';
+import { COVERAGE_CONFIG } from './coverage_report.js';
+import { DATASET_OPTIONS, datasetFromArgs } from './worker_args.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const USD_CONFIG = {
+    target: process.env.NORMALIZED_DIR || path.join(__dirname, 'normalized'),
+    base: 'USDT',
+    // Quote currency -> the USDT pair whose trades convert it
+    conversions: {
+        BTC: 'BTCUSDT',
+        ETH: 'ETHUSDT'
+    }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const USD_SCHEMA = [
+    { name: 'trade_id', type: 'int64' },
+    { name: 'trade_time', type: 'timestamp' },
+    { name: 'price', type: 'double' },
+    { name: 'size', type: 'double' },
+    { name: 'side', type: 'string', dictionary: true },
+    { name: 'price_usd', type: 'double' },
+    { name: 'notional_usd', type: 'double' },
+    { name: 'conversion_trade_id', type: 'int64' },
+    { name: 'conversion_time', type: 'timestamp' },
+    { name: 'conversion_price', type: 'double' }
+];
+
+// Quote currency of a symbol (see symbol_metadata.js): ALGOBTC -> BTC, ALICEUSDT -> USDT
+function quoteOf(symbol) {
+    const { quote } = parseSymbol(symbol);
+    if (quote !== USD_CONFIG.base && !USD_CONFIG.conversions[quote]) {
+        throw new Error(`No conversion to ${USD_CONFIG.base} for ${symbol} (quote ${quote || 'unknown'}). Convertible quotes: ${Object.keys(USD_CONFIG.conversions).join(', ')}`);
+    }
+    return quote;
+}
+
+// The archive before a daily (or monthly) archive date: 2024-01-01 -> 2023-12-31, 2024-01 -> 2023-12
+function previousDate(date) {
+    if (date.length === 7) {
+        const [year, month] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 2, 1)).toISOString().slice(0, 7);
+    }
+    return new Date(Date.parse(`${date}T00:00:00Z`) - DAY_MS).toISOString().slice(0, 10);
+}
+
+// The archives a symbol's normalization reads and whether the conversion pair covers them:
+// { symbol, quote, conversion, files, skipped, conversionFiles, missing: [{ date, reason }] }.
+// Besides every date of the symbol, the conversion pair needs the date before the first one and before each one
+// that follows a gap, so the first trades of those days have an earlier rate to join with.
+// conversion is null for USDT-quoted symbols
+async function planNormalization({ dataset, symbol, dateRange = null, sources = COVERAGE_CONFIG.sources, verify = true }) {
+    const quote = quoteOf(symbol);
+    const conversion = USD_CONFIG.conversions[quote] || null;
+    const { files, skipped } = await selectTradeFiles({ dataset, symbol, dateRange, sources, verify });
+    const plan = { symbol, quote, conversion, files, skipped, conversionFiles: [], missing: [] };
+    if (!conversion || files.length === 0) {
+        return plan;
+    }
+
+    const needed = new Map();
+    const dates = new Set(files.map(file => file.date));
+    for (const { date } of files) {
+        const previous = previousDate(date);
+        if (!dates.has(previous)) {
+            needed.set(previous, `the last ${conversion} rate before ${date}`);
+        }
+        needed.set(date, null);
+    }
+
+    const first = [...needed.keys()].sort()[0];
+    const conversionRange = { from: first.length === 7 ? `${first}-01` : first, to: dateRange ? dateRange.to : null };
+    const available = await selectTradeFiles({ dataset, symbol: conversion, dateRange: conversionRange, sources, verify });
+    const byDate = new Map(available.files.map(file => [file.date, file]));
+    const unverified = new Map(available.skipped.map(({ date, reason }) => [date, reason]));
+    for (const [date, purpose] of [...needed].sort(([a], [b]) => (a < b ? -1 : 1))) {
+        if (byDate.has(date)) {
+            plan.conversionFiles.push(byDate.get(date));
+        } else {
+            const reason = unverified.get(date) || `no ${conversion} archive on disk`;
+            plan.missing.push({ date, reason: purpose ? `${reason} (${purpose})` : reason });
+        }
+    }
+    return plan;
+}
+
+function normalizedRow(trade, rate, precision) {
+    const priceDecimals = precision.trade.price + precision.rate.price;
+    return [
+        trade.id,
+        trade.time,
+        trade.price,
+        trade.size,
+        trade.side,
+        roundTo(trade.price * rate.price, priceDecimals),
+        roundTo(trade.price * trade.size * rate.price, priceDecimals + precision.trade.size),
+        rate.id,
+        rate.time,
+        rate.price
+    ];
+}
+
+// Write one symbol's trades with USD columns from a plan with no missing days; resolves with
+// { symbol, outputs: [{ format, path, rows, bytes }], stats: { ..., converted, maxLagMs } }.
+// A trade with no conversion trade at or before it fails the whole symbol: a later rate would leak future prices
+async function normalizeSymbol(plan, {
+    dataset,
+    dateRange = null,
+    format = 'csv',
+    compression,
+    target = USD_CONFIG.target,
+    onFile = null
+}) {
+    const { symbol, conversion, files, conversionFiles, missing } = plan;
+    if (!conversion) {
+        throw new Error(`${symbol} is already quoted in ${USD_CONFIG.base}`);
+    }
+    if (missing.length > 0) {
+        throw new Error(`${conversion} has no verified archive for ${missing.map(item => item.date).join(', ')}, needed to convert ${symbol}`);
+    }
+
+    const stats = { converted: 0, maxLagMs: 0 };
+    const output = await openBarOutputs(barSeriesPath(target, dataset, symbol, 'trades-usd', files), format, {
+        schema: USD_SCHEMA,
+        compression,
+        metadata: { symbol, dataset: dataset.id, conversion, from: files[0].date, to: files[files.length - 1].date }
+    });
+    // Whole archives: the day before the range seeds the rate its first trades join with
+    const rates = readTrades(conversionFiles);
+    try {
+        const precision = { trade: { price: 0, size: 0 }, rate: { price: 0, size: 0 } };
+        let rate = null;
+        let upcoming = (await rates.next()).value || null;
+        for await (const trade of readTrades(files, { dateRange, stats, onFile })) {
+            while (upcoming && upcoming.time <= trade.time) {
+                rate = upcoming;
+                trackPrecision(precision.rate, rate);
+                upcoming = (await rates.next()).value || null;
+            }
+            if (!rate) {
+                throw new Error(`No ${conversion} trade at or before ${symbol} trade ${trade.id} (${new Date(trade.time).toISOString()})`);
+            }
+            if (trade.time - rate.time > stats.maxLagMs) {
+                stats.maxLagMs = trade.time - rate.time;
+            }
+            trackPrecision(precision.trade, trade);
+            await output.appendRow(normalizedRow(trade, rate, precision));
+            stats.converted++;
+        }
+        return { symbol, outputs: await output.close(), stats };
+    } catch (error) {
+        await output.abort();
+        throw error;
+    } finally {
+        await rates.return();
+    }
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            ...DATASET_OPTIONS,
+            symbol: { type: 'string', multiple: true },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            format: { type: 'string', default: 'csv' },
+            'parquet-compression': { type: 'string', default: process.env.PARQUET_COMPRESSION || 'gzip' },
+            source: { type: 'string', multiple: true },
+            target: { type: 'string' },
+            'skip-checksum': { type: 'boolean', default: false }
+        }
+    });
+    if (!values.symbol) {
+        console.error('Usage: node trades_usd.js --symbol SYMBOL... [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--format csv|parquet|both]');
+        process.exit(1);
+    }
+    if (!PARQUET_COMPRESSIONS.includes(values['parquet-compression'])) {
+        throw new Error(`Unknown Parquet compression "${values['parquet-compression']}". Expected one of: ${PARQUET_COMPRESSIONS.join(', ')}`);
+    }
+    const dataset = datasetFromArgs(values);
+    const dateRange = parseDateRange(values.from, values.to);
+    const sources = (values.source || COVERAGE_CONFIG.sources).map(source => path.resolve(source));
+    const verify = !values['skip-checksum'];
+
+    console.log(`💱 USD normalization of ${dataset.id} (${describeDateRange(dateRange)})`);
+    const plans = [];
+    for (const symbol of values.symbol.map(name => name.toUpperCase())) {
+        plans.push(await planNormalization({ dataset, symbol, dateRange, sources, verify }));
+    }
+
+    // Every conversion day has to be there before anything is written
+    const uncovered = plans.filter(plan => plan.missing.length > 0);
+    if (uncovered.length > 0) {
+        for (const { symbol, conversion, missing } of uncovered) {
+            console.log(`   ❌ ${symbol}: ${conversion} missing for ${missing.length} day(s)`);
+            for (const { date, reason } of missing) {
+                console.log(`      ${date}: ${reason}`);
+            }
+        }
+        throw new Error(`Conversion pairs lack coverage for ${uncovered.map(plan => plan.symbol).join(', ')}; nothing written`);
+    }
+
+    let failed = 0;
+    for (const plan of plans) {
+        const { symbol } = plan;
+        for (const { date, reason } of plan.skipped) {
+            console.log(`   ⚠️  ${symbol} ${date} skipped (${reason})`);
+        }
+        if (!plan.conversion) {
+            console.log(`   ⏭️  ${symbol}: already quoted in ${USD_CONFIG.base}`);
+            continue;
+        }
+        if (plan.files.length === 0) {
+            console.log(`   ❔ ${symbol}: no verified archives${plan.skipped.length > 0 ? '' : ' on disk'}`);
+            failed++;
+            continue;
+        }
+        const started = Date.now();
+        const { outputs, stats } = await normalizeSymbol(plan, {
+            dataset,
+            dateRange,
+            format: values.format,
+            compression: values['parquet-compression'],
+            target: values.target ? path.resolve(values.target) : USD_CONFIG.target
+        });
+        const seconds = ((Date.now() - started) / 1000).toFixed(1);
+        console.log(`   ✅ ${symbol}: ${stats.converted} trades via ${plan.conversion} (${plan.files[0].date} → ${plan.files[plan.files.length - 1].date}) in ${seconds}s, rates up to ${(stats.maxLagMs / 1000).toFixed(1)}s old`);
+        if (stats.outOfOrder > 0) {
+            console.log(`      ⚠️  ${stats.outOfOrder} trades earlier than the trade before them were left out`);
+        }
+        for (const output of outputs) {
+            console.log(`      📝 ${output.rows} trades -> ${output.path}`);
+        }
+    }
+    if (failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        console.error(`💥 USD normalization failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+export { USD_CONFIG, USD_SCHEMA, quoteOf, planNormalization, normalizeSymbol };
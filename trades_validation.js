@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+/**
+ * Trades Row Validation - checks every row of a trades CSV, not just its header
+ * - trade_id: an integer, unique and strictly increasing
+ * - trade_time: integer milliseconds, never decreasing, inside the archive's calendar day in UTC
+ *   (its month for monthly archives)
+ * - price and size: numbers greater than zero; side: buy or sell
+ * - Every rule keeps a count and the first few offending rows, so the report stays small however bad a file is
+ * - Works chunk by chunk, so it can sit in the extraction stream or re-check files already on disk
+ *
+ * Usage: node trades_validation.js <file.zip|file.csv|directory>... [--report report.json] [--samples N]
+ *        (directories are searched for .zip archives)
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { StringDecoder } from 'string_decoder';
+import { archiveDate } from './date_range.js';
+import { readZipEntries, createEntryStream } from './zip_stream.js';
+import { writeFileAtomic } from './atomic_files.js';
+
+const VALIDATION_CONFIG = {
+    sampleSize: Number(process.env.VALIDATION_SAMPLES) || 5, // Offending rows kept per rule
+    maxSampleLength: 200                                       // Characters kept of each sample row
+};
+
+const RULES = {
+    malformed_row: 'row has fewer columns than the header',
+    trade_id_not_integer: 'trade_id is not an integer',
+    trade_id_duplicate: 'trade_id repeats the previous row',
+    trade_id_not_increasing: 'trade_id is lower than the previous row',
+    trade_time_not_integer: 'trade_time is not an integer (milliseconds)',
+    trade_time_decreasing: 'trade_time is earlier than the previous row',
+    trade_time_outside_day: "trade_time is outside the file's calendar day (UTC)",
+    price_not_number: 'price is not a number',
+    price_not_positive: 'price is not greater than zero',
+    size_not_number: 'size is not a number',
+    size_not_positive: 'size is not greater than zero',
+    side_invalid: 'side is not buy or sell'
+};
+
+const COLUMNS = ['trade_id', 'trade_time', 'price', 'size', 'side'];
+const INTEGER_PATTERN = /^-?\d+$/;
+const SIDES = new Set(['buy', 'sell']);
+
+// [start, end) in epoch ms of an archive date: YYYY-MM-DD is one UTC day, YYYY-MM one UTC month
+function dateWindow(date) {
+    if (!date) return null;
+    const [year, month, day] = date.split('-').map(Number);
+    if (day) {
+        const start = Date.UTC(year, month - 1, day);
+        return { start, end: start + 24 * 60 * 60 * 1000 };
+    }
+    return { start: Date.UTC(year, month - 1, 1), end: Date.UTC(year, month, 1) };
+}
+
+// Archive date of a ZIP or of the CSV extracted from it
+function fileDate(filePath) {
+    return archiveDate(path.basename(filePath).replace(/\.csv$/i, '.zip'));
+}
+
+function parseNumber(text) {
+    const value = Number(text);
+    return text === '' || !Number.isFinite(value) ? null : value;
+}
+
+// Validator fed with raw CSV chunks; report() summarizes every violation found so far.
+// date: the archive's date (YYYY-MM-DD or YYYY-MM), null to skip the calendar check
+function createTradesValidator({ date = null, sampleSize = VALIDATION_CONFIG.sampleSize } = {}) {
+    const window = dateWindow(date);
+    const decoder = new StringDecoder('utf8');
+    const violations = {};
+    let violationCount = 0;
+    let pending = '';
+    let lineNumber = 0;
+    let rows = 0;
+    let columnIndexes = null;
+    let headerError = null;
+    let previousId = null;
+    let previousTime = null;
+
+    function flag(rule, line, text) {
+        violationCount++;
+        if (!violations[rule]) {
+            violations[rule] = { message: RULES[rule], count: 0, samples: [] };
+        }
+        const entry = violations[rule];
+        entry.count++;
+        if (entry.samples.length < sampleSize) {
+            entry.samples.push({ line, row: text.slice(0, VALIDATION_CONFIG.maxSampleLength) });
+        }
+    }
+
+    function readHeader(text) {
+        const header = text.split(',').map(name => name.trim().toLowerCase());
+        const indexes = COLUMNS.map(name => header.indexOf(name));
+        const missing = COLUMNS.filter((name, i) => indexes[i] === -1);
+        if (missing.length > 0) {
+            headerError = `CSV header has no ${missing.join(', ')} column`;
+        }
+        columnIndexes = indexes;
+    }
+
+    function checkRow(text, line) {
+        rows++;
+        const fields = text.split(',');
+        if (fields.length <= Math.max(...columnIndexes)) {
+            flag('malformed_row', line, text);
+            return;
+        }
+        const [idText, timeText, priceText, sizeText, sideText] = columnIndexes.map(index => fields[index].trim());
+
+        if (!INTEGER_PATTERN.test(idText)) {
+            flag('trade_id_not_integer', line, text);
+        } else {
+            const id = BigInt(idText);
+            if (previousId !== null && id === previousId) {
+                flag('trade_id_duplicate', line, text);
+            } else if (previousId !== null && id < previousId) {
+                flag('trade_id_not_increasing', line, text);
+            }
+            previousId = id;
+        }
+
+        if (!INTEGER_PATTERN.test(timeText)) {
+            flag('trade_time_not_integer', line, text);
+        } else {
+            const time = Number(timeText);
+            if (previousTime !== null && time < previousTime) {
+                flag('trade_time_decreasing', line, text);
+            }
+            if (window && (time < window.start || time >= window.end)) {
+                flag('trade_time_outside_day', line, text);
+            }
+            previousTime = time;
+        }
+
+        const price = parseNumber(priceText);
+        if (price === null) {
+            flag('price_not_number', line, text);
+        } else if (price <= 0) {
+            flag('price_not_positive', line, text);
+        }
+
+        const size = parseNumber(sizeText);
+        if (size === null) {
+            flag('size_not_number', line, text);
+        } else if (size <= 0) {
+            flag('size_not_positive', line, text);
+        }
+
+        if (!SIDES.has(sideText)) {
+            flag('side_invalid', line, text);
+        }
+    }
+
+    function consume(rawLine) {
+        lineNumber++;
+        const text = rawLine.trim();
+        if (text.length === 0 || headerError) return;
+        if (!columnIndexes) {
+            readHeader(text);
+            return;
+        }
+        checkRow(text, lineNumber);
+    }
+
+    return {
+        update(chunk) {
+            const lines = (pending + decoder.write(chunk)).split('\n');
+            pending = lines.pop();
+            for (const line of lines) {
+                consume(line);
+            }
+        },
+        finish() {
+            const rest = pending + decoder.end();
+            pending = '';
+            if (rest.length > 0) {
+                consume(rest);
+            }
+        },
+        // { date, rows, valid, violationCount, violations: { rule: { message, count, samples: [{ line, row }] } }, error }
+        report() {
+            const error = headerError || (!columnIndexes ? 'CSV is empty' : null);
+            return {
+                date,
+                rows,
+                valid: !error && violationCount === 0,
+                violationCount,
+                violations,
+                error
+            };
+        }
+    };
+}
+
+// One line summary of a report, e.g. "3 invalid values in 2 rules: side_invalid x2, price_not_positive x1"
+function describeViolations(report) {
+    if (report.error) {
+        return report.error;
+    }
+    const rules = Object.entries(report.violations).sort((a, b) => b[1].count - a[1].count);
+    return `${report.violationCount} invalid values in ${rules.length} rules: ${rules.map(([rule, { count }]) => `${rule} x${count}`).join(', ')}`;
+}
+
+// Validate a trades CSV, or the CSV inside a ZIP archive, from disk
+async function validateTradesFile(filePath, { sampleSize = VALIDATION_CONFIG.sampleSize } = {}) {
+    let input;
+    if (filePath.toLowerCase().endsWith('.zip')) {
+        const csvEntry = (await readZipEntries(filePath)).find(entry => entry.name.endsWith('.csv'));
+        if (!csvEntry) {
+            throw new Error('No CSV file found in ZIP');
+        }
+        input = await createEntryStream(filePath, csvEntry);
+    } else {
+        input = createReadStream(filePath);
+    }
+
+    const validator = createTradesValidator({ date: fileDate(filePath), sampleSize });
+    for await (const chunk of input) {
+        validator.update(chunk);
+    }
+    validator.finish();
+    return { file: filePath, ...validator.report() };
+}
+
+async function findArchives(dir) {
+    const found = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            found.push(...await findArchives(entryPath));
+        } else if (entry.name.endsWith('.zip')) {
+            found.push(entryPath);
+        }
+    }
+    return found.sort();
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            report: { type: 'string' },
+            samples: { type: 'string' }
+        }
+    });
+    if (positionals.length === 0) {
+        console.error('Usage: node trades_validation.js <file.zip|file.csv|directory>... [--report report.json] [--samples N]');
+        process.exit(1);
+    }
+    const sampleSize = values.samples ? Number(values.samples) : VALIDATION_CONFIG.sampleSize;
+
+    const files = [];
+    for (const target of positionals) {
+        files.push(...((await fs.stat(target)).isDirectory() ? await findArchives(target) : [target]));
+    }
+
+    const reports = [];
+    for (const file of files) {
+        let report;
+        try {
+            report = await validateTradesFile(file, { sampleSize });
+        } catch (error) {
+            report = { file, valid: false, rows: 0, violationCount: 0, violations: {}, error: error.message };
+        }
+        reports.push(report);
+        if (report.valid) {
+            console.log(`   ✅ ${file} (${report.rows} rows)`);
+            continue;
+        }
+        console.log(`   ❌ ${file} (${report.rows} rows): ${describeViolations(report)}`);
+        for (const [rule, { samples }] of Object.entries(report.violations)) {
+            for (const sample of samples) {
+                console.log(`      ${rule} line ${sample.line}: ${sample.row}`);
+            }
+        }
+    }
+
+    const invalid = reports.filter(report => !report.valid).length;
+    console.log(`📊 ${files.length} files checked, ${invalid} with violations`);
+    if (values.report) {
+        await writeFileAtomic(values.report, JSON.stringify({ checkedAt: new Date().toISOString(), files: reports }, null, 2));
+        console.log(`📝 Report written to ${values.report}`);
+    }
+    if (invalid > 0) {
+        process.exitCode = 1;
+    }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        console.error(`💥 Validation failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+export { VALIDATION_CONFIG, RULES, createTradesValidator, describeViolations, validateTradesFile };
@@ -0,0 +1,203 @@
+/**
+ * WebSocket Server - just enough of RFC 6455 to stream JSON to local clients and take commands back
+ * - The HTTP upgrade handshake, unmasked server text frames, masked client frames (fragmented ones reassembled),
+ *   ping/pong and the close handshake; no extensions or subprotocols
+ * - broadcast() returns false when a client's socket buffer is over its high-water mark, and whenDrained()
+ *   resolves once every client has caught up, so a producer can wait instead of buffering without bound
+ * - Events: 'connection' (client), 'message' (client, text), 'disconnect' (client), 'clientError' (client, error)
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { EventEmitter, once } from 'events';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+// Header + payload of one unmasked (server to client) frame
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// First complete frame in buffer: { fin, opcode, payload, size } or null until more bytes arrive
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    if (!masked) {
+        throw new Error('Client frames must be masked');
+    }
+    if (length > MAX_MESSAGE_BYTES) {
+        throw new Error(`Frame of ${length} bytes is over the ${MAX_MESSAGE_BYTES} byte limit`);
+    }
+    if (buffer.length < offset + 4 + length) return null;
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+    }
+    return { fin, opcode, payload, size: offset + 4 + length };
+}
+
+function createClient(socket, server) {
+    let pending = Buffer.alloc(0);
+    let fragments = [];
+    let closed = false;
+
+    const client = {
+        socket,
+        // false once the socket has more buffered than its high-water mark
+        send(text) {
+            if (closed) return true;
+            return socket.write(encodeFrame(OPCODES.text, Buffer.from(text)));
+        },
+        close(code = 1000) {
+            if (closed) return;
+            closed = true;
+            const payload = Buffer.alloc(2);
+            payload.writeUInt16BE(code);
+            socket.end(encodeFrame(OPCODES.close, payload));
+            // A client that never answers the close frame does not keep the server open
+            setTimeout(() => socket.destroy(), 1000).unref();
+        },
+        get backedUp() {
+            return !closed && socket.writableNeedDrain;
+        }
+    };
+
+    function handleFrame({ fin, opcode, payload }) {
+        if (opcode === OPCODES.ping) {
+            socket.write(encodeFrame(OPCODES.pong, payload));
+        } else if (opcode === OPCODES.close) {
+            client.close();
+        } else if (opcode === OPCODES.text || opcode === OPCODES.binary || opcode === OPCODES.continuation) {
+            fragments.push(payload);
+            if (fragments.reduce((sum, fragment) => sum + fragment.length, 0) > MAX_MESSAGE_BYTES) {
+                throw new Error(`Message over the ${MAX_MESSAGE_BYTES} byte limit`);
+            }
+            if (fin) {
+                const message = Buffer.concat(fragments).toString('utf8');
+                fragments = [];
+                server.emit('message', client, message);
+            }
+        }
+    }
+
+    socket.on('data', (chunk) => {
+        pending = Buffer.concat([pending, chunk]);
+        try {
+            for (let frame = decodeFrame(pending); frame; frame = decodeFrame(pending)) {
+                pending = pending.subarray(frame.size);
+                handleFrame(frame);
+            }
+        } catch (error) {
+            server.emit('clientError', client, error);
+            client.close(1002);
+        }
+    });
+    socket.on('close', () => {
+        closed = true;
+        server.clients.delete(client);
+        server.emit('disconnect', client);
+    });
+    socket.on('error', () => socket.destroy());
+    return client;
+}
+
+// Listen on host:port; resolves once listening with the server (an EventEmitter)
+async function createWebSocketServer({ port, host = '127.0.0.1' } = {}) {
+    const server = new EventEmitter();
+    server.clients = new Set();
+
+    const httpServer = http.createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain', Upgrade: 'websocket' });
+        response.end('WebSocket only\n');
+    });
+    httpServer.on('upgrade', (request, socket) => {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+        const client = createClient(socket, server);
+        server.clients.add(client);
+        server.emit('connection', client);
+    });
+
+    httpServer.listen(port, host);
+    await once(httpServer, 'listening');
+    server.address = httpServer.address();
+
+    // Send to every client; false when one of them is backed up
+    server.broadcast = (text) => {
+        let flowing = true;
+        for (const client of server.clients) {
+            if (!client.send(text)) flowing = false;
+        }
+        return flowing;
+    };
+    // Resolves once no client has more buffered than its high-water mark (or has gone away)
+    server.whenDrained = async () => {
+        for (const client of server.clients) {
+            if (client.backedUp) {
+                await new Promise(resolve => {
+                    const done = () => {
+                        client.socket.off('drain', done);
+                        client.socket.off('close', done);
+                        resolve();
+                    };
+                    client.socket.on('drain', done);
+                    client.socket.on('close', done);
+                });
+            }
+        }
+    };
+    server.close = async () => {
+        for (const client of server.clients) {
+            client.close(1001);
+        }
+        httpServer.close();
+        await once(httpServer, 'close');
+    };
+    return server;
+}
+
+export { createWebSocketServer };
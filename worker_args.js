@@ -0,0 +1,137 @@
+/**
+ * Worker Command Line Options
+ * Shared by every worker so a batch processor can forward the same flags to any of them:
+ *   <SYMBOL> [--market spot|futures] [--granularity daily|monthly] [--data-type trades|klines] [--interval 1m]
+ *            [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--sync] [--skip-checksum]
+ *            [--base-url URL] [--mirror URL]... [--proxy URL] [--output csv|parquet|both] [--parquet-compression none|gzip|brotli]
+ *            [--quote ASSET]... [--class plain|leveraged]... [--match REGEX]
+ * --sync lists after the last synced key and only fetches new or changed archives.
+ * --skip-checksum downloads without verifying against the published .CHECKSUM files.
+ * --base-url/--mirror/--proxy override KUCOIN_BASE_URL/KUCOIN_MIRRORS/KUCOIN_PROXY (see endpoints.js).
+ * --output/--parquet-compression pick what the sophisticated worker keeps of each extracted trades CSV
+ * (default csv; compression defaults to PARQUET_COMPRESSION or gzip). Other workers accept and ignore them.
+ * --quote/--class/--match pick the symbols of a batch processor or of the all-symbol production worker
+ * (see symbol_metadata.js); single-symbol workers accept and ignore them.
+ */
+
+import { parseArgs } from 'util';
+import { resolveDataset } from './datasets.js';
+import { parseDateRange } from './date_range.js';
+import { configureEndpoints } from './endpoints.js';
+import { OUTPUT_FORMATS, PARQUET_COMPRESSIONS } from './trades_parquet.js';
+import { selectionFromArgs } from './symbol_metadata.js';
+
+const DATASET_OPTIONS = {
+    market: { type: 'string' },
+    granularity: { type: 'string' },
+    'data-type': { type: 'string' },
+    interval: { type: 'string' }
+};
+
+const ENDPOINT_OPTIONS = {
+    'base-url': { type: 'string' },
+    mirror: { type: 'string', multiple: true },
+    proxy: { type: 'string' }
+};
+
+const SELECTION_OPTIONS = {
+    quote: { type: 'string', multiple: true },
+    class: { type: 'string', multiple: true },
+    match: { type: 'string' }
+};
+
+const WORKER_OPTIONS = {
+    ...DATASET_OPTIONS,
+    ...ENDPOINT_OPTIONS,
+    ...SELECTION_OPTIONS,
+    from: { type: 'string' },
+    to: { type: 'string' },
+    sync: { type: 'boolean', default: false },
+    'skip-checksum': { type: 'boolean', default: false },
+    output: { type: 'string', default: 'csv' },
+    'parquet-compression': { type: 'string', default: process.env.PARQUET_COMPRESSION || 'gzip' }
+};
+
+const WORKER_USAGE = '[--market spot|futures] [--granularity daily|monthly] [--data-type trades|klines] [--interval 1m] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--sync] [--skip-checksum] [--base-url URL] [--mirror URL]... [--proxy URL] [--output csv|parquet|both] [--parquet-compression none|gzip|brotli] [--quote ASSET]... [--class plain|leveraged]... [--match REGEX]';
+
+// Resolve the dataset flags of an already parsed option set
+function datasetFromArgs(values) {
+    return resolveDataset({
+        market: values.market,
+        granularity: values.granularity,
+        dataType: values['data-type'],
+        interval: values.interval
+    });
+}
+
+// Apply --base-url/--mirror/--proxy to the shared endpoint pool; flags that are not given keep the environment defaults
+function applyEndpointArgs(values) {
+    return configureEndpoints({
+        baseUrl: values['base-url'],
+        mirrors: values.mirror,
+        proxy: values.proxy
+    });
+}
+
+// Resolve --output/--parquet-compression; Parquet output has a schema for trades only
+function outputFromArgs(values, dataset) {
+    const format = values.output;
+    const compression = values['parquet-compression'];
+    if (!OUTPUT_FORMATS.includes(format)) {
+        throw new Error(`Unknown output "${format}". Expected one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (!PARQUET_COMPRESSIONS.includes(compression)) {
+        throw new Error(`Unknown Parquet compression "${compression}". Expected one of: ${PARQUET_COMPRESSIONS.join(', ')}`);
+    }
+    if (format !== 'csv' && dataset.dataType !== 'trades') {
+        throw new Error(`Parquet output is only available for trades, not ${dataset.dataType}`);
+    }
+    return { format, compression };
+}
+
+function parseWorkerArgs(args = process.argv.slice(2)) {
+    const { values, positionals } = parseArgs({ args, options: WORKER_OPTIONS, allowPositionals: true });
+    applyEndpointArgs(values);
+    const dataset = datasetFromArgs(values);
+
+    return {
+        symbol: positionals[0] || null,
+        dataset,
+        dateRange: parseDateRange(values.from, values.to),
+        sync: values.sync,
+        verifyChecksum: !values['skip-checksum'],
+        output: outputFromArgs(values, dataset),
+        selection: selectionFromArgs(values)
+    };
+}
+
+// Batch processor arguments: [startIndex] [count] followed by worker flags. The indices slice the selected
+// symbols; without them a selection is taken whole and an unfiltered list is cut to its first 100.
+// workerArgs (selection flags included) is forwarded to every worker as is
+function parseBatchArgs(args = process.argv.slice(2)) {
+    const indices = [];
+    while (indices.length < 2 && /^\d+$/.test(args[indices.length] || '')) {
+        indices.push(Number(args[indices.length]));
+    }
+    const workerArgs = args.slice(indices.length);
+    const { values } = parseArgs({ args: workerArgs, options: WORKER_OPTIONS, allowPositionals: true });
+    const selection = selectionFromArgs(values);
+    return {
+        startIndex: indices[0] ?? 0,
+        count: indices[1] ?? (selection ? Infinity : 100),
+        selection,
+        workerArgs
+    };
+}
+
+export {
+    DATASET_OPTIONS,
+    ENDPOINT_OPTIONS,
+    SELECTION_OPTIONS,
+    WORKER_OPTIONS,
+    WORKER_USAGE,
+    datasetFromArgs,
+    applyEndpointArgs,
+    parseWorkerArgs,
+    parseBatchArgs
+};
@@ -3,20 +3,24 @@
  * Simple Test Worker - Debug step by step
  */
 
-import https from 'https';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { primaryBaseUrl } from './endpoints.js';
+import { proxiedGet } from './http_client.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Endpoint under test: KUCOIN_BASE_URL, or the public bucket (requests honor KUCOIN_PROXY/HTTPS_PROXY)
+const BASE_URL = primaryBaseUrl();
+
 console.log('🚀 Simple test worker starting...');
 
 async function testXMLFetch(symbol) {
     console.log(`🔍 Testing XML fetch for ${symbol}...`);
     
-    const url = `https://historical-data.kucoin.com/?prefix=data/spot/daily/trades/${symbol}/&max-keys=1000`;
+    const url = `${BASE_URL}/?prefix=data/spot/daily/trades/${symbol}/&max-keys=1000`;
     console.log(`📡 URL: ${url}`);
     
     try {
@@ -52,7 +56,7 @@ function fetchXML(url) {
     return new Promise((resolve, reject) => {
         console.log(`🌐 Fetching: ${url}`);
         
-        const request = https.get(url, { timeout: 15000 }, (response) => {
+        const request = proxiedGet(url, { timeout: 15000 }, (response) => {
             console.log(`📊 Response status: ${response.statusCode}`);
             
             if (response.statusCode !== 200) {
@@ -2,23 +2,43 @@
 /**
  * KuCoin Data Discovery Worker System - PRODUCTION VERSION
  * 2 HTTP Scrapers + 2 Downloaders with real download logic and robust error handling
+ * Listings, downloads and failures go to the SQLite catalog; a restart skips symbols already
+ * listed and re-queues every listed archive that was not downloaded yet.
+ * An archive that still fails its checksum after the last retry is quarantined, not deleted.
  */
 
 import fs from 'fs/promises';
-import { createWriteStream, unlink } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { XMLParser } from 'fast-xml-parser';
+import { listSymbolArchives, objectUrl } from './bucket_listing.js';
+import { downloadResumable, downloadWithChecksum } from './resumable_download.js';
+import { cleanupStaleTempFiles } from './atomic_files.js';
+import { configureRateLimiter } from './rate_limiter.js';
+import { endpointStatus, setFailoverListener } from './endpoints.js';
+import { loadSymbolsFile } from './discover_symbols.js';
+import { datasetOutputDir } from './datasets.js';
+import { describeDateRange, isDateInRange } from './date_range.js';
+import { sharedCatalog, checksumVerification, downloadRecord } from './catalog.js';
+import { quarantineFiles } from './quarantine.js';
+import { parseWorkerArgs } from './worker_args.js';
+import { selectSymbols, describeSelection } from './symbol_metadata.js';
+import {
+	loadSyncManifest,
+	saveSyncManifest,
+	selectChanged,
+	recordFetched,
+	advanceLastKey
+} from './sync_manifest.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Production Configuration
+// Request pacing comes from the shared adaptive rate limiter, so scrapers/downloaders can be scaled up
+// (SCRAPERS/DOWNLOADERS) without raising the request rate above RATE_LIMIT_MAX_RPS
 const WORKER_CONFIG = {
-	scrapers: 2,
-	downloaders: 2,
-	scraperDelay: 150, // ms between requests (optimized)
-	downloaderDelay: 50, // ms between downloads (optimized)
+	scrapers: Number(process.env.SCRAPERS) || 2,
+	downloaders: Number(process.env.DOWNLOADERS) || 2,
 	maxRetries: 5, // increased retries for perfection
 	retryDelay: 2000, // ms before retry
 	chunkSize: 64 * 1024, // 64KB chunks for large files
@@ -29,19 +49,25 @@ const WORKER_CONFIG = {
 	healthCheckInterval: 30000 // health check every 30s
 };
 
+// Dataset, date range, sync mode, checksum verification and symbol selection chosen on the command line
+// (defaults to every spot daily trade archive of every listed symbol, verified against its .CHECKSUM)
+const {
+	dataset: DATASET,
+	dateRange: DATE_RANGE,
+	sync: SYNC_MODE,
+	verifyChecksum: VERIFY_CHECKSUM,
+	selection: SELECTION
+} = parseWorkerArgs();
+
 // Paths
-const DISCOVERED_DIR = path.join(__dirname, 'discovered');
 const INDEXED_DIR = path.join(__dirname, 'indexed');
 const DOWNLOADS_DIR = path.join(__dirname, 'downloads');
-const SYMBOLS_FILE = path.join(DISCOVERED_DIR, 'symbols.json');
-const STATE_FILE = path.join(INDEXED_DIR, 'worker_state.json');
 const LOG_FILE = path.join(INDEXED_DIR, 'worker_log.txt');
 
 // Shared state with better tracking
 const state = {
 	scrapedSymbols: new Set(),
-	queuedFiles: new Map(), // symbol -> [file1, file2, ...]
-	downloadedFiles: new Set(),
+	queuedFiles: new Map(), // symbol -> number of files queued
 	failedSymbols: new Set(),
 	failedDownloads: new Map(), // url -> {retries, lastError, timestamp}
 	startTime: Date.now(),
@@ -57,13 +83,30 @@ const state = {
 	lastDownloadedCount: 0 // Track last downloaded count for progress check
 };
 
+// Catalog of listed, downloaded and failed archives, and this process's row in its runs table
+const catalog = sharedCatalog();
+let runId = null;
+
+// Sync manifests of the symbols scraped in this process: symbol -> { manifest, listed, dirty }
+const syncState = new Map();
+
 // Queue management with priority
 const downloadQueue = [];
 const retryQueue = [];
 let isShuttingDown = false;
+// Aborts in-flight listing and download requests on shutdown; partial downloads stay resumable
+const shutdownController = new AbortController();
 
-// XML parser
-const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '', allowBooleanAttributes: true });
+// Every scraper and downloader shares one adaptive limiter for listing and download requests
+const rateLimiter = configureRateLimiter({
+	onAdjust: ({ reason, previousRate, rate, ...details }) => {
+		log(`Rate limit lowered to ${rate.toFixed(2)} req/s (was ${previousRate.toFixed(2)}): ${reason}`, 'WARN', details);
+	}
+});
+
+setFailoverListener(({ from, to, error }) => {
+	log(`Endpoint ${from} keeps failing, switching to ${to}`, 'WARN', { error: error.message });
+});
 
 // Enhanced logging with failure tracking
 async function log(message, level = 'INFO', context = {}) {
@@ -85,71 +128,84 @@ async function ensureDir(dir) {
 	await fs.mkdir(dir, { recursive: true });
 }
 
-async function loadState() {
-	try {
-		const data = await fs.readFile(STATE_FILE, 'utf8');
-		const saved = JSON.parse(data);
-		state.scrapedSymbols = new Set(saved.scrapedSymbols || []);
-		state.queuedFiles = new Map(saved.queuedFiles || []);
-		state.downloadedFiles = new Set(saved.downloadedFiles || []);
-		state.failedSymbols = new Set(saved.failedSymbols || []);
-		state.failedDownloads = new Map(saved.failedDownloads || []);
-		state.stats = saved.stats || state.stats;
-		state.lastProgressTime = saved.lastProgressTime ? new Date(saved.lastProgressTime).getTime() : state.startTime;
-		state.lastDownloadedCount = saved.lastDownloadedCount || 0;
-		await log(`Loaded state: ${state.scrapedSymbols.size} scraped, ${state.queuedFiles.size} queued, ${state.downloadedFiles.size} downloaded`);
-	} catch (error) {
-		await log('No saved state found, starting fresh', 'WARN');
+// Queue an archive for the downloaders
+function queueFile(symbol, file) {
+	downloadQueue.push({
+		symbol,
+		key: file.key,
+		filename: file.key.split('/').pop(),
+		url: objectUrl(file.key),
+		checksumUrl: objectUrl(`${file.key}.CHECKSUM`),
+		size: file.size,
+		etag: file.etag,
+		lastModified: file.lastModified,
+		queuedAt: Date.now(),
+		retries: 0
+	});
+	state.queuedFiles.set(symbol, (state.queuedFiles.get(symbol) || 0) + 1);
+	state.stats.filesQueued++;
+}
+
+// Pick up where earlier runs stopped: symbols already listed are not scraped again, and archives
+// they listed but never downloaded (or that failed) are queued straight away
+async function restoreFromCatalog() {
+	// A sync run re-lists every symbol; the manifests decide what is actually fetched
+	if (SYNC_MODE) {
+		await log(`Catalog: ${catalog.path} (sync mode, every symbol is listed again)`);
+		return;
+	}
+	state.scrapedSymbols = new Set(catalog.listedSymbols(DATASET));
+	const pending = catalog.pendingObjects(DATASET).filter(object => isDateInRange(object.date, DATE_RANGE));
+	for (const object of pending) {
+		queueFile(object.symbol, object);
 	}
+	await log(`Catalog: ${state.scrapedSymbols.size} symbols already listed, ${pending.length} archives re-queued`, 'INFO', { catalog: catalog.path });
 }
 
-async function saveState() {
-	try {
-		const data = {
-			scrapedSymbols: Array.from(state.scrapedSymbols),
-			queuedFiles: Array.from(state.queuedFiles.entries()),
-			downloadedFiles: Array.from(state.downloadedFiles),
-			failedSymbols: Array.from(state.failedSymbols),
-			failedDownloads: Array.from(state.failedDownloads.entries()),
-			stats: state.stats,
-			lastProgressTime: state.lastProgressTime,
-			lastDownloadedCount: state.lastDownloadedCount,
-			lastSaved: new Date().toISOString()
-		};
-		await fs.writeFile(STATE_FILE, JSON.stringify(data, null, 2));
-	} catch (error) {
-		await log(`Failed to save state: ${error.message}`, 'ERROR');
+// Load (once) the sync manifest of a symbol
+async function getSyncManifest(symbol) {
+	if (!syncState.has(symbol)) {
+		syncState.set(symbol, { manifest: await loadSyncManifest(DATASET, symbol), listed: [], dirty: false });
 	}
+	return syncState.get(symbol);
 }
 
-async function fetchXml(url) {
-	const controller = new AbortController();
-	const timeoutId = setTimeout(() => controller.abort(), WORKER_CONFIG.timeout);
-	
-	try {
-		const res = await fetch(url, {
-			headers: {
-				'User-Agent': 'Mozilla/5.0 (compatible; DataDiscoveryBot/1.0)'
-			},
-			signal: controller.signal
-		});
-		
-		clearTimeout(timeoutId);
-		
-		if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
-		return await res.text();
-	} catch (error) {
-		clearTimeout(timeoutId);
-		if (error.name === 'AbortError') {
-			throw new Error(`Timeout after ${WORKER_CONFIG.timeout}ms`);
+// Save the manifests touched since the last save
+async function saveSyncManifests() {
+	for (const [symbol, entry] of syncState) {
+		if (!entry.dirty) continue;
+		try {
+			// A --from window skips earlier keys, so the last key only advances on listings from the start
+			if (!DATE_RANGE || !DATE_RANGE.from) {
+				advanceLastKey(entry.manifest, entry.listed);
+			}
+			await saveSyncManifest(entry.manifest);
+			entry.dirty = false;
+		} catch (error) {
+			await log(`Failed to save sync manifest for ${symbol}: ${error.message}`, 'ERROR', { symbol });
 		}
-		throw error;
 	}
 }
 
-function normalizeContents(contents) {
-	if (!contents) return [];
-	return Array.isArray(contents) ? contents : [contents];
+// Save the sync manifests and this run's counters; everything per file is already in the catalog
+async function saveState(status = null) {
+	await saveSyncManifests();
+	if (runId === null) return;
+	try {
+		const counters = {
+			filesOk: state.stats.filesDownloaded,
+			filesFailed: state.failedDownloads.size,
+			bytes: state.stats.bytesDownloaded,
+			details: { stats: state.stats, failedSymbols: Array.from(state.failedSymbols) }
+		};
+		if (status) {
+			catalog.finishRun(runId, status, counters);
+		} else {
+			catalog.updateRun(runId, counters);
+		}
+	} catch (error) {
+		await log(`Failed to save run state: ${error.message}`, 'ERROR');
+	}
 }
 
 // Enhanced HTTP Scraper Worker with comprehensive error handling
@@ -160,9 +216,8 @@ async function scraperWorker(workerId) {
 	while (!isShuttingDown) {
 		try {
 			// Get next symbol to process
-			const symbolsData = await fs.readFile(SYMBOLS_FILE, 'utf8');
-			const allSymbols = JSON.parse(symbolsData);
-			const unprocessedSymbols = allSymbols.filter(s => !state.scrapedSymbols.has(s));
+			const { symbols: allSymbols } = await loadSymbolsFile();
+			const unprocessedSymbols = selectSymbols(allSymbols, SELECTION).filter(s => !state.scrapedSymbols.has(s));
 			
 			if (unprocessedSymbols.length === 0) {
 				await log(`Scraper ${workerId}: All symbols processed, waiting...`);
@@ -178,24 +233,14 @@ async function scraperWorker(workerId) {
 			const files = await scrapeSymbolFiles(symbol);
 			
 			if (files.length > 0) {
-				state.queuedFiles.set(symbol, files);
-				state.stats.filesQueued += files.length;
-				await log(`Scraper ${workerId}: ${symbol} -> ${files.length} files queued`);
-				
 				// Add to download queue
-				files.forEach(file => {
-					downloadQueue.push({
-						symbol,
-						filename: file.filename,
-						url: file.url,
-						size: file.size,
-						queuedAt: Date.now(),
-						retries: 0
-					});
-				});
+				files.forEach(file => queueFile(symbol, file));
+				await log(`Scraper ${workerId}: ${symbol} -> ${files.length} files queued`);
 				
 				// Reset failure counter on success
 				consecutiveFailures = 0;
+			} else if (SYNC_MODE) {
+				await log(`Scraper ${workerId}: ${symbol} -> up to date`, 'INFO', { symbol, workerId });
 			} else {
 				state.failedSymbols.add(symbol);
 				await log(`Scraper ${workerId}: ${symbol} -> no files found`, 'WARN', { symbol, workerId });
@@ -204,9 +249,6 @@ async function scraperWorker(workerId) {
 			state.scrapedSymbols.add(symbol);
 			state.stats.symbolsProcessed++;
 			
-			// Delay between requests
-			await new Promise(resolve => setTimeout(resolve, WORKER_CONFIG.scraperDelay));
-			
 		} catch (error) {
 			consecutiveFailures++;
 			state.stats.errors++;
@@ -235,53 +277,27 @@ async function scraperWorker(workerId) {
 // Enhanced scrape function with better error context
 async function scrapeSymbolFiles(symbol, retryCount = 0) {
 	try {
-		const prefix = `data/spot/daily/trades/${symbol}/`;
-		const files = [];
-		let marker = undefined;
-		let page = 0;
+		const sync = await getSyncManifest(symbol);
+		const listed = await listSymbolArchives(symbol, {
+			dataset: DATASET,
+			dateRange: DATE_RANGE,
+			startAfter: SYNC_MODE ? sync.manifest.lastKey : null,
+			timeout: WORKER_CONFIG.timeout,
+			signal: shutdownController.signal,
+			onPage: page => log(`Scraping ${symbol} page ${page.pageNumber}`, 'DEBUG', { symbol, page: page.pageNumber, url: page.url })
+		});
+		sync.listed = listed;
+		sync.dirty = true;
+		catalog.recordListing(DATASET, symbol, listed);
 		
-		while (true) {
-			page++;
-			const params = new URLSearchParams({ prefix, 'max-keys': '1000' });
-			if (marker) params.set('marker', marker);
-			
-			const url = `https://historical-data.kucoin.com/?${params.toString()}`;
-			await log(`Scraping ${symbol} page ${page}`, 'DEBUG', { symbol, page, url });
-			
-			const xml = await fetchXml(url);
-			const obj = parser.parse(xml);
-			const result = obj?.ListBucketResult || {};
-			const contents = normalizeContents(result.Contents);
-			
-			// Process this page
-			contents.forEach(content => {
-				if (content.Key.endsWith('.zip')) {
-					files.push({
-						symbol,
-						filename: content.Key.split('/').pop(),
-						url: `https://historical-data.kucoin.com/${content.Key}`,
-						size: Number(content.Size || 0),
-						lastModified: content.LastModified || null
-					});
-				}
-			});
-			
-			// Check if more pages
-			const isTruncated = String(result.IsTruncated || 'false').toLowerCase() === 'true';
-			if (!isTruncated) break;
-			
-			// Set next marker
-			if (result.NextMarker) {
-				marker = result.NextMarker;
-			} else if (contents.length > 0) {
-				marker = contents[contents.length - 1].Key;
-			} else {
-				break;
-			}
+		// Sync mode only queues archives that are new or changed since they were recorded
+		const entries = SYNC_MODE ? selectChanged(sync.manifest, listed) : listed;
+		if (SYNC_MODE) {
+			await log(`Sync: ${entries.length} new or changed of ${listed.length} listed for ${symbol}`, 'INFO', { symbol, lastKey: sync.manifest.lastKey });
 		}
 		
-		await log(`Successfully scraped ${symbol}: ${files.length} files`, 'INFO', { symbol, fileCount: files.length });
-		return files;
+		await log(`Successfully scraped ${symbol}: ${entries.length} files`, 'INFO', { symbol, fileCount: entries.length });
+		return entries;
 		
 	} catch (error) {
 		if (retryCount < WORKER_CONFIG.maxRetries) {
@@ -301,9 +317,10 @@ async function scrapeSymbolFiles(symbol, retryCount = 0) {
 	}
 }
 
-// Enhanced download function with comprehensive error handling
+// Enhanced download function with comprehensive error handling.
+// Resolves with what the catalog records for the file: its local files and checksum verification
 async function downloadFile(file) {
-	const symbolDir = path.join(DOWNLOADS_DIR, file.symbol);
+	const symbolDir = datasetOutputDir(DOWNLOADS_DIR, DATASET, file.symbol);
 	await ensureDir(symbolDir);
 	
 	const filePath = path.join(symbolDir, file.filename);
@@ -317,7 +334,7 @@ async function downloadFile(file) {
 				expectedSize: file.size, 
 				actualSize: stats.size 
 			});
-			return true;
+			return downloadRecord(filePath, { bytes: stats.size });
 		} else {
 			await log(`File exists but size mismatch, will re-download: ${file.filename}`, 'WARN', { 
 				filename: file.filename, 
@@ -333,9 +350,6 @@ async function downloadFile(file) {
 		await log(`File doesn't exist, proceeding with download: ${file.filename}`, 'DEBUG', { filename: file.filename });
 	}
 	
-	const controller = new AbortController();
-	const timeoutId = setTimeout(() => controller.abort(), WORKER_CONFIG.timeout);
-	
 	try {
 		await log(`Starting download: ${file.filename}`, 'INFO', { 
 			filename: file.filename, 
@@ -343,70 +357,30 @@ async function downloadFile(file) {
 			expectedSize: file.size 
 		});
 		
-		const response = await fetch(file.url, {
-			headers: {
-				'User-Agent': 'Mozilla/5.0 (compatible; DataDiscoveryBot/1.0)'
-			},
-			signal: controller.signal
+		// Stream to a .part file; a failed attempt keeps it so the retry queue resumes with a Range request.
+		// The file only reaches filePath, fsynced, once its size matches the listing and its digest matches.
+		const download = VERIFY_CHECKSUM ? downloadWithChecksum : downloadResumable;
+		const result = await download(file.url, filePath, {
+			checksumUrl: file.checksumUrl,
+			expectedSize: file.size,
+			timeout: WORKER_CONFIG.timeout,
+			signal: shutdownController.signal,
+			keepCorrupt: true, // a mismatching download is kept as <file>.corrupt for quarantine
+			maxRetries: 0 // retries go through the retry queue
 		});
 		
-		clearTimeout(timeoutId);
-		
-		if (!response.ok) {
-			throw new Error(`HTTP ${response.status} for ${file.url}`);
-		}
-		
-		const contentLength = response.headers.get('content-length');
-		const expectedSize = contentLength ? parseInt(contentLength, 10) : file.size;
-		
-		// Stream download to file
-		const fileStream = createWriteStream(filePath);
-		const reader = response.body.getReader();
-		let downloadedBytes = 0;
-		
-		try {
-			while (true) {
-				const { done, value } = await reader.read();
-				if (done) break;
-				
-				fileStream.write(Buffer.from(value));
-				downloadedBytes += value.length;
-				
-				// Verify we're not exceeding expected size
-				if (expectedSize && downloadedBytes > expectedSize) {
-					throw new Error(`Download size mismatch: expected ${expectedSize}, got ${downloadedBytes}`);
-				}
-			}
-			
-			fileStream.end();
-			await new Promise((resolve, reject) => {
-				fileStream.on('finish', resolve);
-				fileStream.on('error', reject);
-			});
-			
-			// Verify final file size
-			const finalStats = await fs.stat(filePath);
-			if (expectedSize && finalStats.size !== expectedSize) {
-				throw new Error(`Final size mismatch: expected ${expectedSize}, got ${finalStats.size}`);
-			}
-			
-			state.stats.bytesDownloaded += finalStats.size;
-			await log(`Successfully downloaded ${file.filename}`, 'INFO', { 
-				filename: file.filename, 
-				symbol: file.symbol,
-				bytes: finalStats.size,
-				path: filePath
-			});
-			return true;
-			
-		} catch (error) {
-			fileStream.end();
-			await fs.unlink(filePath).catch(() => {}); // Clean up partial file
-			throw error;
-		}
+		state.stats.bytesDownloaded += result.bytesTransferred;
+		await log(`Successfully downloaded ${file.filename}`, 'INFO', { 
+			filename: file.filename, 
+			symbol: file.symbol,
+			bytes: result.bytes,
+			resumed: result.resumed,
+			checksum: result.checksum ? result.checksum.algorithm : 'skipped',
+			path: filePath
+		});
+		return downloadRecord(filePath, result);
 		
 	} catch (error) {
-		clearTimeout(timeoutId);
 		await log(`Download failed: ${file.filename}`, 'ERROR', { 
 			filename: file.filename, 
 			url: file.url, 
@@ -418,6 +392,30 @@ async function downloadFile(file) {
 	}
 }
 
+// Move the last corrupt copy of a download that never matched its checksum into quarantine
+async function quarantineDownload(file, error) {
+	const filePath = path.join(datasetOutputDir(DOWNLOADS_DIR, DATASET, file.symbol), file.filename);
+	try {
+		const item = await quarantineFiles({
+			dataset: DATASET,
+			symbol: file.symbol,
+			key: file.key,
+			stage: 'download',
+			error,
+			files: [error.corruptPath, `${filePath}.CHECKSUM`],
+			originalPath: filePath,
+			checksum: checksumVerification(error.checksum),
+			headers: error.headers
+		});
+		await log(`Quarantined ${file.filename}: quarantine/${item.id}`, 'WARN', { filename: file.filename, symbol: file.symbol });
+		return item;
+	} catch (quarantineError) {
+		await log(`Could not quarantine ${file.filename}: ${quarantineError.message}`, 'ERROR', { filename: file.filename });
+		await fs.unlink(error.corruptPath).catch(() => {});
+		return null;
+	}
+}
+
 // Enhanced downloader worker with better error handling
 async function downloaderWorker(workerId) {
 	let consecutiveFailures = 0;
@@ -447,10 +445,14 @@ async function downloaderWorker(workerId) {
 			
 			try {
 				// Attempt download
-				const success = await downloadFile(file);
+				const record = await downloadFile(file);
 				
-				if (success) {
-					state.downloadedFiles.add(`${file.symbol}/${file.filename}`);
+				if (record) {
+					catalog.recordDownload(DATASET, file, { runId, ...record });
+					
+					const sync = await getSyncManifest(file.symbol);
+					recordFetched(sync.manifest, file);
+					sync.dirty = true;
 					state.stats.filesDownloaded++;
 					
 					// Remove from failed downloads if it was there
@@ -504,12 +506,15 @@ async function downloaderWorker(workerId) {
 						filename: file.filename,
 						symbol: file.symbol
 					});
+					const quarantined = error.corruptPath ? await quarantineDownload(file, error) : null;
+					catalog.recordDownloadFailure(DATASET, file, {
+						runId,
+						error: quarantined ? `${error.message} (quarantined as ${quarantined.id})` : error.message,
+						verifications: error.checksum ? [checksumVerification(error.checksum)] : []
+					});
 				}
 			}
 			
-			// Delay between downloads
-			await new Promise(resolve => setTimeout(resolve, WORKER_CONFIG.downloaderDelay));
-			
 		} catch (error) {
 			consecutiveFailures++;
 			state.stats.errors++;
@@ -559,7 +564,7 @@ async function healthChecker() {
 			// Check queue health
 			const queueSize = downloadQueue.length;
 			const retrySize = retryQueue.length;
-			const totalQueued = Array.from(state.queuedFiles.values()).reduce((sum, files) => sum + files.length, 0);
+			const totalQueued = Array.from(state.queuedFiles.values()).reduce((sum, count) => sum + count, 0);
 			
 			if (queueSize > 100000) {
 				await log('WARNING: Download queue very large', 'WARN', { 
@@ -603,7 +608,7 @@ async function statusReporter() {
 		const uptime = Date.now() - state.startTime;
 		const queueSize = downloadQueue.length;
 		const retrySize = retryQueue.length;
-		const totalQueued = Array.from(state.queuedFiles.values()).reduce((sum, files) => sum + files.length, 0);
+		const totalQueued = Array.from(state.queuedFiles.values()).reduce((sum, count) => sum + count, 0);
 		const failedCount = state.failedDownloads.size;
 		
 		const mbDownloaded = Math.round(state.stats.bytesDownloaded / (1024 * 1024));
@@ -617,6 +622,8 @@ async function statusReporter() {
 		console.log(`   💾 Data downloaded: ${mbDownloaded} MB (${mbPerSecond} MB/s)`);
 		console.log(`   ❌ Errors: ${state.stats.errors}, Retries: ${state.stats.retries}`);
 		console.log(`   🚫 Failed symbols: ${state.failedSymbols.size}, Failed downloads: ${failedCount}`);
+		const limit = rateLimiter.snapshot();
+		console.log(`   🚦 Rate limit: ${limit.rate} req/s (${limit.throttled} throttled responses${limit.pausedForMs > 0 ? `, paused ${limit.pausedForMs}ms` : ''})`);
 		
 		await new Promise(resolve => setTimeout(resolve, WORKER_CONFIG.progressInterval));
 		await saveState();
@@ -626,13 +633,26 @@ async function statusReporter() {
 // Main function
 async function main() {
 	await log('🚀 Starting KuCoin Data Discovery Worker System - PRODUCTION VERSION');
+	await log(`🗂️ Dataset: ${DATASET.id} (${describeDateRange(DATE_RANGE)}), ${describeSelection(SELECTION)}`);
+	await log('🌐 Endpoints', 'INFO', endpointStatus());
 	
 	// Ensure directories exist
 	await ensureDir(INDEXED_DIR);
 	await ensureDir(DOWNLOADS_DIR);
 	
-	// Load previous state
-	await loadState();
+	// Remove temp files and orphaned partial downloads an interrupted run left behind
+	const staleFiles = await cleanupStaleTempFiles(DOWNLOADS_DIR);
+	if (staleFiles.length > 0) {
+		await log(`🧹 Removed ${staleFiles.length} stale temp files`, 'INFO', { files: staleFiles });
+	}
+	
+	// Resume from the catalog and register this run
+	await restoreFromCatalog();
+	runId = catalog.startRun({
+		worker: 'production',
+		dataset: DATASET,
+		details: { dateRange: DATE_RANGE, sync: SYNC_MODE, verifyChecksum: VERIFY_CHECKSUM }
+	});
 	
 	// Start workers
 	const workers = [];
@@ -657,7 +677,8 @@ async function main() {
 	process.on('SIGINT', async () => {
 		await log('🛑 Shutting down gracefully...');
 		isShuttingDown = true;
-		await saveState();
+		shutdownController.abort();
+		await saveState('interrupted');
 		await log('✅ Shutdown complete');
 		process.exit(0);
 	});
@@ -665,7 +686,8 @@ async function main() {
 	process.on('SIGTERM', async () => {
 		await log('🛑 Received SIGTERM, shutting down...');
 		isShuttingDown = true;
-		await saveState();
+		shutdownController.abort();
+		await saveState('interrupted');
 		await log('✅ Shutdown complete');
 		process.exit(0);
 	});
@@ -677,6 +699,6 @@ async function main() {
 // Run the production system
 main().catch(async (error) => {
 	await log(`💥 Fatal error: ${error.message}`, 'FATAL');
-	await saveState();
+	await saveState('failed');
 	process.exit(1);
 });
@@ -2,23 +2,50 @@
 /**
  * KuCoin Data Discovery Worker System - ADAPTED FOR GITHUB ACTIONS
  * Uses working XML endpoint with proper pagination and FULL PIPELINE:
- * - XML parsing with max-keys and marker pagination (handles 1000+ files)
- * - Download ZIP + Checksum files
- * - Verify checksums using MD5
- * - Validate ZIP integrity
- * - Extract to CSV
- * - Validate CSV structure and data quality
+ * - Shared bucket listing client with max-keys and marker pagination (handles 1000+ files)
+ * - Staged pipeline: downloads, validation and extraction run concurrently with their own pool sizes
+ * - Download ZIP + Checksum files (resumable with HTTP Range requests)
+ * - Verify checksums (md5/sha1/sha256/sha512) while the ZIP streams to disk
+ * - Validate ZIP integrity from the central directory
+ * - Stream the CSV out of the ZIP in one pass: inflate, CRC-check, validate headers, count rows and hash
+ *   with constant memory (written to a temp file, fsynced and renamed into place)
+ * - Validate every trades row (numbers, positive price/size, buy/sell, increasing trade_id, ordered trade_time
+ *   inside the file's UTC day); a file with violations fails, and its report is quarantined with the archive
+ * - Optionally convert each trades CSV to typed Parquet (--output parquet|both), row counts checked against the CSV
+ * - Record the run, the listing, every file written and every check (passed or failed) in the SQLite catalog
+ * - Archives failing their checksum, ZIP or row checks are moved to quarantine/ with a reason record, not deleted
  * - Comprehensive logging and progress tracking
  */
 
-import https from 'https';
-import http from 'http';
 import fs from 'fs/promises';
-import { createWriteStream, unlink } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
-import AdmZip from 'adm-zip';
+import { createWriteStream } from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { listSymbolArchives, objectUrl } from './bucket_listing.js';
+import { downloadResumable, downloadWithChecksum } from './resumable_download.js';
+import { tempPathFor, commitFile, writeFileAtomic, cleanupStaleTempFiles } from './atomic_files.js';
+import { readZipEntries, createEntryStream } from './zip_stream.js';
+import { configureRateLimiter } from './rate_limiter.js';
+import { endpointStatus, setFailoverListener } from './endpoints.js';
+import { runStagedPipeline } from './staged_pipeline.js';
+import { convertTradesCsvToParquet } from './trades_parquet.js';
+import { createTradesValidator, describeViolations } from './trades_validation.js';
+import { sharedCatalog, checksumVerification } from './catalog.js';
+import { quarantineFiles } from './quarantine.js';
+import { resolveDataset, datasetOutputDir } from './datasets.js';
+import { describeDateRange, archiveDate } from './date_range.js';
+import { parseWorkerArgs, WORKER_USAGE } from './worker_args.js';
+import {
+    loadSyncManifest,
+    saveSyncManifest,
+    saveSyncManifestThrottled,
+    selectChanged,
+    recordFetched,
+    advanceLastKey
+} from './sync_manifest.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -31,9 +58,28 @@ const WORKER_CONFIG = {
     retryDelay: 2000,
     chunkSize: 64 * 1024, // 64KB chunks for large files
     timeout: 30000, // 30s timeout for downloads
-    maxConsecutiveFailures: 10
+    maxConsecutiveFailures: 10,
+    // Pool sizes of the download -> validate -> extract stages, and the queue bound in front of each
+    pipeline: {
+        download: Number(process.env.DOWNLOAD_CONCURRENCY) || 8,
+        validate: Number(process.env.VALIDATE_CONCURRENCY) || 2,
+        extract: Number(process.env.EXTRACT_CONCURRENCY) || 2,
+        convert: Number(process.env.CONVERT_CONCURRENCY) || 2,
+        queueSize: Number(process.env.STAGE_QUEUE_SIZE) || 16
+    }
 };
 
+// Listing and download requests share one adaptive limiter; log whenever it slows down
+configureRateLimiter({
+    onAdjust: ({ reason, previousRate, rate, ...details }) => {
+        log(`Rate limit lowered to ${rate.toFixed(2)} req/s (was ${previousRate.toFixed(2)}): ${reason}`, 'WARN', details);
+    }
+});
+
+setFailoverListener(({ from, to, error }) => {
+    log(`Endpoint ${from} keeps failing, switching to ${to}`, 'WARN', { error: error.message });
+});
+
 // Paths - adapted for GitHub Actions
 const OUTPUT_DIR = path.join(__dirname, 'worker_output');
 
@@ -50,91 +96,33 @@ async function ensureDir(dir) {
     await fs.mkdir(dir, { recursive: true });
 }
 
-// Working file discovery using XML endpoint with proper pagination
-async function discoverFilesWithXML(symbol) {
-    const files = [];
-    let marker = undefined;
-    let page = 0;
-    
+// File discovery through the shared bucket listing client (marker pagination, handles 1000+ files)
+async function discoverFilesWithXML(symbol, { dataset = resolveDataset(), dateRange = null, startAfter = null } = {}) {
     try {
-        while (true) {
-            page++;
-            const params = new URLSearchParams({ 
-                prefix: `data/spot/daily/trades/${symbol}/`, 
-                'max-keys': '1000' 
-            });
-            if (marker) params.set('marker', marker);
-            
-            const url = `https://historical-data.kucoin.com/?${params.toString()}`;
-            log(`Scraping ${symbol} page ${page}`, 'DEBUG', { symbol, page, url });
-            
-            const xml = await fetchXML(url);
-            
-            // Parse XML to extract file listings
-            const keyMatches = xml.match(/<Key>([^<]+)<\/Key>/g);
-            const sizeMatches = xml.match(/<Size>([^<]+)<\/Size>/g);
-            const lastModifiedMatches = xml.match(/<LastModified>([^<]+)<\/LastModified>/g);
-            
-            if (keyMatches) {
-                keyMatches.forEach((keyMatch, index) => {
-                    const key = keyMatch.replace(/<Key>([^<]+)<\/Key>/, '$1');
-                    
-                    // Only process actual zip files (skip checksums and other files)
-                    if (key.endsWith('.zip') && !key.endsWith('.zip.CHECKSUM')) {
-                        const filename = key.split('/').pop();
-                        const size = sizeMatches && sizeMatches[index] 
-                            ? parseInt(sizeMatches[index].replace(/<Size>([^<]+)<\/Size>/, '$1')) 
-                            : 0;
-                        const lastModified = lastModifiedMatches && lastModifiedMatches[index]
-                            ? lastModifiedMatches[index].replace(/<LastModified>([^<]+)<\/LastModified>/, '$1')
-                            : new Date().toISOString();
-                        
-                        files.push({
-                            symbol,
-                            filename: filename,
-                            url: `https://historical-data.kucoin.com/${key}`,
-                            checksumUrl: `https://historical-data.kucoin.com/${key}.CHECKSUM`,
-                            size: size,
-                            lastModified: lastModified
-                        });
-                    }
-                });
-            }
-            
-            log(`Page ${page}: Found ${keyMatches ? keyMatches.length : 0} total keys, ${keyMatches ? keyMatches.filter(k => k.includes('.zip') && !k.includes('.zip.CHECKSUM')).length : 0} zip files`, 'DEBUG', { 
-                symbol, page, totalKeys: keyMatches ? keyMatches.length : 0, zipFiles: keyMatches ? keyMatches.filter(k => k.includes('.zip') && !k.includes('.zip.CHECKSUM')).length : 0 
-            });
-            
-            // Check if more pages exist
-            const isTruncated = xml.includes('<IsTruncated>true</IsTruncated>');
-            if (!isTruncated) {
-                log(`No more pages for ${symbol}`, 'DEBUG', { symbol, page });
-                break;
-            }
-            
-            // Get next marker for pagination
-            const nextMarkerMatch = xml.match(/<NextMarker>([^<]+)<\/NextMarker>/);
-            if (nextMarkerMatch) {
-                marker = nextMarkerMatch[1];
-                log(`Next marker for ${symbol}: ${marker}`, 'DEBUG', { symbol, nextMarker: marker });
-            } else {
-                // If no NextMarker, use the last key as marker
-                if (keyMatches && keyMatches.length > 0) {
-                    const lastKey = keyMatches[keyMatches.length - 1].replace(/<Key>([^<]+)<\/Key>/, '$1');
-                    marker = lastKey;
-                    log(`Using last key as marker for ${symbol}: ${marker}`, 'DEBUG', { symbol, marker });
-                } else {
-                    log(`No more keys and no marker for ${symbol}, stopping pagination`, 'WARN', { symbol, page });
-                    break;
-                }
-            }
-            
-            // Small delay between pages to be respectful
-            await new Promise(resolve => setTimeout(resolve, 100));
-        }
+        const entries = await listSymbolArchives(symbol, {
+            dataset,
+            dateRange,
+            startAfter,
+            timeout: WORKER_CONFIG.timeout,
+            onPage: page => log(`Page ${page.pageNumber}: Found ${page.entries.length} total keys`, 'DEBUG', {
+                symbol, page: page.pageNumber, url: page.url, totalKeys: page.entries.length
+            })
+        });
         
-        log(`Successfully discovered ${symbol}: ${files.length} zip files across ${page} pages`, 'INFO', { 
-            symbol, fileCount: files.length, totalPages: page 
+        const files = entries.map(entry => ({
+            symbol,
+            dataset,
+            key: entry.key,
+            filename: entry.key.split('/').pop(),
+            url: objectUrl(entry.key),
+            checksumUrl: objectUrl(`${entry.key}.CHECKSUM`),
+            size: entry.size,
+            etag: entry.etag,
+            lastModified: entry.lastModified
+        }));
+        
+        log(`Successfully discovered ${symbol}: ${files.length} zip files`, 'INFO', { 
+            symbol, fileCount: files.length 
         });
         return files;
         
@@ -144,318 +132,566 @@ async function discoverFilesWithXML(symbol) {
     }
 }
 
-// Fetch XML with retries and exponential backoff
-async function fetchXML(url, retryCount = 0) {
-    return new Promise((resolve, reject) => {
-        const protocol = url.startsWith('https:') ? https : http;
-        const request = protocol.get(url, { timeout: WORKER_CONFIG.timeout }, (response) => {
-            if (response.statusCode !== 200) {
-                reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
-                return;
-            }
-            
-            let data = '';
-            response.on('data', chunk => data += chunk);
-            response.on('end', () => resolve(data));
-        });
-        
-        request.on('error', (error) => {
-            if (retryCount < WORKER_CONFIG.maxRetries) {
-                log(`Fetch failed, retrying (${retryCount + 1}/${WORKER_CONFIG.maxRetries}): ${error.message}`, 'WARN', { 
-                    url, retryCount, error: error.stack 
-                });
-                setTimeout(() => {
-                    fetchXML(url, retryCount + 1).then(resolve).catch(reject);
-                }, WORKER_CONFIG.retryDelay * (retryCount + 1)); // Exponential backoff
-            } else {
-                reject(error);
-            }
-        });
-        
-        request.on('timeout', () => {
-            request.destroy();
-            reject(new Error('Request timeout'));
-        });
-    });
-}
-
-// Download file with retries
-async function downloadFileWithRetry(url, filePath, retryCount = 0) {
-    return new Promise((resolve, reject) => {
-        const protocol = url.startsWith('https:') ? https : http;
-        const request = protocol.get(url, { timeout: WORKER_CONFIG.timeout }, (response) => {
-            if (response.statusCode !== 200) {
-                reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
-                return;
-            }
-            
-            const fileStream = createWriteStream(filePath);
-            let downloadedBytes = 0;
-            
-            response.on('data', (chunk) => {
-                downloadedBytes += chunk.length;
-            });
-            
-            response.on('end', () => {
-                fileStream.end();
-                resolve({ success: true, bytes: downloadedBytes });
-            });
-            
-            response.on('error', (error) => {
-                fileStream.destroy();
-                unlink(filePath, () => {}); // Clean up partial file
-                reject(error);
+// Download file with retries, resuming the partial .part file with a Range request.
+// With a checksumUrl the published digest is fetched first and checked as the file streams.
+async function downloadFileWithRetry(url, filePath, checksumUrl = null) {
+    const download = checksumUrl ? downloadWithChecksum : downloadResumable;
+    const result = await download(url, filePath, {
+        checksumUrl,
+        timeout: WORKER_CONFIG.timeout,
+        maxRetries: WORKER_CONFIG.maxRetries,
+        retryDelay: WORKER_CONFIG.retryDelay,
+        keepCorrupt: true,
+        onRetry: (error, attempt, partialBytes) => {
+            log(`Download failed, resuming (${attempt}/${WORKER_CONFIG.maxRetries}) from byte ${partialBytes}: ${error.message}`, 'WARN', {
+                url, attempt, partialBytes
             });
-            
-            fileStream.on('error', (error) => {
-                reject(error);
-            });
-        });
-        
-        request.on('error', (error) => {
-            if (retryCount < WORKER_CONFIG.maxRetries) {
-                setTimeout(() => {
-                    downloadFileWithRetry(url, filePath, retryCount + 1).then(resolve).catch(reject);
-                }, WORKER_CONFIG.retryDelay * (retryCount + 1));
-            } else {
-                reject(error);
-            }
-        });
-        
-        request.on('timeout', () => {
-            request.destroy();
-            reject(new Error('Request timeout'));
-        });
+        }
     });
+    return { success: true, bytes: result.bytes, resumed: result.resumed, checksum: result.checksum, headers: result.headers };
 }
 
-// Verify checksum using MD5
-async function verifyChecksum(zipPath, checksumPath) {
-    try {
-        const checksumContent = await fs.readFile(checksumPath, 'utf8');
-        const expectedChecksum = checksumContent.trim().split()[0].toLowerCase();
-        
-        const md5 = crypto.createHash('md5');
-        const zipData = await fs.readFile(zipPath);
-        md5.update(zipData);
-        const actualChecksum = md5.digest('hex').toLowerCase();
-        
-        const isValid = expectedChecksum === actualChecksum;
-        return { 
-            valid: isValid, 
-            expected: expectedChecksum, 
-            actual: actualChecksum,
-            error: isValid ? null : 'Checksum mismatch'
-        };
-    } catch (error) {
-        return { valid: false, error: error.message };
-    }
-}
-
-// Validate ZIP file integrity
+// Validate ZIP file integrity from its central directory; the CSV itself is checked while it is extracted
 async function validateZipFile(zipPath) {
     try {
-        const zip = new AdmZip(zipPath);
-        const zipEntries = zip.getEntries();
+        const zipEntries = await readZipEntries(zipPath);
         
         if (zipEntries.length === 0) {
             return { valid: false, error: 'ZIP file is empty' };
         }
         
         // Check for CSV file
-        const csvEntry = zipEntries.find(entry => entry.entryName.endsWith('.csv'));
+        const csvEntry = zipEntries.find(entry => entry.name.endsWith('.csv'));
         if (!csvEntry) {
             return { valid: false, error: 'No CSV file found in ZIP' };
         }
-        
-        // Try to read CSV content
-        const csvData = zip.readAsText(csvEntry);
-        if (!csvData || csvData.length === 0) {
+        if (csvEntry.size === 0) {
             return { valid: false, error: 'CSV content is empty' };
         }
-        
-        // Check CSV structure
-        const lines = csvData.split('\n').filter(line => line.trim().length > 0);
-        if (lines.length < 2) {
-            return { valid: false, error: 'CSV has insufficient data' };
+        if (csvEntry.encrypted) {
+            return { valid: false, error: 'CSV entry is encrypted' };
         }
         
-        const header = lines[0];
-        const expectedHeaders = ['trade_id', 'trade_time', 'price', 'size', 'side'];
-        const hasRequiredHeaders = expectedHeaders.every(h => header.toLowerCase().includes(h));
-        
-        if (!hasRequiredHeaders) {
-            return { valid: false, error: 'CSV missing required headers' };
-        }
-        
-        return { 
-            valid: true, 
-            csvSize: csvData.length,
-            csvLines: lines.length,
-            dataRows: lines.length - 1,
-            csvHash: crypto.createHash('md5').update(csvData).digest('hex').toLowerCase()
-        };
+        return { valid: true, csvEntry, csvSize: csvEntry.size };
         
     } catch (error) {
         return { valid: false, error: `ZIP validation failed: ${error.message}` };
     }
 }
 
-// Extract ZIP to CSV
-async function extractZipToCsv(zipPath, extractDir) {
+// Counts non-blank lines and captures the first one as the header, chunk by chunk with constant memory
+function createCsvScanner(maxHeaderBytes = WORKER_CONFIG.chunkSize) {
+    const scanner = { header: null, lines: 0 };
+    let lineHasContent = false;
+    let headerParts = [];
+    let headerBytes = 0;
+    
+    const isBlank = byte => byte === 0x20 || byte === 0x09 || byte === 0x0d;
+    
+    scanner.update = (chunk) => {
+        let start = 0;
+        for (;;) {
+            const newline = chunk.indexOf(0x0a, start);
+            const end = newline === -1 ? chunk.length : newline;
+            if (!lineHasContent) {
+                for (let i = start; i < end; i++) {
+                    if (!isBlank(chunk[i])) {
+                        lineHasContent = true;
+                        break;
+                    }
+                }
+            }
+            if (scanner.header === null) {
+                headerParts.push(chunk.subarray(start, end));
+                headerBytes += end - start;
+                if (headerBytes > maxHeaderBytes) {
+                    throw new Error(`CSV header line longer than ${maxHeaderBytes} bytes`);
+                }
+            }
+            if (newline === -1) {
+                return;
+            }
+            if (lineHasContent) {
+                scanner.lines++;
+                if (scanner.header === null) {
+                    scanner.header = Buffer.concat(headerParts).toString('utf8').trim();
+                }
+            }
+            headerParts = [];
+            headerBytes = 0;
+            lineHasContent = false;
+            start = newline + 1;
+        }
+    };
+    
+    scanner.finish = () => {
+        if (lineHasContent) {
+            scanner.lines++;
+            if (scanner.header === null) {
+                scanner.header = Buffer.concat(headerParts).toString('utf8').trim();
+            }
+        }
+    };
+    
+    return scanner;
+}
+
+function checkCsvHeader(header, expectedHeaders) {
+    const hasRequiredHeaders = header !== null && expectedHeaders.every(h => header.toLowerCase().includes(h));
+    if (!hasRequiredHeaders) {
+        throw new Error('CSV missing required headers');
+    }
+}
+
+// Extract the ZIP's CSV in one streaming pass: inflate, check headers, count rows and hash while writing.
+// The CSV goes to a temp file that only replaces csvPath once every check passed.
+// rowValidator (optional) sees every chunk too; a file it reports violations for is not committed
+async function extractZipToCsv(zipPath, extractDir, expectedHeaders = resolveDataset().expectedHeaders, rowValidator = null) {
+    let tempPath = null;
     try {
-        const zip = new AdmZip(zipPath);
-        const zipEntries = zip.getEntries();
-        
-        const csvEntry = zipEntries.find(entry => entry.entryName.endsWith('.csv'));
+        const zipEntries = await readZipEntries(zipPath);
+        const csvEntry = zipEntries.find(entry => entry.name.endsWith('.csv'));
         if (!csvEntry) {
             throw new Error('No CSV file found in ZIP');
         }
         
-        const csvFilename = csvEntry.entryName.split('/').pop();
+        const csvFilename = csvEntry.name.split('/').pop();
         const csvPath = path.join(extractDir, csvFilename);
+        tempPath = tempPathFor(csvPath);
+        
+        const scanner = createCsvScanner();
+        const hash = crypto.createHash('md5');
+        let csvSize = 0;
+        
+        await pipeline(
+            await createEntryStream(zipPath, csvEntry),
+            new Transform({
+                transform(chunk, encoding, callback) {
+                    try {
+                        const headerKnown = scanner.header !== null;
+                        scanner.update(chunk);
+                        // Stop as soon as the header is known to be wrong instead of inflating the rest
+                        if (!headerKnown && scanner.header !== null) {
+                            checkCsvHeader(scanner.header, expectedHeaders);
+                        }
+                        if (rowValidator) rowValidator.update(chunk);
+                    } catch (error) {
+                        callback(error);
+                        return;
+                    }
+                    hash.update(chunk);
+                    csvSize += chunk.length;
+                    callback(null, chunk);
+                },
+                flush(callback) {
+                    scanner.finish();
+                    if (rowValidator) rowValidator.finish();
+                    try {
+                        if (csvSize === 0) {
+                            throw new Error('CSV content is empty');
+                        }
+                        checkCsvHeader(scanner.header, expectedHeaders);
+                        if (scanner.lines < 2) {
+                            throw new Error('CSV has insufficient data');
+                        }
+                        callback();
+                    } catch (error) {
+                        callback(error);
+                    }
+                }
+            }),
+            createWriteStream(tempPath)
+        );
+        
+        const validation = rowValidator ? rowValidator.report() : null;
+        if (validation && !validation.valid) {
+            const error = new Error(describeViolations(validation));
+            error.validation = validation;
+            throw error;
+        }
         
-        // Extract CSV
-        zip.extractEntryTo(csvEntry.entryName, extractDir, false, true);
-        
-        // Verify extraction
-        const extractedData = await fs.readFile(csvPath, 'utf8');
-        const extractedHash = crypto.createHash('md5').update(extractedData).digest('hex').toLowerCase();
+        // Only a fully inflated, CRC-checked CSV reaches its final path
+        await commitFile(tempPath, csvPath);
+        tempPath = null;
         
         return { 
             success: true, 
             csvPath: csvPath,
-            csvSize: extractedData.length,
-            csvHash: extractedHash
+            csvSize,
+            csvLines: scanner.lines,
+            dataRows: scanner.lines - 1,
+            csvHash: hash.digest('hex').toLowerCase(),
+            validation
         };
         
     } catch (error) {
-        return { success: false, error: error.message };
+        if (tempPath) {
+            await fs.unlink(tempPath).catch(() => {});
+        }
+        return { success: false, error: error.message, validation: error.validation || null };
     }
 }
 
-// Full pipeline: Download, verify, validate, extract
-async function processFileComplete(file) {
-    const symbolDir = path.join(OUTPUT_DIR, file.symbol);
-    const extractDir = path.join(symbolDir, 'extracted');
+// Stage 1: Download checksum, then the ZIP file hashed as it streams; a mismatch never reaches zipPath
+async function downloadStage(file, { verifyChecksum = true } = {}) {
+    const symbolDir = datasetOutputDir(OUTPUT_DIR, file.dataset, file.symbol);
+    const job = {
+        file,
+        zipPath: path.join(symbolDir, file.filename),
+        checksumPath: path.join(symbolDir, file.filename + '.CHECKSUM'),
+        extractDir: path.join(symbolDir, 'extracted')
+    };
     await ensureDir(symbolDir);
-    await ensureDir(extractDir);
-    
-    const zipPath = path.join(symbolDir, file.filename);
-    const checksumPath = path.join(symbolDir, file.filename + '.CHECKSUM');
     
+    log(`Downloading ZIP: ${file.filename}${verifyChecksum ? ' (with checksum)' : ''}`, 'INFO');
+    let zipResult;
     try {
-        // Step 1: Download ZIP file
-        log(`Downloading ZIP: ${file.filename}`, 'INFO');
-        const zipResult = await downloadFileWithRetry(file.url, zipPath);
-        log(`Downloaded ZIP: ${file.filename} (${(zipResult.bytes / 1024).toFixed(1)} KB)`, 'INFO');
-        
-        // Step 2: Download checksum file
-        log(`Downloading checksum: ${file.filename}.CHECKSUM`, 'INFO');
-        const checksumResult = await downloadFileWithRetry(file.checksumUrl, checksumPath);
-        log(`Downloaded checksum: ${file.filename}.CHECKSUM`, 'INFO');
-        
-        // Step 3: Verify checksum
-        log(`Verifying checksum: ${file.filename}`, 'INFO');
-        const checksumValidation = await verifyChecksum(zipPath, checksumPath);
-        if (!checksumValidation.valid) {
-            throw new Error(`Checksum verification failed: ${checksumValidation.error}`);
+        zipResult = await downloadFileWithRetry(file.url, job.zipPath, verifyChecksum ? file.checksumUrl : null);
+    } catch (error) {
+        if (error.checksum) {
+            error.message = `Checksum verification failed: ${error.message}`;
         }
-        log(`Checksum verified: ${file.filename}`, 'INFO');
-        
-        // Step 4: Validate ZIP integrity
-        log(`Validating ZIP: ${file.filename}`, 'INFO');
-        const zipValidation = await validateZipFile(zipPath);
-        if (!zipValidation.valid) {
-            throw new Error(`ZIP validation failed: ${zipValidation.error}`);
+        throw error;
+    }
+    log(`Downloaded ZIP: ${file.filename} (${(zipResult.bytes / 1024).toFixed(1)} KB)`, 'INFO');
+    job.verifications = [];
+    job.headers = zipResult.headers;
+    if (zipResult.checksum) {
+        log(`Checksum verified: ${file.filename} (${zipResult.checksum.algorithm})`, 'INFO');
+        job.verifications.push(checksumVerification(zipResult.checksum));
+    } else {
+        job.checksumPath = null;
+    }
+    
+    job.zipSize = zipResult.bytes;
+    return job;
+}
+
+// Stage 2: Validate ZIP integrity (central directory only, nothing is inflated yet)
+async function validateStage(job) {
+    log(`Validating ZIP: ${job.file.filename}`, 'INFO');
+    const zipValidation = await validateZipFile(job.zipPath);
+    if (!zipValidation.valid) {
+        throw new Error(`ZIP validation failed: ${zipValidation.error}`);
+    }
+    log(`ZIP validated: ${job.file.filename} (${(zipValidation.csvSize / 1024).toFixed(1)} KB CSV)`, 'INFO');
+    job.verifications.push({ kind: 'zip', ok: true });
+    
+    return job;
+}
+
+// Violation report of a file's rows, next to its extracted/ and parquet/ directories
+function validationReportPath(file) {
+    return path.join(datasetOutputDir(OUTPUT_DIR, file.dataset, file.symbol), 'validation', path.basename(file.filename, '.zip') + '.json');
+}
+
+// Stage 3: Extract to CSV, validating its structure (and every row of trades files) on the way
+async function extractStage(job) {
+    log(`Extracting to CSV: ${job.file.filename}`, 'INFO');
+    await ensureDir(job.extractDir);
+    const rowValidator = job.file.dataset.dataType === 'trades'
+        ? createTradesValidator({ date: archiveDate(job.file.filename) })
+        : null;
+    const extractResult = await extractZipToCsv(job.zipPath, job.extractDir, job.file.dataset.expectedHeaders, rowValidator);
+    const reportPath = validationReportPath(job.file);
+    if (!extractResult.success) {
+        if (extractResult.validation) {
+            await ensureDir(path.dirname(reportPath));
+            await writeFileAtomic(reportPath, JSON.stringify({
+                file: job.file.key,
+                checkedAt: new Date().toISOString(),
+                ...extractResult.validation
+            }, null, 2));
+            log(`Row validation failed: ${job.file.filename}, report in ${reportPath}`, 'WARN', { violations: extractResult.validation.violationCount });
+            const error = new Error(`CSV row validation failed: ${extractResult.error}`);
+            error.validation = extractResult.validation;
+            throw error;
         }
-        log(`ZIP validated: ${file.filename} (${zipValidation.dataRows} data rows)`, 'INFO');
-        
-        // Step 5: Extract to CSV
-        log(`Extracting to CSV: ${file.filename}`, 'INFO');
-        const extractResult = await extractZipToCsv(zipPath, extractDir);
-        if (!extractResult.success) {
-            throw new Error(`CSV extraction failed: ${extractResult.error}`);
+        throw new Error(`CSV extraction failed: ${extractResult.error}`);
+    }
+    // A report left by an earlier run of a file that has since been republished
+    await fs.unlink(reportPath).catch(() => {});
+    log(`CSV extracted: ${job.file.filename} -> ${extractResult.csvPath} (${extractResult.dataRows} data rows)`, 'INFO');
+    
+    job.csvPath = extractResult.csvPath;
+    job.csvSize = extractResult.csvSize;
+    job.dataRows = extractResult.dataRows;
+    job.verifications.push({ kind: 'csv', ok: true, algorithm: 'md5', actual: extractResult.csvHash });
+    if (extractResult.validation) {
+        job.verifications.push({ kind: 'rows', ok: true, actual: String(extractResult.validation.rows) });
+    }
+    return job;
+}
+
+// Parquet file of a job, in a parquet/ directory next to extracted/
+function parquetPathFor(job) {
+    return path.join(path.dirname(job.extractDir), 'parquet', path.basename(job.csvPath, '.csv') + '.parquet');
+}
+
+// Stage 4 (--output parquet|both): Convert the CSV to typed Parquet; the row count must match the extracted CSV's
+async function convertStage(job, { format, compression }) {
+    const parquetPath = parquetPathFor(job);
+    await ensureDir(path.dirname(parquetPath));
+    
+    log(`Converting to Parquet: ${job.file.filename} (${compression})`, 'INFO');
+    const parquet = await convertTradesCsvToParquet(job.csvPath, parquetPath, {
+        compression,
+        metadata: { source: job.file.key, symbol: job.file.symbol, dataset: job.file.dataset.id }
+    });
+    if (parquet.rows !== job.dataRows) {
+        await fs.unlink(parquetPath).catch(() => {});
+        throw new Error(`Parquet row count mismatch: ${parquet.rows} rows written, CSV has ${job.dataRows}`);
+    }
+    log(`Parquet written: ${job.file.filename} -> ${parquetPath} (${parquet.rows} rows, ${(parquet.bytes / 1024).toFixed(1)} KB)`, 'INFO');
+    
+    job.parquetPath = parquetPath;
+    job.parquetSize = parquet.bytes;
+    job.verifications.push({ kind: 'parquet', ok: true, expected: String(job.dataRows), actual: String(parquet.rows) });
+    if (format === 'parquet') {
+        await fs.unlink(job.csvPath);
+        job.csvPath = null;
+    }
+    return job;
+}
+
+// Delete the archive and checksum of a job that failed before its archive could be verified
+async function discardFileOutputs(file) {
+    const symbolDir = datasetOutputDir(OUTPUT_DIR, file.dataset, file.symbol);
+    for (const filePath of [path.join(symbolDir, file.filename), path.join(symbolDir, file.filename + '.CHECKSUM')]) {
+        await fs.unlink(filePath).catch(() => {});
+    }
+}
+
+// Set aside the files of a failed job. An archive that arrived but failed its checksum, ZIP or row checks
+// is quarantined with everything known about the failure; network errors just discard. A failed conversion
+// keeps the verified archive and CSV and only drops the Parquet file.
+// Returns the quarantine record, or null when no files were quarantined.
+async function setAsideFailedJob(error, job, stage) {
+    if (stage === 'convert') {
+        await fs.unlink(parquetPathFor(job)).catch(() => {});
+        return null;
+    }
+    const contentFailure = stage === 'validate' || stage === 'extract' || (stage === 'download' && error.corruptPath);
+    if (!contentFailure) {
+        await discardFileOutputs(job.file);
+        return null;
+    }
+
+    const { file } = job;
+    const zipPath = path.join(datasetOutputDir(OUTPUT_DIR, file.dataset, file.symbol), file.filename);
+    const checksum = error.checksum
+        ? checksumVerification(error.checksum)
+        : (job.verifications || []).find(check => check.kind === 'checksum') || null;
+    try {
+        const item = await quarantineFiles({
+            dataset: file.dataset,
+            symbol: file.symbol,
+            key: file.key,
+            stage,
+            error,
+            files: [error.corruptPath || zipPath, `${zipPath}.CHECKSUM`, validationReportPath(file)],
+            originalPath: zipPath,
+            checksum,
+            validation: error.validation || null,
+            headers: error.headers || job.headers || null
+        });
+        log(`Quarantined ${file.filename}: quarantine/${item.id}`, 'WARN', { stage });
+        return item;
+    } catch (quarantineError) {
+        log(`Could not quarantine ${file.filename}, deleting it: ${quarantineError.message}`, 'ERROR');
+        await discardFileOutputs(file);
+        if (error.corruptPath) {
+            await fs.unlink(error.corruptPath).catch(() => {});
         }
-        log(`CSV extracted: ${file.filename} -> ${extractResult.csvPath}`, 'INFO');
-        
-        return { 
-            success: true, 
-            filename: file.filename,
-            zipSize: zipResult.bytes,
-            csvSize: extractResult.csvSize,
-            dataRows: zipValidation.dataRows
-        };
-        
-    } catch (error) {
-        // Clean up partial files on error
-        try {
-            if (await fs.access(zipPath).then(() => true).catch(() => false)) {
-                await fs.unlink(zipPath);
-            }
-            if (await fs.access(checksumPath).then(() => true).catch(() => false)) {
-                await fs.unlink(checksumPath);
-            }
-        } catch (cleanupError) {
-            // Ignore cleanup errors
+        return null;
+    }
+}
+
+function fileResult(job) {
+    return {
+        success: true,
+        filename: job.file.filename,
+        zipSize: job.zipSize,
+        csvSize: job.csvSize,
+        parquetSize: job.parquetSize,
+        dataRows: job.dataRows
+    };
+}
+
+// What the catalog keeps for a processed file: every output still on disk and the checks it passed
+function catalogRecord(job) {
+    return {
+        files: [
+            { path: job.zipPath, kind: 'archive', size: job.zipSize },
+            ...(job.checksumPath ? [{ path: job.checksumPath, kind: 'checksum' }] : []),
+            ...(job.csvPath ? [{ path: job.csvPath, kind: 'csv', size: job.csvSize, rows: job.dataRows }] : []),
+            ...(job.parquetPath ? [{ path: job.parquetPath, kind: 'parquet', size: job.parquetSize, rows: job.dataRows }] : [])
+        ],
+        verifications: job.verifications
+    };
+}
+
+// Checks that passed before a stage failed, plus the failed one
+const STAGE_CHECKS = { validate: 'zip', extract: 'csv', convert: 'parquet' };
+
+function failedChecks(error, job, stage) {
+    const passed = job.verifications || [];
+    if (stage === 'download') {
+        return error.checksum ? [...passed, checksumVerification(error.checksum)] : passed;
+    }
+    if (error.validation) {
+        return [...passed, { kind: 'rows', ok: false, actual: String(error.validation.rows), error: error.message }];
+    }
+    return [...passed, { kind: STAGE_CHECKS[stage], ok: false, error: error.message }];
+}
+
+// Full pipeline for a single file: Download (verifying the checksum on the fly), validate, extract, convert
+async function processFileComplete(file, { output = { format: 'csv' }, ...options } = {}) {
+    let job = { file };
+    let stage = 'download';
+    try {
+        job = await downloadStage(file, options);
+        stage = 'validate';
+        job = await validateStage(job);
+        stage = 'extract';
+        job = await extractStage(job);
+        if (output.format !== 'csv') {
+            stage = 'convert';
+            job = await convertStage(job, output);
         }
-        
+        return fileResult(job);
+    } catch (error) {
+        await setAsideFailedJob(error, job, stage);
         throw error;
     }
 }
 
 // Main worker function - adapted to skip discovery
-async function runWorker(symbol) {
+async function runWorker(symbol, { dataset = resolveDataset(), dateRange = null, sync = false, verifyChecksum = true, output = { format: 'csv' }, concurrency = {} } = {}) {
+    const pipeline = { ...WORKER_CONFIG.pipeline, ...concurrency };
+    const catalog = sharedCatalog();
+    const runId = catalog.startRun({
+        worker: 'sophisticated',
+        dataset,
+        symbol,
+        details: { dateRange, sync, verifyChecksum, output }
+    });
     try {
         console.log('🔍 DEBUG: Entering runWorker function');
         log(`🚀 Starting SOPHISTICATED worker for ${symbol}`, 'INFO');
         log(`🔗 Run ID: ${process.env.GITHUB_RUN_ID || 'local'}`, 'INFO');
+        log(`🗂️ Dataset: ${dataset.id} (${describeDateRange(dateRange)})`, 'INFO');
+        if (output.format !== 'csv') {
+            log(`🧱 Output: ${output.format} (Parquet compression: ${output.compression})`, 'INFO');
+        }
+        log(`🌐 Endpoints`, 'INFO', endpointStatus());
+        if (!verifyChecksum) {
+            log('Checksum verification disabled (--skip-checksum)', 'WARN');
+        }
         
         console.log('🔍 DEBUG: About to ensure output directory');
         // Ensure output directory exists
         await ensureDir(OUTPUT_DIR);
         console.log('🔍 DEBUG: Output directory ensured');
         
+        // Remove temp files and orphaned partial downloads an interrupted run left behind
+        const staleFiles = await cleanupStaleTempFiles(datasetOutputDir(OUTPUT_DIR, dataset, symbol));
+        if (staleFiles.length > 0) {
+            log(`🧹 Removed ${staleFiles.length} stale temp files`, 'INFO', { files: staleFiles });
+        }
+        
+        // Load what earlier runs already fetched
+        const manifest = await loadSyncManifest(dataset, symbol);
+        
         // Use working XML endpoint with proper pagination
         console.log('🔍 DEBUG: About to discover files');
-        log(`🔍 Discovering files for ${symbol} using XML endpoint with pagination...`, 'INFO');
-        const files = await discoverFilesWithXML(symbol);
-        console.log('🔍 DEBUG: Files discovered, count:', files.length);
+        log(`🔍 Discovering files for ${symbol} using XML endpoint with pagination${sync ? ' (sync mode)' : ''}...`, 'INFO');
+        const listedFiles = await discoverFilesWithXML(symbol, {
+            dataset,
+            dateRange,
+            startAfter: sync ? manifest.lastKey : null
+        });
+        console.log('🔍 DEBUG: Files discovered, count:', listedFiles.length);
+        catalog.recordListing(dataset, symbol, listedFiles);
+        
+        // Sync mode only processes archives that are new or changed since they were recorded
+        const files = sync ? selectChanged(manifest, listedFiles) : listedFiles;
+        if (sync) {
+            log(`Sync: ${files.length} new or changed of ${listedFiles.length} listed after ${manifest.lastKey || 'the first key'}`, 'INFO', { symbol });
+        }
         
         if (files.length === 0) {
+            catalog.finishRun(runId, 'completed');
+            if (sync) {
+                log(`${symbol} is up to date`, 'INFO');
+                return;
+            }
             log(`No files found for ${symbol}`, 'WARN');
             return;
         }
         
-        log(`📁 Found ${files.length} files to process`, 'INFO');
-        
-        // Process files with full pipeline
-        let successCount = 0;
-        let errorCount = 0;
-        
-        for (const file of files) {
-            try {
-                const result = await processFileComplete(file);
-                successCount++;
-                log(`✅ File processed successfully: ${file.filename}`, 'INFO', { 
+        log(`📁 Found ${files.length} files to process`, 'INFO', pipeline);
+        
+        // Process files with the full pipeline: downloads, validation and extraction run concurrently,
+        // each stage with its own pool and a bounded queue in front of it
+        let bytes = 0;
+        const summary = await runStagedPipeline(files.map(file => ({ file })), [
+            { name: 'download', concurrency: pipeline.download, queueSize: pipeline.queueSize, run: job => downloadStage(job.file, { verifyChecksum }) },
+            { name: 'validate', concurrency: pipeline.validate, queueSize: pipeline.queueSize, run: validateStage },
+            { name: 'extract', concurrency: pipeline.extract, queueSize: pipeline.queueSize, run: extractStage },
+            ...(output.format === 'csv' ? [] : [
+                { name: 'convert', concurrency: pipeline.convert, queueSize: pipeline.queueSize, run: job => convertStage(job, output) }
+            ])
+        ], {
+            onResult: async (job) => {
+                catalog.recordDownload(dataset, job.file, { runId, ...catalogRecord(job) });
+                bytes += job.zipSize;
+                recordFetched(manifest, job.file);
+                await saveSyncManifestThrottled(manifest);
+                const result = fileResult(job);
+                log(`✅ File processed successfully: ${job.file.filename}`, 'INFO', { 
                     zipSize: result.zipSize, 
                     csvSize: result.csvSize, 
+                    parquetSize: result.parquetSize,
                     dataRows: result.dataRows 
                 });
-            } catch (error) {
-                errorCount++;
-                log(`Failed to process ${file.filename}: ${error.message}`, 'ERROR', { 
-                    filename: file.filename, 
-                    error: error.stack 
+            },
+            onError: async (error, job, stage) => {
+                const quarantined = await setAsideFailedJob(error, job, stage);
+                catalog.recordDownloadFailure(dataset, job.file, {
+                    runId,
+                    error: `${stage}: ${error.message}${quarantined ? ` (quarantined as ${quarantined.id})` : ''}`,
+                    verifications: failedChecks(error, job, stage)
+                });
+                log(`Failed to process ${job.file.filename} (${stage}): ${error.message}`, 'ERROR', { 
+                    filename: job.file.filename, 
+                    error: error.stack
+                });
+            },
+            // A catalog or sync manifest write that threw; the files on disk are left as they are
+            onCallbackError: (error, job, callback) => {
+                log(`Could not record ${job.file.filename} (${callback}): ${error.message}`, 'ERROR', {
+                    filename: job.file.filename,
+                    error: error.stack
                 });
             }
+        });
+        const successCount = summary.completed;
+        const errorCount = summary.failed;
+        
+        // A --from window skips earlier keys, so the last key only advances on listings from the start
+        if (!dateRange || !dateRange.from) {
+            advanceLastKey(manifest, listedFiles);
         }
+        await saveSyncManifest(manifest);
+        catalog.finishRun(runId, 'completed', { filesOk: successCount, filesFailed: errorCount, bytes });
         
         log(`✅ Worker completed for ${symbol}!`, 'INFO', { 
             symbol, 
             totalFiles: files.length, 
             successCount, 
-            errorCount 
+            errorCount,
+            stages: summary.stages
         });
         
     } catch (error) {
@@ -465,6 +701,7 @@ async function runWorker(symbol) {
             symbol, 
             error: error.stack 
         });
+        catalog.finishRun(runId, 'failed');
         throw error;
     }
 }
@@ -476,19 +713,19 @@ console.log('🔍 DEBUG: import.meta.url:', import.meta.url);
 
 if (process.argv[1] && process.argv[1].endsWith('worker_system_production_adapted.js')) {
     console.log('🔍 DEBUG: Script is being run directly');
-    const symbol = process.argv[2];
+    const { symbol, dataset, dateRange, sync, verifyChecksum, output } = parseWorkerArgs();
     console.log('🔍 DEBUG: Symbol argument:', symbol);
     
     if (!symbol) {
-        console.error('Usage: node worker_system_production_adapted.js <SYMBOL>');
-        console.error('Example: node worker_system_production_adapted.js BTCUSDT');
+        console.error(`Usage: node worker_system_production_adapted.js <SYMBOL> ${WORKER_USAGE}`);
+        console.error('Example: node worker_system_production_adapted.js BTCUSDT --market futures');
         process.exit(1);
     }
     
     console.log('📋 About to call runWorker()...');
     console.log('🔍 DEBUG: Calling runWorker with symbol:', symbol);
     
-    runWorker(symbol).then(() => {
+    runWorker(symbol, { dataset, dateRange, sync, verifyChecksum, output }).then(() => {
         console.log('✅ Worker completed successfully');
     }).catch(error => {
         console.error('💥 Worker failed:', error.message);
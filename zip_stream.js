@@ -0,0 +1,219 @@
+/**
+ * Streaming ZIP Reader - reads archives without loading them into memory
+ * - Entries come from the central directory at the end of the file (ZIP64 sizes and offsets included),
+ *   so listing an archive reads a few KB however large it is
+ * - createEntryStream() streams one entry through inflateRaw straight from disk; stored and deflated
+ *   entries are supported, encrypted ones are rejected
+ * - The stream fails if the inflated bytes do not match the CRC-32 or size the directory records,
+ *   so a corrupt archive can never end in a silently truncated CSV
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import { Transform, pipeline } from 'stream';
+import zlib from 'zlib';
+
+const SIGNATURES = {
+    localHeader: 0x04034b50,
+    centralHeader: 0x02014b50,
+    endOfDirectory: 0x06054b50,
+    zip64Locator: 0x07064b50,
+    zip64EndOfDirectory: 0x06064b50
+};
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const FLAG_ENCRYPTED = 0x0001;
+const ZIP64_EXTRA_ID = 0x0001;
+const EOCD_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+// zlib.crc32 exists from Node 20.15/22.2; older runtimes fall back to a table
+const CRC_TABLE = zlib.crc32 ? null : Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer, previous = 0) {
+    if (!CRC_TABLE) {
+        return zlib.crc32(buffer, previous);
+    }
+    let crc = previous ^ 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function readAt(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+// Locate the end-of-central-directory record and return where the directory starts and how many entries it has
+async function readEndOfDirectory(handle, fileSize) {
+    const tailSize = Math.min(fileSize, EOCD_SIZE + MAX_COMMENT_SIZE);
+    const tailStart = fileSize - tailSize;
+    const tail = await readAt(handle, tailStart, tailSize);
+
+    let eocd = -1;
+    for (let i = tail.length - EOCD_SIZE; i >= 0; i--) {
+        if (tail.readUInt32LE(i) === SIGNATURES.endOfDirectory) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) {
+        throw new Error('Not a ZIP file (no end of central directory record)');
+    }
+
+    let entryCount = tail.readUInt16LE(eocd + 10);
+    let directorySize = tail.readUInt32LE(eocd + 12);
+    let directoryOffset = tail.readUInt32LE(eocd + 16);
+
+    const locatorPosition = tailStart + eocd - 20;
+    if (locatorPosition >= 0) {
+        const locator = await readAt(handle, locatorPosition, 20);
+        if (locator.length === 20 && locator.readUInt32LE(0) === SIGNATURES.zip64Locator) {
+            const record = await readAt(handle, Number(locator.readBigUInt64LE(8)), 56);
+            if (record.length < 56 || record.readUInt32LE(0) !== SIGNATURES.zip64EndOfDirectory) {
+                throw new Error('Corrupt ZIP64 end of central directory record');
+            }
+            entryCount = Number(record.readBigUInt64LE(32));
+            directorySize = Number(record.readBigUInt64LE(40));
+            directoryOffset = Number(record.readBigUInt64LE(48));
+        }
+    }
+
+    if (directoryOffset + directorySize > fileSize) {
+        throw new Error('Central directory lies outside the file (truncated ZIP?)');
+    }
+    return { entryCount, directorySize, directoryOffset };
+}
+
+// 0xffffffff in a size/offset field means the real value is in the ZIP64 extra field, in this order
+function applyZip64Extra(entry, extra) {
+    for (let i = 0; i + 4 <= extra.length;) {
+        const id = extra.readUInt16LE(i);
+        const size = extra.readUInt16LE(i + 2);
+        if (id === ZIP64_EXTRA_ID) {
+            let position = i + 4;
+            for (const field of ['size', 'compressedSize', 'localHeaderOffset']) {
+                if (entry[field] === 0xffffffff && position + 8 <= i + 4 + size) {
+                    entry[field] = Number(extra.readBigUInt64LE(position));
+                    position += 8;
+                }
+            }
+            return;
+        }
+        i += 4 + size;
+    }
+}
+
+// List the entries of the archive at zipPath: { name, method, encrypted, crc32, compressedSize, size, localHeaderOffset }
+async function readZipEntries(zipPath) {
+    const handle = await fs.open(zipPath, 'r');
+    try {
+        const { size: fileSize } = await handle.stat();
+        const { entryCount, directorySize, directoryOffset } = await readEndOfDirectory(handle, fileSize);
+        const directory = await readAt(handle, directoryOffset, directorySize);
+
+        const entries = [];
+        let position = 0;
+        for (let index = 0; index < entryCount; index++) {
+            if (position + 46 > directory.length || directory.readUInt32LE(position) !== SIGNATURES.centralHeader) {
+                throw new Error(`Corrupt central directory at entry ${index}`);
+            }
+            const nameLength = directory.readUInt16LE(position + 28);
+            const extraLength = directory.readUInt16LE(position + 30);
+            const commentLength = directory.readUInt16LE(position + 32);
+            const nameStart = position + 46;
+            const flags = directory.readUInt16LE(position + 8);
+
+            const entry = {
+                name: directory.toString('utf8', nameStart, nameStart + nameLength),
+                method: directory.readUInt16LE(position + 10),
+                encrypted: (flags & FLAG_ENCRYPTED) !== 0,
+                crc32: directory.readUInt32LE(position + 16),
+                compressedSize: directory.readUInt32LE(position + 20),
+                size: directory.readUInt32LE(position + 24),
+                localHeaderOffset: directory.readUInt32LE(position + 42)
+            };
+            applyZip64Extra(entry, directory.subarray(nameStart + nameLength, nameStart + nameLength + extraLength));
+            entries.push(entry);
+
+            position = nameStart + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    } finally {
+        await handle.close();
+    }
+}
+
+// Offset of the entry's data; the local header's name/extra lengths may differ from the central directory's
+async function entryDataOffset(zipPath, entry) {
+    const handle = await fs.open(zipPath, 'r');
+    try {
+        const header = await readAt(handle, entry.localHeaderOffset, 30);
+        if (header.length < 30 || header.readUInt32LE(0) !== SIGNATURES.localHeader) {
+            throw new Error(`Corrupt local header for ${entry.name}`);
+        }
+        return entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    } finally {
+        await handle.close();
+    }
+}
+
+// Pass-through that checks the inflated bytes against the directory's CRC-32 and size
+function createEntryCheck(entry) {
+    let crc = 0;
+    let bytes = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            crc = crc32(chunk, crc);
+            bytes += chunk.length;
+            if (bytes > entry.size) {
+                callback(new Error(`${entry.name} is larger than the ${entry.size} bytes its header records`));
+                return;
+            }
+            callback(null, chunk);
+        },
+        flush(callback) {
+            if (bytes !== entry.size) {
+                callback(new Error(`${entry.name} is truncated: ${bytes} of ${entry.size} bytes`));
+            } else if (crc !== entry.crc32) {
+                callback(new Error(`CRC-32 mismatch in ${entry.name}`));
+            } else {
+                callback();
+            }
+        }
+    });
+}
+
+// Readable stream of an entry's uncompressed bytes; it errors if the data does not check out
+async function createEntryStream(zipPath, entry) {
+    if (entry.encrypted) {
+        throw new Error(`${entry.name} is encrypted`);
+    }
+    if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATED) {
+        throw new Error(`${entry.name} uses unsupported compression method ${entry.method}`);
+    }
+
+    const start = await entryDataOffset(zipPath, entry);
+    const check = createEntryCheck(entry);
+    if (entry.compressedSize === 0) {
+        check.end();
+        return check;
+    }
+
+    const raw = createReadStream(zipPath, { start, end: start + entry.compressedSize - 1 });
+    const stages = entry.method === METHOD_DEFLATED ? [raw, zlib.createInflateRaw(), check] : [raw, check];
+    // pipeline() destroys every stage on the first error, so the consumer sees it on the returned stream
+    return pipeline(...stages, () => {});
+}
+
+export { crc32, readZipEntries, createEntryStream };